@@ -1,10 +1,28 @@
-import React, { useState, useEffect, useRef, useMemo } from 'react';
+import React, { useState, useEffect, useMemo } from 'react';
 import TaskForm from './components/TaskForm';
 // import TaskList from './components/TaskList';
 import TaskItem from './components/TaskItem';
 import TimeSlider from './components/TimeSlider';
 import OptimizedTaskList from './components/OptimizedTaskList';
-import { mergeSort } from './algorithms/mergeSort';
+import DeadlineSchedule from './components/DeadlineSchedule';
+import WeekPlanner from './components/WeekPlanner';
+import DataTransfer from './components/DataTransfer';
+import DailyTimeline from './components/DailyTimeline';
+import CategoryQuotas from './components/CategoryQuotas';
+import BudgetCurve from './components/BudgetCurve';
+import SortControls from './components/SortControls';
+import SortMetrics from './components/SortMetrics';
+import VisualizerControls from './components/VisualizerControls';
+import BenchmarkLab from './components/BenchmarkLab';
+import { DEFAULT_TIMELINE_SETTINGS, layOutWorkday } from './algorithms/timeline';
+import { DEFAULT_WEEK_BUDGETS } from './algorithms/weekPlanner';
+import { mergeSort, createSortMetrics, mergeSortBounds } from './algorithms/mergeSort';
+import { DEFAULT_STRATEGY, DEFAULT_GRANULARITY } from './algorithms/strategies';
+import { getBlockers, topologicalSort } from './algorithms/dependencies';
+import { getRemainingTime } from './algorithms/splitting';
+import { usePlan } from './hooks/usePlan';
+import { useStepPlayer } from './hooks/useStepPlayer';
+import { VISUALIZED_ALGORITHMS, DEFAULT_VISUALIZED_ALGORITHM, getVisualizedAlgorithm, getAlgorithmInfo } from './visualization';
 import { 
   saveTasks, 
   loadTasks, 
@@ -13,7 +31,15 @@ import {
   saveSortPreferences,
   loadSortPreferences,
   saveThemePreference,
-  loadThemePreference
+  loadThemePreference,
+  savePlannerPreferences,
+  loadPlannerPreferences,
+  saveTimelineSettings,
+  loadTimelineSettings,
+  saveWeekBudgets,
+  loadWeekBudgets,
+  saveMeetings,
+  loadMeetings
 } from './utils/localStorage';
 
 // Import gamification components
@@ -31,8 +57,16 @@ function AppContent() {
   const [timeLimit, setTimeLimit] = useState(480); // Default: 8 hours
   const [sortBy, setSortBy] = useState('importance');
   const [sortOrder, setSortOrder] = useState('desc');
+  const [thenBy, setThenBy] = useState([]); // tie-breaking keys, [{ key, direction }]
   const [isFirstLoad, setIsFirstLoad] = useState(true);
-  const [darkMode, setDarkMode] = useState(loadThemePreference());
+  const [darkMode, setDarkMode] = useState(() => window.matchMedia && window.matchMedia('(prefers-color-scheme: dark)').matches);
+  const [planningStrategy, setPlanningStrategy] = useState(DEFAULT_STRATEGY);
+  const [categoryQuotas, setCategoryQuotas] = useState({});
+  const [planGranularity, setPlanGranularity] = useState(DEFAULT_GRANULARITY);
+  const [timelineSettings, setTimelineSettings] = useState(DEFAULT_TIMELINE_SETTINGS);
+  const [meetings, setMeetings] = useState([]); // today's meetings from an imported calendar
+  const [view, setView] = useState('planner'); // 'planner' | 'benchmark'
+  const [dataRevision, setDataRevision] = useState(0); // bumped when imported data replaces saved data
   
   // State for active task timer
   const [activeTask, setActiveTask] = useState(null);
@@ -42,40 +76,51 @@ function AppContent() {
   const [levelUpInfo, setLevelUpInfo] = useState(null);
   
   // Gamification context
-  const { currentLevel, progress } = useGamification();
+  const { currentLevel, progress, replaceProgress } = useGamification();
   
   // New state variables for algorithm visualization and metrics
-  const [currentAlgorithm, setCurrentAlgorithm] = useState('mergeSort');
+  const [currentAlgorithm, setCurrentAlgorithm] = useState(DEFAULT_VISUALIZED_ALGORITHM);
   const [visualizationSpeed, setVisualizationSpeed] = useState(2);
-  const [isVisualizing, setIsVisualizing] = useState(false);
-  const [algorithmSteps, setAlgorithmSteps] = useState([]);
-  const [currentStep, setCurrentStep] = useState(0);
-  const [comparisonsCount, setComparisonsCount] = useState(0);
+  const [visualizationContext, setVisualizationContext] = useState(null); // settings the steps were made with
+  const [sortMetrics, setSortMetrics] = useState({ items: 0, comparisons: 0, moves: 0, maxDepth: 0 });
   const [executionTime, setExecutionTime] = useState(0);
   const [showAlgorithmInfo, setShowAlgorithmInfo] = useState(false);
   
   // Reference to animation interval
-  const animationIntervalRef = useRef(null);
+  const player = useStepPlayer(visualizationSpeed);
 
-  // Load data from local storage on initial render
+  // Load saved data on initial render; nothing is saved back until it arrives
   useEffect(() => {
-    setTasks(loadTasks());
-    setTimeLimit(loadTimeLimit());
-    
-    const { sortBy: savedSortBy, sortOrder: savedSortOrder } = loadSortPreferences();
-    setSortBy(savedSortBy);
-    setSortOrder(savedSortOrder);
-    
-    setIsFirstLoad(false);
-  }, []);
+    const loadSavedData = async () => {
+      const [savedTasks, savedTimeLimit, sortPreferences, savedDarkMode, plannerPreferences, savedTimelineSettings, savedMeetings] =
+        await Promise.all([
+          loadTasks(),
+          loadTimeLimit(),
+          loadSortPreferences(),
+          loadThemePreference(),
+          loadPlannerPreferences(),
+          loadTimelineSettings(DEFAULT_TIMELINE_SETTINGS),
+          loadMeetings()
+        ]);
 
-  // Clean up animation interval on unmount
-  useEffect(() => {
-    return () => {
-      if (animationIntervalRef.current) {
-        clearInterval(animationIntervalRef.current);
-      }
+      setTasks(savedTasks);
+      setTimeLimit(savedTimeLimit);
+
+      setSortBy(sortPreferences.sortBy);
+      setSortOrder(sortPreferences.sortOrder);
+      setThenBy(sortPreferences.thenBy);
+      setDarkMode(savedDarkMode);
+
+      setPlanningStrategy(plannerPreferences.strategy);
+      setCategoryQuotas(plannerPreferences.categoryQuotas);
+      setPlanGranularity(plannerPreferences.granularity);
+      setTimelineSettings(savedTimelineSettings);
+      setMeetings(savedMeetings);
+
+      setIsFirstLoad(false);
     };
+
+    loadSavedData();
   }, []);
 
   // Save tasks to local storage when they change
@@ -95,9 +140,30 @@ function AppContent() {
   // Save sort preferences when they change
   useEffect(() => {
     if (!isFirstLoad) {
-      saveSortPreferences(sortBy, sortOrder);
+      saveSortPreferences(sortBy, sortOrder, thenBy);
+    }
+  }, [sortBy, sortOrder, thenBy, isFirstLoad]);
+  
+  // Save planner preferences when they change
+  useEffect(() => {
+    if (!isFirstLoad) {
+      savePlannerPreferences({ strategy: planningStrategy, categoryQuotas, granularity: planGranularity });
+    }
+  }, [planningStrategy, categoryQuotas, planGranularity, isFirstLoad]);
+  
+  // Save timeline settings when they change
+  useEffect(() => {
+    if (!isFirstLoad) {
+      saveTimelineSettings(timelineSettings);
+    }
+  }, [timelineSettings, isFirstLoad]);
+
+  // Save imported meetings when they change
+  useEffect(() => {
+    if (!isFirstLoad) {
+      saveMeetings(meetings);
     }
-  }, [sortBy, sortOrder, isFirstLoad]);
+  }, [meetings, isFirstLoad]);
   
   // Save theme preference when it changes
   useEffect(() => {
@@ -106,9 +172,56 @@ function AppContent() {
     }
   }, [darkMode, isFirstLoad]);
 
-  // Add a new task
-  const handleAddTask = (newTask) => {
-    setTasks([...tasks, newTask]);
+  // Everything the app stores, by storage key (for backups)
+  const getAppData = async () => ({
+    tasks,
+    timeLimit,
+    sortPreferences: { sortBy, sortOrder, thenBy },
+    darkMode,
+    plannerPreferences: { strategy: planningStrategy, categoryQuotas, granularity: planGranularity },
+    weekBudgets: await loadWeekBudgets(DEFAULT_WEEK_BUDGETS),
+    timelineSettings,
+    userProgress: progress,
+    meetings: { day: new Date().toDateString(), meetings }
+  });
+
+  // Take over imported data; the save effects then store it
+  const handleApplyData = async (data) => {
+    setTasks(data.tasks);
+    setTimeLimit(data.timeLimit);
+    setSortBy(data.sortPreferences.sortBy);
+    setSortOrder(data.sortPreferences.sortOrder);
+    setThenBy(data.sortPreferences.thenBy);
+    setDarkMode(data.darkMode);
+    setPlanningStrategy(data.plannerPreferences.strategy);
+    setCategoryQuotas(data.plannerPreferences.categoryQuotas);
+    setPlanGranularity(data.plannerPreferences.granularity);
+    setTimelineSettings(data.timelineSettings);
+    if (data.meetings && data.meetings.day === new Date().toDateString()) {
+      setMeetings(data.meetings.meetings);
+    }
+    replaceProgress(data.userProgress);
+
+    // The week planner keeps its own budgets; remount it to read the new ones
+    await saveWeekBudgets(data.weekBudgets);
+    setDataRevision((revision) => revision + 1);
+  };
+
+  // Append tasks read from an imported file
+  const handleImportTasks = (importedTasks) => {
+    setTasks([...tasks, ...importedTasks]);
+  };
+
+  // Add a new task, optionally as a prerequisite of existing tasks
+  const handleAddTask = (newTask, blocksIds = []) => {
+    setTasks([
+      ...tasks.map((task) =>
+        blocksIds.includes(task.id)
+          ? { ...task, blockedBy: [...(task.blockedBy || []), newTask.id] }
+          : task
+      ),
+      newTask
+    ]);
   };
 
   // Toggle task completion status
@@ -130,6 +243,20 @@ function AppContent() {
   
   // Handle task completion from timer
   const handleTaskCompletion = (taskId, completionData) => {
+    if (completionData && completionData.chunkOnly) {
+      // Only a chunk of a splittable task was done; the rest carries over
+      const minutesDone = Math.max(1, Math.round(completionData.timeSpent / 60));
+      setTasks(
+        tasks.map((task) => {
+          if (task.id !== taskId) return task;
+          const remainingTime = Math.max(0, getRemainingTime(task) - minutesDone);
+          return { ...task, remainingTime, completed: remainingTime === 0 };
+        })
+      );
+      setActiveTask(null);
+      return;
+    }
+
     setTasks(
       tasks.map((task) =>
         task.id === taskId ? { ...task, completed: true } : task
@@ -146,9 +273,35 @@ function AppContent() {
     }
   };
 
+  // Toggle must-do flag (a must-do task can't be excluded at the same time)
+  const handleTogglePinned = (taskId) => {
+    setTasks(
+      tasks.map((task) =>
+        task.id === taskId ? { ...task, pinned: !task.pinned, excluded: false } : task
+      )
+    );
+  };
+
+  // Toggle exclude flag (an excluded task can't be must-do at the same time)
+  const handleToggleExcluded = (taskId) => {
+    setTasks(
+      tasks.map((task) =>
+        task.id === taskId ? { ...task, excluded: !task.excluded, pinned: false } : task
+      )
+    );
+  };
+
   // Delete a task
   const handleDeleteTask = (taskId) => {
-    setTasks(tasks.filter((task) => task.id !== taskId));
+    setTasks(
+      tasks
+        .filter((task) => task.id !== taskId)
+        .map((task) =>
+          task.blockedBy && task.blockedBy.includes(taskId)
+            ? { ...task, blockedBy: task.blockedBy.filter((id) => id !== taskId) }
+            : task
+        )
+    );
     
     // Clear active task if it's being deleted
     if (activeTask && activeTask.id === taskId) {
@@ -178,14 +331,14 @@ function AppContent() {
     
     // Start timing the execution
     const startTime = performance.now();
-    let comparisons = 0;
+    const metrics = createSortMetrics();
     
     // Sort incomplete tasks with instrumentation
     const sortedIncompleteTasks = mergeSort(
       incompleteTasks,
-      sortBy,
+      [{ key: sortBy, direction: sortOrder }, ...thenBy],
       sortOrder === 'asc',
-      (count) => { comparisons += count; }  // Callback to count comparisons
+      metrics  // Counts comparisons, moves and recursion depth
     );
     
     // Sort completed tasks (always by completion date, newest first)
@@ -195,440 +348,59 @@ function AppContent() {
     const endTime = performance.now();
     
     return {
-      tasks: [...sortedIncompleteTasks, ...sortedCompletedTasks],
-      comparisons,
+      // Prerequisites stay ahead of the tasks they block
+      tasks: [...topologicalSort(sortedIncompleteTasks), ...sortedCompletedTasks],
+      metrics: {
+        items: incompleteTasks.length,
+        comparisons: metrics.comparisons,
+        moves: metrics.moves,
+        maxDepth: metrics.maxDepth
+      },
       executionTime: Math.round(endTime - startTime)
     };
-  }, [tasks, sortBy, sortOrder]);
+  }, [tasks, sortBy, sortOrder, thenBy]);
 
-  // Calculate the optimized tasks using 0/1 knapsack algorithm
-  const optimizedTasks = useMemo(() => {
-    const incompleteTasks = tasks.filter(task => !task.completed);
-    
-    // Skip calculation if there are no incomplete tasks
-    if (incompleteTasks.length === 0) return [];
-    
-    // Implementation of 0/1 knapsack algorithm
-    const n = incompleteTasks.length;
-    const W = timeLimit;
-    
-    // Create a 2D array for the knapsack DP table
-    const dp = Array(n + 1).fill().map(() => Array(W + 1).fill(0));
-    
-    // Fill the dp table
-    for (let i = 1; i <= n; i++) {
-      const task = incompleteTasks[i - 1];
-      const taskTime = Math.min(W, Math.max(1, Math.floor(task.time))); // Ensure time is valid
-      const taskValue = task.importance;
-      
-      for (let w = 0; w <= W; w++) {
-        if (taskTime <= w) {
-          dp[i][w] = Math.max(dp[i - 1][w], dp[i - 1][w - taskTime] + taskValue);
-        } else {
-          dp[i][w] = dp[i - 1][w];
-        }
-      }
-    }
-    
-    // Backtrack to find the selected tasks
-    const selectedTasks = [];
-    let remainingWeight = W;
-    
-    for (let i = n; i > 0; i--) {
-      const task = incompleteTasks[i - 1];
-      const taskTime = Math.min(W, Math.max(1, Math.floor(task.time)));
-      
-      if (dp[i][remainingWeight] !== dp[i - 1][remainingWeight]) {
-        selectedTasks.push(task);
-        remainingWeight -= taskTime;
-      }
-    }
-    
-    return selectedTasks;
-  }, [tasks, timeLimit]);
+  // With meetings imported, the budget shrinks by the busy time and tasks go in the gaps
+  const workday = useMemo(
+    () => (meetings.length > 0 ? layOutWorkday(meetings, timeLimit, timelineSettings) : null),
+    [meetings, timeLimit, timelineSettings]
+  );
+
+  // Plan once in a worker; OptimizedTaskList and the header both render from it
+  const { plan, isPlanning } = usePlan(tasks, timeLimit, planningStrategy, categoryQuotas, planGranularity, workday);
+
+  // Incomplete prerequisites of every blocked task
+  const blockers = useMemo(() => getBlockers(tasks), [tasks]);
 
   // Update metrics after render
   useEffect(() => {
     if (!isFirstLoad) {
-      setComparisonsCount(sortedTasksData.comparisons);
+      setSortMetrics(sortedTasksData.metrics);
       setExecutionTime(sortedTasksData.executionTime);
     }
-  }, [sortedTasksData, optimizedTasks, isFirstLoad]);
+  }, [sortedTasksData, isFirstLoad]);
 
-  // Start algorithm visualization
-  const handleStartVisualization = () => {
-    // Clear any existing animation
-    if (animationIntervalRef.current) {
-      clearInterval(animationIntervalRef.current);
-    }
+  // The selected algorithm's step generator and view
+  const visualizedAlgorithm = getVisualizedAlgorithm(currentAlgorithm);
 
-    setIsVisualizing(true);
-    setCurrentStep(0);
-    
-    // Generate visualization steps based on current algorithm
-    let steps = [];
-    const itemsToSort = tasks.filter((task) => !task.completed).slice(0, 8); // Limit to 8 items for visualization
-    
-    if (currentAlgorithm === 'mergeSort') {
-      // Generate merge sort visualization steps
-      steps = generateMergeSortSteps(itemsToSort, sortBy, sortOrder === 'asc');
-    } else if (currentAlgorithm === 'knapsack') {
-      // Generate knapsack algorithm visualization steps
-      steps = generateKnapsackSteps(itemsToSort, timeLimit);
-    }
-    
-    setAlgorithmSteps(steps);
-    
-    // Animate through the steps
-    let stepIndex = 0;
-    const interval = setInterval(() => {
-      if (stepIndex >= steps.length) {
-        clearInterval(interval);
-        setIsVisualizing(false);
-        return;
-      }
-      
-      setCurrentStep(stepIndex);
-      stepIndex++;
-    }, 1000 / visualizationSpeed);
+  // Generate steps for the selected algorithm and play them from the start
+  const handleStartVisualization = () => {
+    const items = tasks.filter((task) => !task.completed);
+    const context = { sortKeys: [{ key: sortBy, direction: sortOrder }, ...thenBy], timeLimit };
 
-    // Save reference to interval for cleanup
-    animationIntervalRef.current = interval;
-  };
-  
-  // Helper function for merge sort visualization
-  const generateMergeSortSteps = (items, sortBy, isAscending) => {
-    if (items.length <= 1) {
-      return [{ type: 'final', arrays: [items] }];
-    }
-    
-    const steps = [];
-    
-    // Initial array
-    steps.push({ type: 'initial', arrays: [[...items]] });
-    
-    // Function to recursively generate merge sort steps
-    const mergeSortWithSteps = (arr) => {
-      if (arr.length <= 1) {
-        return arr;
-      }
-      
-      const middle = Math.floor(arr.length / 2);
-      const left = arr.slice(0, middle);
-      const right = arr.slice(middle);
-      
-      // Add step showing the division
-      steps.push({ 
-        type: 'split', 
-        arrays: [[...left], [...right]] 
-      });
-      
-      // Recursively sort left and right
-      const sortedLeft = mergeSortWithSteps(left);
-      const sortedRight = mergeSortWithSteps(right);
-      
-      // Add step showing the sorted halves before merge
-      steps.push({ 
-        type: 'beforeMerge', 
-        arrays: [[...sortedLeft], [...sortedRight]] 
-      });
-      
-      // Merge the halves
-      const result = [];
-      let leftIndex = 0;
-      let rightIndex = 0;
-      
-      while (leftIndex < sortedLeft.length && rightIndex < sortedRight.length) {
-        const comparison = isAscending ? 
-          (sortedLeft[leftIndex][sortBy] <= sortedRight[rightIndex][sortBy]) : 
-          (sortedLeft[leftIndex][sortBy] >= sortedRight[rightIndex][sortBy]);
-        
-        if (comparison) {
-          result.push(sortedLeft[leftIndex]);
-          leftIndex++;
-        } else {
-          result.push(sortedRight[rightIndex]);
-          rightIndex++;
-        }
-      }
-      
-      // Add remaining elements
-      while (leftIndex < sortedLeft.length) {
-        result.push(sortedLeft[leftIndex]);
-        leftIndex++;
-      }
-      
-      while (rightIndex < sortedRight.length) {
-        result.push(sortedRight[rightIndex]);
-        rightIndex++;
-      }
-      
-      // Add step showing the merged result
-      steps.push({ 
-        type: 'merge', 
-        arrays: [[...result]] 
-      });
-      
-      return result;
-    };
-    
-    mergeSortWithSteps([...items]);
-    
-    // Final result
-    const sortedItems = [...items].sort((a, b) => 
-      isAscending ? a[sortBy] - b[sortBy] : b[sortBy] - a[sortBy]
-    );
-    
-    steps.push({ type: 'final', arrays: [[...sortedItems]] });
-    
-    return steps;
-  };
-  
-  // Helper function to generate steps for knapsack algorithm visualization
-  const generateKnapsackSteps = (items, capacity) => {
-    if (items.length === 0) return [];
-    
-    // Initialize steps array
-    const steps = [{ type: 'initialize', items, capacity }];
-    
-    // Create value/weight arrays for DP algorithm
-    const values = items.map(task => task.importance);
-    const weights = items.map(task => task.time);
-    const n = items.length;
-    
-    // Create DP table
-    const dp = Array(n + 1).fill().map(() => Array(capacity + 1).fill(0));
-    const selected = Array(n + 1).fill().map(() => Array(capacity + 1).fill(false));
-    
-    // Fill dp table
-    for (let i = 1; i <= n; i++) {
-      for (let w = 0; w <= capacity; w++) {
-        if (weights[i-1] <= w) {
-          // Can include this item
-          const includeValue = values[i-1] + dp[i-1][w-weights[i-1]];
-          const excludeValue = dp[i-1][w];
-          
-          if (includeValue > excludeValue) {
-            dp[i][w] = includeValue;
-            selected[i][w] = true;
-            steps.push({ 
-              type: 'consider', 
-              item: items[i-1],
-              included: true,
-              reason: `Value ${includeValue} > ${excludeValue}`,
-              currentValue: includeValue,
-              capacityLeft: w - weights[i-1]
-            });
-          } else {
-            dp[i][w] = excludeValue;
-            selected[i][w] = false;
-            steps.push({ 
-              type: 'consider', 
-              item: items[i-1],
-              included: false,
-              reason: `Value ${includeValue} <= ${excludeValue}`,
-              currentValue: excludeValue,
-              capacityLeft: w
-            });
-          }
-        } else {
-          // Cannot include this item (too heavy/time-consuming)
-          dp[i][w] = dp[i-1][w];
-          steps.push({ 
-            type: 'consider', 
-            item: items[i-1],
-            included: false,
-            reason: `Time ${weights[i-1]} > available ${w}`,
-            currentValue: dp[i-1][w],
-            capacityLeft: w
-          });
-        }
-      }
-    }
-    
-    // Backtrack to find the solution
-    const optimalItems = [];
-    let i = n;
-    let w = capacity;
-    
-    while (i > 0 && w > 0) {
-      if (selected[i][w]) {
-        optimalItems.push(items[i-1]);
-        w -= weights[i-1];
-      }
-      i--;
-    }
-    
-    // Add final solution step
-    steps.push({
-      type: 'solution',
-      selected: optimalItems,
-      totalValue: dp[n][capacity],
-      totalWeight: optimalItems.reduce((sum, item) => sum + item.time, 0)
-    });
-    
-    // Return a subset of steps to make visualization cleaner
-    const filteredSteps = [steps[0]];
-    
-    // Add meaningful consideration steps (limit to avoid too many steps)
-    const considerationSteps = steps.filter(s => s.type === 'consider')
-                                  .filter((_, i) => i % Math.ceil(steps.length / 10) === 0);
-    
-    return [...filteredSteps, ...considerationSteps, steps[steps.length - 1]];
+    setVisualizationContext(context);
+    player.load(visualizedAlgorithm.generateSteps(items, context), { autoplay: true });
   };
 
-  // Algorithm information text
-  const getAlgorithmInfo = () => {
-    if (currentAlgorithm === 'mergeSort') {
-      return {
-        name: "Merge Sort",
-        description: "A divide-and-conquer algorithm that splits the array into halves, recursively sorts them, then merges them back. It has a stable O(n log n) time complexity regardless of input data.",
-        complexity: "O(n log n)",
-        space: "O(n)"
-      };
-    } else if (currentAlgorithm === 'knapsack') {
-      return {
-        name: "0/1 Knapsack Algorithm",
-        description: "A dynamic programming algorithm that selects items to maximize value while staying within a capacity constraint. Used here to prioritize tasks based on importance and time available.",
-        complexity: "O(n * W)", // where W is the time limit
-        space: "O(n * W)"
-      };
-    }
+  // Steps only make sense for the algorithm that produced them
+  const handleAlgorithmChange = (algorithm) => {
+    setCurrentAlgorithm(algorithm);
+    player.load([]);
   };
 
   const sortedTasks = sortedTasksData.tasks;
   const hasCompletedTasks = tasks.some(task => task.completed);
-  const algorithmInfo = getAlgorithmInfo();
-
-  // Visual element that shows the current algorithm's pattern
-  const AlgorithmVisualization = ({ algorithm, step }) => {
-    if (!step) return (
-      <div className="flex items-center justify-center h-full">
-        <p className="text-gray-500 dark:text-gray-400">Click "Visualize" to see the algorithm in action</p>
-      </div>
-    );
-    
-    if (algorithm === 'mergeSort') {
-      return (
-        <div className="p-4 h-full flex flex-col">
-          {step.arrays && step.arrays.map((array, i) => (
-            <div key={i} className="flex flex-wrap mb-4 justify-center">
-              {array.map((item, j) => (
-                <div 
-                  key={j} 
-                  className={`m-1 p-2 rounded text-xs flex items-center justify-center transition-all duration-300 ${
-                    step.type === 'final' 
-                      ? 'bg-green-100 dark:bg-green-900' 
-                      : 'bg-indigo-100 dark:bg-indigo-900'
-                  }`} 
-                  style={{ 
-                    width: '60px', 
-                    height: '60px',
-                    transform: step.type === 'merge' ? 'scale(1.05)' : 'scale(1)'
-                  }}
-                >
-                  <div className="text-center">
-                    <div className="font-bold">{item.name.substring(0, 6)}</div>
-                    <div className="text-xs mt-1">{item[sortBy]}</div>
-                  </div>
-                </div>
-              ))}
-            </div>
-          ))}
-          <div className="text-center text-sm mt-auto">
-            {step.type === 'initial' && <p>Initial array</p>}
-            {step.type === 'split' && <p>Dividing arrays</p>}
-            {step.type === 'beforeMerge' && <p>Before merging</p>}
-            {step.type === 'merge' && <p>Merging sorted arrays</p>}
-            {step.type === 'final' && <p>Final sorted array</p>}
-          </div>
-        </div>
-      );
-    } else if (algorithm === 'knapsack') {
-      return (
-        <div className="flex flex-col h-full">
-          {step.type === 'initialize' && (
-            <div className="flex flex-col h-full">
-              <h3 className="text-center text-sm font-medium mb-2">
-                Available Tasks (Value/Time)
-              </h3>
-              <div className="flex flex-wrap justify-center">
-                {step.items.map((item, i) => (
-                  <div key={i} className="m-1 p-2 rounded bg-blue-100 dark:bg-blue-900 text-xs" 
-                       style={{ width: '60px', height: '60px' }}>
-                    <div className="text-center">
-                      <div className="font-bold">{item.name.substring(0, 6)}</div>
-                      <div className="text-xs mt-1">{item.importance}/{item.time}</div>
-                    </div>
-                  </div>
-                ))}
-              </div>
-              <p className="mt-2 text-sm text-center">
-                Time Limit: {step.capacity} minutes
-              </p>
-            </div>
-          )}
-          
-          {step.type === 'consider' && (
-            <div className="flex flex-col h-full">
-              <div className="text-center mb-2">
-                <div className="text-sm font-medium">
-                  Task: {step.item.name}
-                </div>
-                <div className={`text-sm ${step.included ? "text-green-500 font-medium" : "text-red-500"}`}>
-                  {step.included ? "Including" : "Excluding"}
-                </div>
-                <div className="text-xs mt-1">
-                  {step.reason}
-                </div>
-              </div>
-              
-              <div className="flex justify-center items-center">
-                <div className={`m-2 p-2 rounded ${
-                  step.included ? 'bg-green-100 dark:bg-green-900' : 'bg-blue-100 dark:bg-blue-900'
-                } text-xs`} style={{ width: '60px', height: '60px' }}>
-                  <div className="text-center">
-                    <div className="font-bold">{step.item.name.substring(0, 6)}</div>
-                    <div className="text-xs mt-1">Value: {step.item.importance}</div>
-                    <div className="text-xs">Time: {step.item.time}</div>
-                  </div>
-                </div>
-                
-                <div className="text-center mx-2">
-                  <div className="text-xs">Current Value: {step.currentValue}</div>
-                  <div className="text-xs">Capacity Left: {step.capacityLeft}</div>
-                </div>
-              </div>
-            </div>
-          )}
-          
-          {step.type === 'solution' && (
-            <div className="flex flex-col h-full">
-              <h3 className="text-center text-sm font-medium mb-2">
-                Optimal Solution (Total Value: {step.totalValue})
-              </h3>
-              <div className="flex flex-wrap justify-center">
-                {step.selected.map((item, i) => (
-                  <div key={i} className="m-1 p-2 rounded bg-green-100 dark:bg-green-900 text-xs"
-                       style={{ width: '60px', height: '60px' }}>
-                    <div className="text-center">
-                      <div className="font-bold">{item.name.substring(0, 6)}</div>
-                      <div className="text-xs mt-1">{item.importance}/{item.time}</div>
-                    </div>
-                  </div>
-                ))}
-              </div>
-              <p className="mt-2 text-xs text-center">
-                Total Time: {step.totalWeight} / {step.capacity} minutes
-              </p>
-            </div>
-          )}
-        </div>
-      );
-    }
-    
-    return null;
-  };
+  const algorithmInfo = getAlgorithmInfo(currentAlgorithm);
 
   return (
     <div className={`min-h-screen transition-colors duration-300 ${darkMode ? 'bg-gray-900 text-white' : 'bg-gray-50 text-gray-800'}`}>
@@ -647,10 +419,30 @@ function AppContent() {
           </div>
           
           <div className="flex items-center space-x-4">
+            <div className={`flex rounded-lg p-0.5 text-sm ${darkMode ? 'bg-gray-800' : 'bg-gray-100'}`}>
+              {[['planner', 'Planner'], ['benchmark', 'Benchmark']].map(([id, label]) => (
+                <button
+                  key={id}
+                  onClick={() => setView(id)}
+                  className={`px-3 py-1 rounded-md ${
+                    view === id
+                      ? 'bg-indigo-600 text-white'
+                      : darkMode ? 'text-gray-300 hover:text-white' : 'text-gray-600 hover:text-gray-900'
+                  }`}
+                >
+                  {label}
+                </button>
+              ))}
+            </div>
             <div className="hidden md:flex items-center">
               <span className="text-xs mr-2">
                 {tasks.length} tasks · {tasks.filter(t => t.completed).length} completed
               </span>
+              <span className="text-xs border-l pl-2 mr-2 border-gray-300 dark:border-gray-700">
+                {plan.infeasible
+                  ? <span className="text-red-500">Plan infeasible</span>
+                  : <>Plan: {plan.selectedTasks.length} tasks · {plan.timeUsed}/{plan.timeLimit} min</>}
+              </span>
               <span className="text-xs border-l pl-2 border-gray-300 dark:border-gray-700">
                 <span className="font-medium text-indigo-600 dark:text-indigo-400">LVL {currentLevel.level}</span> · {progress.score} pts
               </span>
@@ -674,10 +466,15 @@ function AppContent() {
         </div>
       </nav>
 
+      {view === 'benchmark' ? (
+      <div className="container mx-auto px-4 py-8">
+        <BenchmarkLab darkMode={darkMode} />
+      </div>
+      ) : (
       <div className="container mx-auto px-4 py-8">
         <div className="grid grid-cols-1 lg:grid-cols-12 gap-6">
           <div className="lg:col-span-8">
-            <TaskForm onAddTask={handleAddTask} darkMode={darkMode} />
+            <TaskForm tasks={tasks} onAddTask={handleAddTask} darkMode={darkMode} />
             
             {/* If there's an active task, show the timer */}
             {activeTask && (
@@ -703,26 +500,19 @@ function AppContent() {
                 </div>
                 <div className="p-5">
                   <div className="flex flex-wrap gap-3">
-                    <button 
-                      onClick={() => setCurrentAlgorithm('mergeSort')}
-                      className={`px-4 py-2 rounded-full font-medium text-sm transition ${
-                        currentAlgorithm === 'mergeSort' 
-                          ? 'bg-indigo-100 text-indigo-700 dark:bg-indigo-900 dark:text-indigo-300' 
-                          : 'bg-gray-100 text-gray-700 dark:bg-gray-700 dark:text-gray-300 hover:bg-gray-200 dark:hover:bg-gray-600'
-                      }`}
-                    >
-                      Merge Sort
-                    </button>
-                    <button 
-                      onClick={() => setCurrentAlgorithm('knapsack')}
-                      className={`px-4 py-2 rounded-full font-medium text-sm transition ${
-                        currentAlgorithm === 'knapsack' 
-                          ? 'bg-indigo-100 text-indigo-700 dark:bg-indigo-900 dark:text-indigo-300' 
-                          : 'bg-gray-100 text-gray-700 dark:bg-gray-700 dark:text-gray-300 hover:bg-gray-200 dark:hover:bg-gray-600'
-                      }`}
-                    >
-                      Knapsack Algorithm
-                    </button>
+                    {VISUALIZED_ALGORITHMS.map((algorithm) => (
+                      <button
+                        key={algorithm.id}
+                        onClick={() => handleAlgorithmChange(algorithm.id)}
+                        className={`px-4 py-2 rounded-full font-medium text-sm transition ${
+                          currentAlgorithm === algorithm.id
+                            ? 'bg-indigo-100 text-indigo-700 dark:bg-indigo-900 dark:text-indigo-300'
+                            : 'bg-gray-100 text-gray-700 dark:bg-gray-700 dark:text-gray-300 hover:bg-gray-200 dark:hover:bg-gray-600'
+                        }`}
+                      >
+                        {algorithm.label}
+                      </button>
+                    ))}
                   </div>
                 </div>
               </div>
@@ -765,45 +555,24 @@ function AppContent() {
                   </div>
                 )}
                 
-                <div className="h-64 relative bg-white/5">
-                  <AlgorithmVisualization 
-                    algorithm={currentAlgorithm} 
-                    step={algorithmSteps[currentStep]}
-                  />
+                <div className="h-80 relative overflow-auto bg-white/5">
+                  {player.step ? (
+                    <visualizedAlgorithm.View step={player.step} context={visualizationContext} darkMode={darkMode} />
+                  ) : (
+                    <div className="flex items-center justify-center h-full">
+                      <p className="text-gray-500 dark:text-gray-400">Click "Visualize" to see the algorithm in action</p>
+                    </div>
+                  )}
                 </div>
                 
-                <div className="p-4 border-t border-gray-200 dark:border-gray-700 flex justify-between items-center">
-                  <div className="flex items-center">
-                    <label className="text-sm mr-2">Speed:</label>
-                    <input 
-                      type="range" 
-                      min="1" 
-                      max="5" 
-                      value={visualizationSpeed}
-                      onChange={(e) => setVisualizationSpeed(parseInt(e.target.value))}
-                      className="w-24"
-                    />
-                  </div>
-                  
-                  <div className="flex items-center">
-                    {currentStep > 0 && (
-                      <span className="text-xs mr-3">
-                        Step {currentStep + 1} of {algorithmSteps.length}
-                      </span>
-                    )}
-                    <button 
-                      onClick={handleStartVisualization}
-                      disabled={isVisualizing || tasks.filter(t => !t.completed).length === 0}
-                      className={`px-4 py-1 rounded-md text-white text-sm ${
-                        isVisualizing || tasks.filter(t => !t.completed).length === 0
-                          ? 'bg-gray-400 dark:bg-gray-600 cursor-not-allowed' 
-                          : 'bg-indigo-600 hover:bg-indigo-700'
-                      }`}
-                    >
-                      {isVisualizing ? 'Visualizing...' : 'Visualize'}
-                    </button>
-                  </div>
-                </div>
+                <VisualizerControls
+                  player={player}
+                  speed={visualizationSpeed}
+                  onSpeedChange={setVisualizationSpeed}
+                  onGenerate={handleStartVisualization}
+                  canGenerate={tasks.some((t) => !t.completed)}
+                  darkMode={darkMode}
+                />
               </div>
 
               {/* Algorithm Performance Metrics */}
@@ -816,12 +585,12 @@ function AppContent() {
                     <div className={`p-4 rounded-lg ${darkMode ? 'bg-gray-700' : 'bg-gray-50'}`}>
                       <p className={`text-xs ${darkMode ? 'text-gray-400' : 'text-gray-500'}`}>Time Complexity</p>
                       <p className="font-mono text-lg font-bold">
-                        {currentAlgorithm === 'mergeSort' ? 'O(n log n)' : 'O(n * W)'}
+                        {algorithmInfo.complexity}
                       </p>
                     </div>
                     <div className={`p-4 rounded-lg ${darkMode ? 'bg-gray-700' : 'bg-gray-50'}`}>
                       <p className={`text-xs ${darkMode ? 'text-gray-400' : 'text-gray-500'}`}>Comparisons</p>
-                      <p className="font-mono text-lg font-bold">{comparisonsCount}</p>
+                      <p className="font-mono text-lg font-bold">{sortMetrics.comparisons}</p>
                     </div>
                     <div className={`p-4 rounded-lg ${darkMode ? 'bg-gray-700' : 'bg-gray-50'}`}>
                       <p className={`text-xs ${darkMode ? 'text-gray-400' : 'text-gray-500'}`}>Execution Time</p>
@@ -829,7 +598,9 @@ function AppContent() {
                     </div>
                   </div>
                   
-                  {currentAlgorithm === 'knapsack' && (
+                  <SortMetrics metrics={sortMetrics} bounds={mergeSortBounds(sortMetrics.items)} darkMode={darkMode} />
+                  
+                  {visualizedAlgorithm.showsPlanUsage && (
                     <div className="mt-4">
                       <div className={`p-4 rounded-lg ${darkMode ? 'bg-indigo-900/20' : 'bg-indigo-50'}`}>
                         <div className="flex justify-between items-center">
@@ -837,13 +608,13 @@ function AppContent() {
                             Time used by optimized tasks:
                           </p>
                           <p className="font-mono font-bold">
-                            {optimizedTasks.reduce((sum, task) => sum + task.time, 0)} / {timeLimit} min
+                            {plan.timeUsed} / {timeLimit} min
                           </p>
                         </div>
                         <div className="w-full bg-gray-200 dark:bg-gray-700 rounded-full h-2 mt-2">
                           <div 
                             className="bg-indigo-600 h-2 rounded-full" 
-                            style={{ width: `${Math.min(100, (optimizedTasks.reduce((sum, task) => sum + task.time, 0) / timeLimit) * 100)}%` }}
+                            style={{ width: `${Math.min(100, (plan.timeUsed / timeLimit) * 100)}%` }}
                           ></div>
                         </div>
                       </div>
@@ -883,8 +654,11 @@ function AppContent() {
                         <TaskItem
                           key={task.id}
                           task={task}
+                          blockers={blockers[task.id]}
                           onToggleComplete={handleToggleComplete}
                           onDelete={handleDeleteTask}
+                          onTogglePinned={handleTogglePinned}
+                          onToggleExcluded={handleToggleExcluded}
                           darkMode={darkMode}
                         />
                       ))}
@@ -894,55 +668,103 @@ function AppContent() {
               </div>
 
               {/* Sorting controls */}
-              <div className={`mb-6 p-5 rounded-xl shadow-sm flex items-center justify-between ${
-                darkMode ? 'bg-gray-800 border border-gray-700' : 'bg-white'
-              }`}>
-                <div className="flex items-center">
-                  <span className="mr-2 text-sm font-medium">Sort by:</span>
-                  <select
-                    value={sortBy}
-                    onChange={(e) => setSortBy(e.target.value)}
-                    className={`rounded border py-1 px-2 ${
-                      darkMode ? 'bg-gray-700 border-gray-600 text-white' : 'bg-white border-gray-300'
-                    }`}
-                  >
-                    <option value="importance">Priority</option>
-                    <option value="time">Time Required</option>
-                    <option value="name">Name</option>
-                    <option value="id">Date Added</option>
-                  </select>
-                </div>
-                <button
-                  onClick={() => setSortOrder(sortOrder === 'asc' ? 'desc' : 'asc')}
-                  className={`flex items-center py-1 px-3 rounded ${
-                    darkMode ? 'hover:bg-gray-700' : 'hover:bg-gray-100'
-                  }`}
-                >
-                  <span className="mr-1 text-sm">{sortOrder === 'asc' ? 'Ascending' : 'Descending'}</span>
-                  <svg className="w-4 h-4" fill="none" stroke="currentColor" viewBox="0 0 24 24">
-                    {sortOrder === 'asc' ? (
-                      <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M5 15l7-7 7 7" />
-                    ) : (
-                      <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M19 9l-7 7-7-7" />
-                    )}
-                  </svg>
-                </button>
-              </div>
+              <SortControls
+                sortBy={sortBy}
+                sortOrder={sortOrder}
+                thenBy={thenBy}
+                onSortByChange={setSortBy}
+                onSortOrderChange={setSortOrder}
+                onThenByChange={setThenBy}
+                darkMode={darkMode}
+              />
+
+              {/* Multi-day planner */}
+              <WeekPlanner
+                key={dataRevision}
+                tasks={tasks}
+                strategy={planningStrategy}
+                quotas={categoryQuotas}
+                granularity={planGranularity}
+                darkMode={darkMode}
+              />
+
+              <DataTransfer
+                tasks={tasks}
+                getAppData={getAppData}
+                onApplyData={handleApplyData}
+                onImportTasks={handleImportTasks}
+                darkMode={darkMode}
+              />
           </div>
           
           <div className="lg:col-span-4">
-            <TimeSlider timeLimit={timeLimit} onChange={handleTimeChange} darkMode={darkMode} />
+            <TimeSlider
+              timeLimit={timeLimit}
+              busyMinutes={workday ? workday.busyMinutes : 0}
+              onChange={handleTimeChange}
+              darkMode={darkMode}
+            />
             
-            <OptimizedTaskList
+            <BudgetCurve
               tasks={tasks}
               timeLimit={timeLimit}
+              strategy={planningStrategy}
+              quotas={categoryQuotas}
+              granularity={planGranularity}
+              meetings={meetings}
+              timelineSettings={timelineSettings}
+              onSelectBudget={handleTimeChange}
+              darkMode={darkMode}
+            />
+            
+            <CategoryQuotas
+              tasks={tasks}
+              quotas={categoryQuotas}
+              quotaUsage={plan.quotaUsage}
+              quotasEnforced={plan.quotasEnforced}
+              onChange={setCategoryQuotas}
+              darkMode={darkMode}
+            />
+            
+            <OptimizedTaskList
+              plan={plan}
+              tasks={tasks}
+              blockers={blockers}
+              strategy={planningStrategy}
+              onStrategyChange={setPlanningStrategy}
+              granularity={planGranularity}
+              onGranularityChange={setPlanGranularity}
+              isPlanning={isPlanning}
               onToggleComplete={handleToggleComplete}
               onDelete={handleDeleteTask}
+              onTogglePinned={handleTogglePinned}
+              onToggleExcluded={handleToggleExcluded}
+              timelineSettings={timelineSettings}
+              meetings={meetings}
+              workday={workday}
+              darkMode={darkMode}
+            />
+            
+            <DailyTimeline
+              plan={plan}
+              settings={timelineSettings}
+              meetings={meetings}
+              onMeetingsChange={setMeetings}
+              onSettingsChange={setTimelineSettings}
+              darkMode={darkMode}
+            />
+            
+            {/* Meetings are only imported for today, so only today's budget shrinks */}
+            <DeadlineSchedule
+              tasks={tasks}
+              dailyBudget={timeLimit}
+              todayBudget={workday ? timeLimit - workday.busyMinutes : timeLimit}
               darkMode={darkMode}
             />
           </div>
         </div>
       </div>
+      )}
       
       {/* Notification Popup */}
       <NotificationPopup darkMode={darkMode} />
@@ -0,0 +1,139 @@
+// src/algorithms/benchmark.js
+import { mergeSort, createSortMetrics, compareTasks } from './mergeSort';
+import { zeroOneKnapsack, knapsackOptimization } from './knapsack';
+import { greedyByRatio, fractionalKnapsack } from './greedy';
+import { getStrategy } from './strategies';
+import { generateTasks } from './taskGenerators';
+
+// The task list's default order: most important first, shorter tasks breaking ties
+const SORT_KEYS = [
+  { key: 'importance', direction: 'desc' },
+  { key: 'time', direction: 'asc' }
+];
+
+// Counts the comparisons a sort makes
+const countingHook = () => {
+  const hook = { comparisons: 0, onCompare: (count) => { hook.comparisons += count; } };
+  return hook;
+};
+
+/**
+ * Algorithms the benchmark runs
+ * run(tasks, config) does the work once and returns its operation count plus
+ * any details worth reporting; sorts sort the tasks and planners plan them
+ * within config.timeLimit.
+ */
+export const BENCHMARK_ALGORITHMS = [
+  {
+    id: 'mergeSort',
+    kind: 'sort',
+    name: 'Merge sort',
+    operationLabel: 'comparisons + moves',
+    run: (tasks) => {
+      const metrics = createSortMetrics();
+      mergeSort(tasks, SORT_KEYS, false, metrics);
+      return {
+        operations: metrics.comparisons + metrics.moves,
+        details: { comparisons: metrics.comparisons, moves: metrics.moves, maxDepth: metrics.maxDepth }
+      };
+    }
+  },
+  {
+    id: 'nativeSort',
+    kind: 'sort',
+    name: 'Array.prototype.sort',
+    operationLabel: 'comparisons',
+    run: (tasks) => {
+      let comparisons = 0;
+      [...tasks].sort((a, b) => {
+        comparisons++;
+        return compareTasks(a, b, SORT_KEYS);
+      });
+      return { operations: comparisons, details: { comparisons } };
+    }
+  },
+  {
+    id: 'exact',
+    kind: 'plan',
+    name: getStrategy('exact').name,
+    operationLabel: 'DP cell updates',
+    run: (tasks, { timeLimit, granularity }) => {
+      const result = zeroOneKnapsack(tasks, timeLimit, { granularity });
+      return { operations: result.cellUpdates, details: { value: result.totalValue } };
+    }
+  },
+  {
+    id: 'greedy',
+    kind: 'plan',
+    name: getStrategy('greedy').name,
+    operationLabel: 'comparisons',
+    run: (tasks, { timeLimit }) => {
+      const hook = countingHook();
+      const result = greedyByRatio(tasks, timeLimit, hook);
+      return { operations: hook.comparisons, details: { value: result.totalValue } };
+    }
+  },
+  {
+    id: 'fractional',
+    kind: 'plan',
+    name: getStrategy('fractional').name,
+    operationLabel: 'comparisons',
+    run: (tasks, { timeLimit }) => {
+      const hook = countingHook();
+      const result = fractionalKnapsack(tasks, timeLimit, hook);
+      return { operations: hook.comparisons, details: { value: result.totalValue } };
+    }
+  },
+  {
+    id: 'proportional',
+    kind: 'plan',
+    name: getStrategy('proportional').name,
+    operationLabel: 'task passes',
+    run: (tasks, { timeLimit }) => {
+      const result = knapsackOptimization(tasks, timeLimit);
+      // One pass to total the estimates, one to scale every task
+      return { operations: tasks.length * 2, details: { value: result.totalValue } };
+    }
+  }
+];
+
+export const DEFAULT_BENCHMARK_CONFIG = {
+  distribution: 'uniform',
+  size: 200,
+  seed: 1,
+  timeLimit: 480,
+  granularity: 1,
+  repetitions: 3
+};
+
+const median = (values) => {
+  const sorted = [...values].sort((a, b) => a - b);
+  const middle = Math.floor(sorted.length / 2);
+  return sorted.length % 2 ? sorted[middle] : (sorted[middle - 1] + sorted[middle]) / 2;
+};
+
+/**
+ * Run every benchmark algorithm on one generated task set
+ * Wall time is the median over the repetitions; operation counts don't vary
+ * between runs, so they come from the last one.
+ * @param {Object} config - { distribution, size, seed, timeLimit, granularity, repetitions }
+ * @returns {Object} - The config used and one result per algorithm:
+ *   { id, kind, name, timeMs, operations, operationLabel, details }
+ */
+export const runBenchmark = (config = {}) => {
+  const settings = { ...DEFAULT_BENCHMARK_CONFIG, ...config };
+  const tasks = generateTasks(settings.distribution, settings.size, settings.seed);
+
+  const results = BENCHMARK_ALGORITHMS.map(({ id, kind, name, operationLabel, run }) => {
+    const times = [];
+    let outcome = null;
+    for (let i = 0; i < Math.max(1, settings.repetitions); i++) {
+      const start = performance.now();
+      outcome = run(tasks, settings);
+      times.push(performance.now() - start);
+    }
+    return { id, kind, name, timeMs: median(times), operations: outcome.operations, operationLabel, details: outcome.details };
+  });
+
+  return { config: settings, results };
+};
@@ -0,0 +1,149 @@
+// src/algorithms/deadlineScheduler.js
+import { topologicalSort } from './dependencies';
+import { getRemainingTime } from './splitting';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Look-ahead parameter of the Apparent Tardiness Cost rule
+const ATC_K = 2;
+
+/**
+ * Working minutes available between now and a deadline
+ * Each calendar day contributes at most the daily budget; the first day
+ * contributes at most todayBudget.
+ * @param {string} dueDate - ISO date string of the deadline
+ * @param {Date} now - Time the work starts
+ * @param {Number} dailyBudget - Minutes of work per day
+ * @param {Number} todayBudget - Minutes of work left for today (e.g. around meetings)
+ * @returns {Number} - Working minutes before the deadline (0 if already past)
+ */
+export const workMinutesUntil = (dueDate, now, dailyBudget, todayBudget = dailyBudget) => {
+  const ms = new Date(dueDate).getTime() - now.getTime();
+  if (ms <= 0) return 0;
+
+  const fullDays = Math.floor(ms / DAY_MS);
+  const partialMinutes = (ms - fullDays * DAY_MS) / 60000;
+  if (fullDays === 0) return Math.min(todayBudget, partialMinutes);
+  return todayBudget + (fullDays - 1) * dailyBudget + Math.min(dailyBudget, partialMinutes);
+};
+
+// Day (from 1) on which the work done by `elapsed` minutes finishes
+const dayOf = (elapsed, dailyBudget, todayBudget) =>
+  elapsed <= todayBudget ? 1 : 1 + Math.ceil((elapsed - todayBudget) / dailyBudget);
+
+/**
+ * Earliest-deadline-first ordering
+ * Tasks without a deadline go last, most important first.
+ */
+const orderByEarliestDeadline = (tasks) =>
+  tasks
+    .map((task, index) => ({ task, index }))
+    .sort((a, b) => {
+      if (a.task.dueDate && b.task.dueDate) {
+        return new Date(a.task.dueDate) - new Date(b.task.dueDate) || a.index - b.index;
+      }
+      if (a.task.dueDate) return -1;
+      if (b.task.dueDate) return 1;
+      return b.task.importance - a.task.importance || a.index - b.index;
+    })
+    .map(({ task }) => task);
+
+/**
+ * Weighted tardiness ordering using the Apparent Tardiness Cost dispatch rule
+ * At each step picks the task with the highest importance per minute, discounted
+ * by how much slack it still has before its deadline. Tasks without a deadline
+ * only get picked once every task with a deadline is scheduled.
+ */
+const orderByWeightedTardiness = (tasks, now, dailyBudget, todayBudget) => {
+  const remaining = tasks.map((task) => ({
+    task,
+    available: task.dueDate ? workMinutesUntil(task.dueDate, now, dailyBudget, todayBudget) : null
+  }));
+  const averageTime =
+    remaining.reduce((sum, { task }) => sum + task.time, 0) / Math.max(1, remaining.length);
+  const ordered = [];
+  let elapsed = 0;
+
+  while (remaining.length > 0) {
+    const hasDeadlines = remaining.some(({ available }) => available !== null);
+    let bestIndex = -1;
+    let bestScore = -Infinity;
+
+    for (let index = 0; index < remaining.length; index++) {
+      const { task, available } = remaining[index];
+      if (hasDeadlines && available === null) continue;
+
+      const ratio = task.importance / Math.max(1, task.time);
+      const slack = available === null ? 0 : Math.max(0, available - task.time - elapsed);
+      const score = ratio * Math.exp(-slack / (ATC_K * Math.max(1, averageTime)));
+
+      if (score > bestScore) {
+        bestScore = score;
+        bestIndex = index;
+      }
+    }
+
+    const [{ task }] = remaining.splice(bestIndex, 1);
+    ordered.push(task);
+    elapsed += task.time;
+  }
+
+  return ordered;
+};
+
+export const SCHEDULING_RULES = [
+  { id: 'edf', name: 'Earliest Deadline First' },
+  { id: 'weighted', name: 'Weighted Tardiness (ATC)' }
+];
+
+/**
+ * Schedule incomplete tasks back to back against their deadlines
+ * Tasks never start before their prerequisites. Work starts now and runs for
+ * the daily budget each day, or todayBudget on the first day. Every task gets
+ * its start/finish in working minutes, the day it finishes on and whether it
+ * misses its deadline.
+ * @param {Array} tasks - Array of task objects (dueDate is optional)
+ * @param {Object} options - { dailyBudget, todayBudget, now, rule: 'edf' | 'weighted' }
+ * @returns {Object} - Ordered schedule, late tasks and total weighted tardiness
+ */
+export const scheduleByDeadline = (
+  tasks,
+  { dailyBudget, todayBudget = dailyBudget, now = new Date(), rule = 'edf' }
+) => {
+  // Only the minutes still left on each task need scheduling
+  const incompleteTasks = tasks
+    .filter((task) => !task.completed)
+    .map((task) => ({ ...task, time: getRemainingTime(task) }));
+  // Prerequisites always come first, otherwise the rule decides
+  const ordered = topologicalSort(rule === 'weighted'
+    ? orderByWeightedTardiness(incompleteTasks, now, dailyBudget, todayBudget)
+    : orderByEarliestDeadline(incompleteTasks));
+
+  let elapsed = 0;
+  const schedule = ordered.map((task) => {
+    const start = elapsed;
+    elapsed += task.time;
+
+    const available = task.dueDate ? workMinutesUntil(task.dueDate, now, dailyBudget, todayBudget) : Infinity;
+    const lateness = Math.max(0, elapsed - available);
+
+    return {
+      task,
+      start,
+      finish: elapsed,
+      day: dayOf(elapsed, dailyBudget, todayBudget),
+      late: lateness > 0,
+      lateness,
+      // Late even if it were the only thing worked on
+      impossible: task.time > available
+    };
+  });
+
+  const lateTasks = schedule.filter((entry) => entry.late).map((entry) => entry.task);
+  const weightedTardiness = schedule.reduce(
+    (sum, entry) => sum + entry.lateness * entry.task.importance,
+    0
+  );
+
+  return { schedule, lateTasks, weightedTardiness };
+};
@@ -0,0 +1,31 @@
+import { scheduleByDeadline, workMinutesUntil } from './deadlineScheduler';
+
+const now = new Date(2026, 9, 18, 9, 0);
+
+const task = (id, time, dueDate = null) => ({
+  id,
+  name: `Task ${id}`,
+  importance: 5,
+  time,
+  completed: false,
+  blockedBy: [],
+  dueDate
+});
+
+test('counts only today\'s budget on the first day', () => {
+  const inTwoDays = new Date(2026, 9, 20, 9, 0).toISOString();
+
+  expect(workMinutesUntil(inTwoDays, now, 240)).toBe(480);
+  expect(workMinutesUntil(inTwoDays, now, 240, 60)).toBe(300);
+  expect(workMinutesUntil(new Date(2026, 9, 18, 12, 0).toISOString(), now, 240, 60)).toBe(60);
+});
+
+test('pushes work past today\'s meetings into the next day', () => {
+  const tomorrow = new Date(2026, 9, 19, 9, 0).toISOString();
+  const tasks = [task(1, 90, tomorrow), task(2, 60)];
+
+  const { schedule, lateTasks } = scheduleByDeadline(tasks, { dailyBudget: 240, todayBudget: 60, now });
+
+  expect(schedule.map((entry) => [entry.task.id, entry.day])).toEqual([[1, 2], [2, 2]]);
+  expect(lateTasks.map((t) => t.id)).toEqual([1]);
+});
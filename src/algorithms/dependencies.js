@@ -0,0 +1,134 @@
+// src/algorithms/dependencies.js
+
+/**
+ * Prerequisites of a task that are still incomplete
+ * Ids that don't match any task (e.g. deleted tasks) are ignored.
+ * @param {Object} task - Task with an optional blockedBy array of task ids
+ * @param {Map} tasksById - Map of task id to task
+ * @returns {Array} - Incomplete prerequisite tasks
+ */
+export const getOpenPrerequisites = (task, tasksById) =>
+  (task.blockedBy || [])
+    .map((id) => tasksById.get(id))
+    .filter((prerequisite) => prerequisite && !prerequisite.completed);
+
+/**
+ * Map every blocked incomplete task to the prerequisites it is waiting for
+ * @param {Array} tasks - Array of task objects
+ * @returns {Object} - { [taskId]: Array of incomplete prerequisite tasks }
+ */
+export const getBlockers = (tasks) => {
+  const tasksById = new Map(tasks.map((task) => [task.id, task]));
+  const blockers = {};
+
+  tasks.forEach((task) => {
+    if (task.completed) return;
+    const open = getOpenPrerequisites(task, tasksById);
+    if (open.length > 0) {
+      blockers[task.id] = open;
+    }
+  });
+
+  return blockers;
+};
+
+/**
+ * Find a dependency cycle using depth-first search
+ * @param {Array} tasks - Array of task objects with optional blockedBy arrays
+ * @returns {Array|null} - Tasks forming the cycle in dependency order, or null if there is none
+ */
+export const findDependencyCycle = (tasks) => {
+  const tasksById = new Map(tasks.map((task) => [task.id, task]));
+  const state = new Map(); // undefined = unvisited, 1 = on the current path, 2 = done
+  const path = [];
+
+  const visit = (task) => {
+    state.set(task.id, 1);
+    path.push(task);
+
+    for (const id of task.blockedBy || []) {
+      const prerequisite = tasksById.get(id);
+      if (!prerequisite) continue;
+
+      if (state.get(id) === 1) {
+        return path.slice(path.findIndex((t) => t.id === id));
+      }
+      if (state.get(id) === undefined) {
+        const cycle = visit(prerequisite);
+        if (cycle) return cycle;
+      }
+    }
+
+    path.pop();
+    state.set(task.id, 2);
+    return null;
+  };
+
+  for (const task of tasks) {
+    if (state.get(task.id) === undefined) {
+      const cycle = visit(task);
+      if (cycle) return cycle;
+    }
+  }
+
+  return null;
+};
+
+/**
+ * Describe a dependency cycle for error messages, e.g. "A → B → A"
+ * @param {Array} cycle - Tasks forming the cycle (from findDependencyCycle)
+ * @returns {string} - Task names joined in dependency order
+ */
+export const describeCycle = (cycle) =>
+  [...cycle, cycle[0]].map((task) => task.name).join(' → ');
+
+/**
+ * Topological sort using Kahn's algorithm
+ * Keeps the given order wherever the dependencies allow it: whenever several
+ * tasks are ready, the one that came first in the input goes first. Only
+ * dependencies between tasks in the list count. Tasks caught in a cycle are
+ * appended in their input order rather than dropped.
+ * @param {Array} tasks - Array of task objects with optional blockedBy arrays
+ * @returns {Array} - Tasks ordered so prerequisites come before the tasks they block
+ */
+export const topologicalSort = (tasks) => {
+  const position = new Map(tasks.map((task, index) => [task.id, index]));
+  const indegree = tasks.map(() => 0);
+  const dependents = tasks.map(() => []);
+
+  tasks.forEach((task, index) => {
+    new Set(task.blockedBy || []).forEach((id) => {
+      if (position.has(id) && id !== task.id) {
+        indegree[index]++;
+        dependents[position.get(id)].push(index);
+      }
+    });
+  });
+
+  const ready = [];
+  indegree.forEach((degree, index) => {
+    if (degree === 0) ready.push(index);
+  });
+
+  const visited = new Set();
+  const ordered = [];
+
+  while (ready.length > 0) {
+    // Pick the ready task that appeared first in the input
+    ready.sort((a, b) => a - b);
+    const index = ready.shift();
+    visited.add(index);
+    ordered.push(tasks[index]);
+
+    dependents[index].forEach((dependent) => {
+      indegree[dependent]--;
+      if (indegree[dependent] === 0) ready.push(dependent);
+    });
+  }
+
+  tasks.forEach((task, index) => {
+    if (!visited.has(index)) ordered.push(task);
+  });
+
+  return ordered;
+};
@@ -0,0 +1,36 @@
+import { getBlockers, findDependencyCycle, describeCycle, topologicalSort } from './dependencies';
+
+const task = (id, blockedBy = [], fields = {}) => ({ id, name: `Task ${id}`, completed: false, blockedBy, ...fields });
+
+const ids = (tasks) => tasks.map((t) => t.id);
+
+test('puts prerequisites first and otherwise keeps the input order', () => {
+  const tasks = [task(1, [3]), task(2), task(3, [4]), task(4)];
+  expect(ids(topologicalSort(tasks))).toEqual([2, 4, 3, 1]);
+});
+
+test('ignores prerequisites outside the list and tasks blocking themselves', () => {
+  expect(ids(topologicalSort([task(1, [9, 1]), task(2)]))).toEqual([1, 2]);
+});
+
+test('keeps tasks caught in a cycle, after the rest', () => {
+  const tasks = [task(1, [2]), task(2, [1]), task(3)];
+  expect(ids(topologicalSort(tasks))).toEqual([3, 1, 2]);
+});
+
+test('finds a dependency cycle in dependency order', () => {
+  const tasks = [task(1, [2]), task(2, [3]), task(3, [1]), task(4, [1])];
+  const cycle = findDependencyCycle(tasks);
+
+  expect(ids(cycle)).toEqual([1, 2, 3]);
+  expect(describeCycle(cycle)).toBe('Task 1 → Task 2 → Task 3 → Task 1');
+});
+
+test('finds no cycle in a chain or a diamond', () => {
+  expect(findDependencyCycle([task(1, [2, 3]), task(2, [4]), task(3, [4]), task(4)])).toBeNull();
+});
+
+test('only incomplete prerequisites block a task', () => {
+  const tasks = [task(1, [2, 3]), task(2, [], { completed: true }), task(3)];
+  expect(getBlockers(tasks)).toEqual({ 1: [tasks[2]] });
+});
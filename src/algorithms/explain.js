@@ -0,0 +1,275 @@
+// src/algorithms/explain.js
+import { planTasks, planTasksInGaps } from './planner';
+import { getStrategy } from './strategies';
+import { getBlockers } from './dependencies';
+import { getRemainingTime } from './splitting';
+import { getCategory, describeQuota, subtractUsage } from './quotas';
+
+// Slider step used when searching for a budget that fits a dropped task
+const BUDGET_STEP = 15;
+const MAX_BUDGET = 1440;
+const MAX_IMPORTANCE = 10;
+
+const listNames = (tasks) => {
+  const names = tasks.map((task) => `"${task.name}"`);
+  if (names.length <= 1) return names.join('');
+  return `${names.slice(0, -1).join(', ')} and ${names[names.length - 1]}`;
+};
+
+const sumOf = (tasks, key) => tasks.reduce((sum, task) => sum + task[key], 0);
+
+const isSelected = (plan, taskId) => plan.selectedTasks.some((task) => task.id === taskId);
+
+// Plan again the way the explained plan was made, with a different budget or quotas;
+// a plan made between meetings is planned into the same gaps (the budget is ignored)
+const replan = (plan, tasks, timeLimit = plan.timeLimit, quotas = plan.quotas) => {
+  if (plan.gaps) {
+    return planTasksInGaps(tasks, plan.gaps, plan.strategy, quotas, {
+      granularity: plan.granularity,
+      busyMinutes: plan.busyMinutes
+    });
+  }
+  return planTasks(tasks, timeLimit, plan.strategy, quotas, { granularity: plan.granularity });
+};
+
+/**
+ * Smallest whole number in [low, high] for which `includes` holds, by binary search
+ * Only valid when `includes` never turns false again once it is true.
+ * @returns {Number|null} - The value, or null if `includes(high)` is false
+ */
+const findFirstIncluding = (low, high, includes) => {
+  if (low > high || !includes(high)) return null;
+  let lo = low;
+  let hi = high;
+  while (lo < hi) {
+    const mid = Math.floor((lo + hi) / 2);
+    if (includes(mid)) {
+      hi = mid;
+    } else {
+      lo = mid + 1;
+    }
+  }
+  return lo;
+};
+
+/**
+ * Find the smallest budget (in slider steps) at which the task makes it into the plan
+ * Scanned step by step: a bigger budget can let a pair of tasks in that
+ * pushes this one back out, so budgets can't be binary-searched. Plans made
+ * between meetings get no budget suggestion: the gaps depend on the meetings.
+ * @returns {Number|null} - Budget in minutes, or null if no budget up to 24h is enough
+ */
+const findBudgetToInclude = (tasks, task, plan) => {
+  if (plan.gaps) return null;
+  const start = Math.ceil((plan.timeLimit + 1) / BUDGET_STEP) * BUDGET_STEP;
+  for (let budget = start; budget <= MAX_BUDGET; budget += BUDGET_STEP) {
+    if (isSelected(replan(plan, tasks, budget), task.id)) {
+      return budget;
+    }
+  }
+  return null;
+};
+
+/**
+ * Find the lowest importance at which the task makes it into the plan
+ * Raising a task's importance never drops it, so this is a binary search.
+ * @returns {Number|null} - Importance (1-10), or null if even 10 is not enough
+ */
+const findImportanceToInclude = (tasks, task, plan) =>
+  findFirstIncluding(task.importance + 1, MAX_IMPORTANCE, (importance) => {
+    const boosted = tasks.map((t) => (t.id === task.id ? { ...t, importance } : t));
+    return isSelected(replan(plan, boosted), task.id);
+  });
+
+/**
+ * Find the category quota that kept a task out of the plan
+ * A quota is to blame when lifting it alone lets the task in; the task's own
+ * category is tried first.
+ * @returns {string|null} - Category of the blocking quota, '' if only the quotas
+ *   together are to blame, or null if the task would be dropped without quotas too
+ */
+const findBlockingQuota = (tasks, task, plan) => {
+  const categories = Object.keys(plan.quotas);
+  if (categories.length === 0 || !plan.quotasEnforced) return null;
+  if (!isSelected(replan(plan, tasks, plan.timeLimit, {}), task.id)) return null;
+
+  const own = getCategory(task);
+  const ordered = [...categories.filter((c) => c === own), ...categories.filter((c) => c !== own)];
+  const blocking = ordered.find((category) => {
+    const { [category]: lifted, ...rest } = plan.quotas;
+    return isSelected(replan(plan, tasks, plan.timeLimit, rest), task.id);
+  });
+  return blocking === undefined ? '' : blocking;
+};
+
+/**
+ * Explain a drop caused by a category quota, with a suggestion to relax it
+ */
+const explainQuota = (task, plan, category) => {
+  if (category === '') {
+    return {
+      reason: 'Left out so the plan can meet the category quotas together.',
+      suggestions: [{ type: 'quota', text: 'Loosen one of the category quotas.' }]
+    };
+  }
+
+  const quota = plan.quotas[category];
+  const usage = plan.quotaUsage.find((entry) => entry.category === category);
+  const used = usage ? usage.used : 0;
+
+  if (category === getCategory(task) && quota.max !== null) {
+    return {
+      reason: `Held out by the ${describeQuota(category, quota)} quota; ${used}m of it is already planned.`,
+      suggestions: [{
+        type: 'quota',
+        value: category,
+        text: `Raise the ${category} limit to ${used + task.time}m.`
+      }]
+    };
+  }
+
+  return {
+    reason: `Its minutes went to meeting the ${describeQuota(category, quota)} quota.`,
+    suggestions: [{ type: 'quota', value: category, text: `Relax the ${category} quota.` }]
+  };
+};
+
+/**
+ * Best plan for everything else once the task is forced into the plan
+ * Between meetings the task needs room in one gap, so it is pinned there;
+ * otherwise its minutes come off the budget.
+ * @returns {Object|null} - { rest, forcedValue }, or null if no gap has room for it
+ */
+const planIncluding = (tasks, task, plan) => {
+  if (plan.gaps) {
+    const pinned = tasks.map((t) => (t.id === task.id ? { ...t, pinned: true } : t));
+    const rest = replan(plan, pinned);
+    return rest.infeasible ? null : { rest, forcedValue: rest.totalValue };
+  }
+
+  // Keep the task in the list (it may still block others) but out of the plan
+  const others = tasks.map((t) => (t.id === task.id ? { ...t, excluded: true } : t));
+  const rest = replan(plan, others, plan.timeLimit - task.time, subtractUsage(plan.quotas, [task]));
+  return { rest, forcedValue: task.importance + rest.totalValue };
+};
+
+/**
+ * Explain why a dropped task did not make it into the plan
+ * Compares the plan against the best plan that is forced to include the task:
+ * the tasks that would have to make room for it are the ones that beat it.
+ */
+const explainDropped = (tasks, task, plan) => {
+  if (task.time > plan.timeLimit) {
+    return `Needs ${task.time}m but the whole budget is ${plan.timeLimit}m.`;
+  }
+  if (task.time > plan.timeLimit - plan.pinnedTime) {
+    return `Needs ${task.time}m but only ${plan.timeLimit - plan.pinnedTime}m is left after must-do tasks.`;
+  }
+
+  const forced = planIncluding(tasks, task, plan);
+  if (!forced) {
+    return `Needs ${task.time}m but no gap between meetings has that much room beside the must-do tasks.`;
+  }
+  const { rest, forcedValue } = forced;
+
+  if (forcedValue > plan.totalValue) {
+    const strategy = getStrategy(plan.strategy);
+    return `Skipped by ${strategy.name}; including it would raise total importance to ${forcedValue}.`;
+  }
+
+  const displaced = plan.selectedTasks.filter((t) => !isSelected(rest, t.id));
+  if (displaced.length === 0 || forcedValue === plan.totalValue) {
+    return `Ties with the selected tasks on total importance; the plan kept the others.`;
+  }
+
+  return `Dropped because ${listNames(displaced)} (importance ${sumOf(displaced, 'importance')} in ` +
+    `${sumOf(displaced, 'time')}m) ${displaced.length === 1 ? 'fits' : 'fit'} in the same minutes ` +
+    `and ${displaced.length === 1 ? 'is' : 'are'} worth more.`;
+};
+
+/**
+ * Explain the plan for every incomplete task
+ * Selected tasks get a short summary; dropped tasks get the reason they lost
+ * their spot and the minimal changes that would get them into the plan.
+ * @param {Array} tasks - Array of task objects the plan was made from
+ * @param {Object} plan - Plan result from planTasks
+ * @returns {Array} - One { task, status, reason, suggestions } entry per incomplete task
+ */
+export const explainPlan = (tasks, plan) => {
+  const incompleteTasks = tasks.filter((task) => !task.completed);
+  const blockers = getBlockers(tasks);
+
+  return incompleteTasks.map((original) => {
+    // Explain in terms of the minutes still left on the task
+    const remaining = getRemainingTime(original);
+    const task = remaining === original.time ? original : { ...original, time: remaining };
+    const planned = plan.selectedTasks.find((t) => t.id === task.id);
+
+    if (plan.infeasible) {
+      return { task: original, status: 'dropped', reason: plan.error, suggestions: [] };
+    }
+
+    if (blockers[task.id]) {
+      return {
+        task: original,
+        status: 'dropped',
+        reason: `Blocked by ${listNames(blockers[task.id])}.`,
+        suggestions: [{ type: 'blocked', text: `Finish ${listNames(blockers[task.id])} first.` }]
+      };
+    }
+
+    if (task.excluded) {
+      return {
+        task: original,
+        status: 'dropped',
+        reason: 'Kept out of the plan by its exclude flag.',
+        suggestions: [{ type: 'excluded', text: 'Clear the exclude flag to let the planner consider it.' }]
+      };
+    }
+
+    if (planned) {
+      if (task.pinned) {
+        return { task: original, status: 'selected', reason: 'Selected: marked as must-do.', suggestions: [] };
+      }
+      let reason = `Selected: importance ${task.importance} for ${task.time}m.`;
+      if (planned.chunk && task.splittable) {
+        reason = `Selected: a ${planned.time}m chunk of the ${task.time}m left.`;
+      } else if (planned.time !== task.time) {
+        reason = `Selected, scaled to ${planned.time}m of its ${task.time}m estimate.`;
+      }
+      return { task: original, status: 'selected', reason, suggestions: [] };
+    }
+
+    const blockingQuota = task.time <= plan.timeLimit - plan.pinnedTime
+      ? findBlockingQuota(tasks, task, plan)
+      : null;
+    if (blockingQuota !== null) {
+      return { task: original, status: 'dropped', ...explainQuota(task, plan, blockingQuota) };
+    }
+
+    const suggestions = [];
+    const budget = findBudgetToInclude(tasks, task, plan);
+    if (budget !== null) {
+      suggestions.push({
+        type: 'budget',
+        value: budget,
+        text: `Raise the budget by ${budget - plan.timeLimit}m (to ${budget}m).`
+      });
+    }
+    const importance = findImportanceToInclude(tasks, task, plan);
+    if (importance !== null) {
+      suggestions.push({
+        type: 'importance',
+        value: importance,
+        text: `Raise its importance from ${task.importance} to ${importance}.`
+      });
+    }
+
+    return {
+      task: original,
+      status: 'dropped',
+      reason: explainDropped(tasks, task, plan),
+      suggestions
+    };
+  });
+};
@@ -0,0 +1,33 @@
+import { planTasksInGaps } from './planner';
+import { explainPlan } from './explain';
+
+const task = (id, importance, time, fields = {}) => ({
+  id,
+  name: `Task ${id}`,
+  importance,
+  time,
+  completed: false,
+  blockedBy: [],
+  ...fields
+});
+
+const GAPS = [{ start: 540, end: 600 }, { start: 660, end: 690 }];
+
+const explain = (tasks, plan, id) => explainPlan(tasks, plan).find((entry) => entry.task.id === id);
+
+test('explains a drop between meetings by the tasks that fill its gap', () => {
+  const tasks = [task(1, 9, 60), task(2, 5, 30), task(3, 8, 45)];
+  const entry = explain(tasks, planTasksInGaps(tasks, GAPS), 3);
+
+  expect(entry.status).toBe('dropped');
+  expect(entry.reason).toMatch(/^Dropped because "Task 1"/);
+  expect(entry.suggestions.map((suggestion) => suggestion.type)).toEqual(['importance']);
+});
+
+test('explains a task that fits the free minutes but no single gap', () => {
+  const tasks = [task(1, 10, 75), task(2, 5, 30)];
+  const entry = explain(tasks, planTasksInGaps(tasks, GAPS), 1);
+
+  expect(entry.reason).toMatch(/no gap between meetings has that much room/);
+  expect(entry.suggestions).toEqual([]);
+});
@@ -0,0 +1,83 @@
+// src/algorithms/greedy.js
+import { planChunk } from './splitting';
+
+/**
+ * Order tasks by importance per minute, best ratio first
+ * Ties keep the original task order.
+ * @param {Array} tasks - Array of tasks with importance and time properties
+ * @param {Object} instrument - Optional hook { onCompare(count) }, as for mergeSort
+ * @returns {Array} - New array sorted by importance-to-time ratio
+ */
+export const sortByRatio = (tasks, instrument = null) => {
+  const ratio = (task) => task.importance / Math.max(1, task.time);
+  let comparisons = 0;
+  const sorted = tasks
+    .map((task, index) => ({ task, index }))
+    .sort((a, b) => {
+      comparisons++;
+      return ratio(b.task) - ratio(a.task) || a.index - b.index;
+    })
+    .map(({ task }) => task);
+
+  if (instrument && instrument.onCompare) instrument.onCompare(comparisons);
+  return sorted;
+};
+
+/**
+ * Greedy selection by importance per minute
+ * Takes whole tasks in ratio order, skipping any task that no longer fits.
+ * Fast, but not guaranteed to find the best total importance.
+ * @param {Array} tasks - Array of tasks with importance and time properties
+ * @param {Number} timeLimit - Maximum time available (in minutes)
+ * @param {Object} instrument - Optional hook passed on to sortByRatio
+ * @returns {Object} - Selected tasks and their total importance
+ */
+export const greedyByRatio = (tasks, timeLimit, instrument = null) => {
+  const selectedTasks = [];
+  let remainingTime = timeLimit;
+
+  sortByRatio(tasks, instrument).forEach((task) => {
+    if (task.time <= remainingTime) {
+      selectedTasks.push(task);
+      remainingTime -= task.time;
+    }
+  });
+
+  return {
+    selectedTasks,
+    totalValue: selectedTasks.reduce((sum, task) => sum + task.importance, 0)
+  };
+};
+
+/**
+ * Fractional knapsack
+ * Takes tasks in ratio order and fills the leftover time with part of the next task,
+ * crediting importance in proportion to the minutes planned. This is the upper bound
+ * any whole-task plan can reach.
+ * @param {Array} tasks - Array of tasks with importance and time properties
+ * @param {Number} timeLimit - Maximum time available (in minutes)
+ * @param {Object} instrument - Optional hook passed on to sortByRatio
+ * @returns {Object} - Selected tasks (the last one possibly a chunk, see planChunk) and their
+ *   total importance
+ */
+export const fractionalKnapsack = (tasks, timeLimit, instrument = null) => {
+  const selectedTasks = [];
+  let remainingTime = timeLimit;
+
+  for (const task of sortByRatio(tasks, instrument)) {
+    if (remainingTime <= 0) break;
+
+    if (task.time <= remainingTime) {
+      selectedTasks.push(task);
+      remainingTime -= task.time;
+    } else {
+      selectedTasks.push(planChunk(task, remainingTime));
+      remainingTime = 0;
+    }
+  }
+
+  return {
+    selectedTasks,
+    totalValue: selectedTasks.reduce((sum, task) => sum + task.importance, 0)
+  };
+};
@@ -1,4 +1,95 @@
 // src/algorithms/knapsack.js
+import { getChunkOptions, planChunk } from './splitting';
+import { getCategory } from './quotas';
+
+// Ways a task can be planned, weighed in time steps of `step` minutes. Partial
+// steps round up so a plan never overruns the budget, and every option costs at
+// least one step so zero-time tasks can't be taken for free
+const toOptions = (task, step) =>
+  getChunkOptions(task).map((minutes) => ({
+    weight: Math.max(1, Math.ceil(minutes / step)),
+    value: (task.importance * minutes) / Math.max(1, task.time),
+    minutes
+  }));
+
+/**
+ * Bit-packed table of small per-cell choices
+ * Each cell takes a power-of-two number of bits so it never straddles two words.
+ * @param {Number} rows - Number of rows
+ * @param {Number} columns - Number of columns
+ * @param {Number} largestChoice - Largest value a cell has to hold
+ * @returns {Object} - get(row, column) and set(row, column, value); cells start at 0
+ */
+const createChoiceTable = (rows, columns, largestChoice) => {
+  let bits = 1;
+  while (bits < 16 && 2 ** bits <= largestChoice) bits *= 2;
+  const mask = 2 ** bits - 1;
+  const words = new Uint32Array(Math.ceil((rows * columns * bits) / 32));
+
+  const locate = (row, column) => {
+    const bit = (row * columns + column) * bits;
+    return [bit >>> 5, bit & 31];
+  };
+
+  return {
+    get: (row, column) => {
+      const [word, shift] = locate(row, column);
+      return (words[word] >>> shift) & mask;
+    },
+    set: (row, column, value) => {
+      const [word, shift] = locate(row, column);
+      words[word] = (words[word] & ~(mask << shift)) | (value << shift);
+    }
+  };
+};
+
+/**
+ * Fill a knapsack over the given options with one rolling DP row
+ * Row i is updated in place from high to low capacity, so every cell still
+ * reads row i - 1 values; the option each cell took is kept in a choice table.
+ * @param {Array} options - Per item, the options it can be taken as ({ weight, value })
+ * @param {Number} capacity - Capacity in time steps
+ * @param {boolean} exact - Whether best[c] must use exactly c steps (-Infinity when impossible)
+ * @returns {Object} - best[c] for every capacity, select(c), which backtracks the
+ *   { index, option } picks making up best[c], and the number of cell updates tried
+ */
+const fillKnapsack = (options, capacity, exact) => {
+  const n = options.length;
+  const best = new Float64Array(capacity + 1).fill(exact ? -Infinity : 0);
+  best[0] = 0;
+  const largestChoice = options.reduce((max, itemOptions) => Math.max(max, itemOptions.length), 0);
+  const choice = createChoiceTable(n, capacity + 1, largestChoice);
+
+  for (let i = 0; i < n; i++) {
+    const itemOptions = options[i];
+    for (let c = capacity; c > 0; c--) {
+      for (let k = 0; k < itemOptions.length; k++) {
+        const { weight, value } = itemOptions[k];
+        if (weight <= c && best[c - weight] + value > best[c]) {
+          best[c] = best[c - weight] + value;
+          choice.set(i, c, k + 1);
+        }
+      }
+    }
+  }
+
+  const select = (steps) => {
+    const picks = [];
+    let c = steps;
+    for (let i = n - 1; i >= 0; i--) {
+      const k = choice.get(i, c);
+      if (k > 0) {
+        picks.unshift({ index: i, option: options[i][k - 1] });
+        c -= options[i][k - 1].weight;
+      }
+    }
+    return picks;
+  };
+
+  const cellUpdates = capacity * options.reduce((sum, itemOptions) => sum + itemOptions.length, 0);
+
+  return { best, select, cellUpdates };
+};
 
 /**
  * Knapsack algorithm with proportional time allocation
@@ -49,3 +140,135 @@ export const knapsackOptimization = (tasks, timeLimit) => {
     remainingTime,
   };
 };
+
+/**
+ * 0/1 knapsack using dynamic programming
+ * Each task is either fully included or left out, maximizing total importance
+ * without exceeding the time limit. Splittable tasks may instead be planned as
+ * one chunk (see getChunkOptions), earning importance in proportion to its minutes.
+ * Time is counted in steps of `granularity` minutes, so the DP needs one row of
+ * timeLimit / granularity cells plus a bit-packed choice per task and cell.
+ * @param {Array} tasks - Array of tasks with importance and time properties
+ * @param {Number} timeLimit - Maximum time available (in minutes)
+ * @param {Object} options - { granularity } in minutes (default 1)
+ * @returns {Object} - Selected tasks (chunks as partial copies), their total importance and
+ *   the number of DP cell updates it took
+ */
+export const zeroOneKnapsack = (tasks, timeLimit, { granularity = 1 } = {}) => {
+  const step = Math.max(1, Math.floor(granularity));
+  const W = Math.max(0, Math.floor(timeLimit / step));
+
+  if (tasks.length === 0 || W === 0) {
+    return { selectedTasks: [], totalValue: 0, cellUpdates: 0 };
+  }
+
+  const { best, select, cellUpdates } = fillKnapsack(tasks.map((task) => toOptions(task, step)), W, false);
+
+  // Backtrack to find the selected tasks (kept in their original order)
+  const selectedTasks = select(W).map(({ index, option }) => planChunk(tasks[index], option.minutes));
+
+  return { selectedTasks, totalValue: best[W], cellUpdates };
+};
+
+/**
+ * Best importance for every exact number of time steps spent on a group of tasks
+ * @param {Array} tasks - Tasks in the group
+ * @param {Number} capacity - Most steps the group may use
+ * @param {Number} step - Minutes per time step
+ * @returns {Object} - best[t] (-Infinity when t steps can't be filled exactly) and
+ *   select(t), which returns the tasks making up best[t]
+ */
+const exactTimeTable = (tasks, capacity, step) => {
+  const { best, select } = fillKnapsack(tasks.map((task) => toOptions(task, step)), capacity, true);
+  return {
+    best,
+    select: (steps) => select(steps).map(({ index, option }) => planChunk(tasks[index], option.minutes))
+  };
+};
+
+/**
+ * 0/1 knapsack with per-category time quotas (a multi-dimensional knapsack)
+ * Each quota category gets an exact-time table of its own; the tables are
+ * then combined as a group knapsack where a category may only spend between its
+ * minimum and maximum. Tasks outside every quota form one unbounded group.
+ * When the minimums can't all be met the plan is made with the maximums only.
+ * @param {Array} tasks - Array of tasks with importance, time and category properties
+ * @param {Number} timeLimit - Maximum time available (in minutes)
+ * @param {Object} quotas - Normalized quotas, { [category]: { min, max } } in minutes
+ * @param {Object} options - { granularity } in minutes (default 1)
+ * @returns {Object} - Selected tasks, their total importance and whether the minimums were met
+ */
+export const quotaKnapsack = (tasks, timeLimit, quotas, { granularity = 1 } = {}) => {
+  const step = Math.max(1, Math.floor(granularity));
+  const W = Math.max(0, Math.floor(timeLimit / step));
+
+  const groups = Object.entries(quotas).map(([category, { min, max }]) => {
+    const cap = max === null ? W : Math.min(Math.floor(max / step), W);
+    return {
+      table: exactTimeTable(tasks.filter((task) => getCategory(task) === category), cap, step),
+      min: Math.ceil((min || 0) / step),
+      max: cap
+    };
+  });
+  const others = tasks.filter((task) => !quotas[getCategory(task)]);
+  groups.push({ table: exactTimeTable(others, W, step), min: 0, max: W });
+
+  const solve = (useMinimums) => {
+    // total[w] = best importance of the groups so far within w steps
+    let total = new Float64Array(W + 1);
+    const picks = groups.map(({ table, min, max }) => {
+      const next = new Float64Array(W + 1).fill(-Infinity);
+      const pick = new Uint32Array(W + 1);
+      for (let w = 0; w <= W; w++) {
+        for (let t = useMinimums ? min : 0; t <= Math.min(max, w); t++) {
+          const value = table.best[t] + total[w - t];
+          if (value > next[w]) {
+            next[w] = value;
+            pick[w] = t;
+          }
+        }
+      }
+      total = next;
+      return pick;
+    });
+
+    if (total[W] === -Infinity) return null;
+
+    // Backtrack from the last group, keeping the input order within each group
+    const selectedTasks = [];
+    let w = W;
+    for (let g = groups.length - 1; g >= 0; g--) {
+      const t = picks[g][w];
+      selectedTasks.unshift(...groups[g].table.select(t));
+      w -= t;
+    }
+    return { selectedTasks, totalValue: total[W] };
+  };
+
+  const result = solve(true);
+  return result ? { ...result, minimumsMet: true } : { ...solve(false), minimumsMet: false };
+};
+
+/**
+ * Split tasks by their planning constraints
+ * Pinned (must-do) tasks are always planned, excluded tasks never are, and
+ * whatever budget is left after the pinned tasks goes to everything else.
+ * @param {Array} tasks - Array of tasks, optionally flagged with pinned/excluded
+ * @param {Number} timeLimit - Maximum time available (in minutes)
+ * @returns {Object} - Pinned, excluded and free tasks, the pinned time and the time left for free tasks
+ */
+export const applyPlanConstraints = (tasks, timeLimit) => {
+  const excludedTasks = tasks.filter((task) => task.excluded);
+  const pinnedTasks = tasks.filter((task) => task.pinned && !task.excluded);
+  const freeTasks = tasks.filter((task) => !task.pinned && !task.excluded);
+  const pinnedTime = pinnedTasks.reduce((sum, task) => sum + task.time, 0);
+
+  return {
+    pinnedTasks,
+    excludedTasks,
+    freeTasks,
+    pinnedTime,
+    remainingTime: timeLimit - pinnedTime,
+    feasible: pinnedTime <= timeLimit
+  };
+};
@@ -0,0 +1,82 @@
+import { zeroOneKnapsack, quotaKnapsack } from './knapsack';
+import { createRandom } from './taskGenerators';
+import { getCategory } from './quotas';
+
+const CATEGORIES = ['Deep work', 'Admin', ''];
+
+// A handful of small random tasks, the same on every run
+const randomTasks = (seed) => {
+  const random = createRandom(seed);
+  return Array.from({ length: 2 + Math.floor(random() * 6) }, (_, index) => ({
+    id: index + 1,
+    name: `Task ${index + 1}`,
+    importance: 1 + Math.floor(random() * 10),
+    time: 5 * (1 + Math.floor(random() * 12)),
+    category: CATEGORIES[Math.floor(random() * CATEGORIES.length)],
+    completed: false
+  }));
+};
+
+const sumOf = (tasks, key) => tasks.reduce((sum, task) => sum + task[key], 0);
+
+// Best total importance over every subset that passes `allowed`
+const bruteForce = (tasks, allowed) => {
+  let best = -Infinity;
+  for (let mask = 0; mask < 1 << tasks.length; mask++) {
+    const subset = tasks.filter((_, index) => mask & (1 << index));
+    if (allowed(subset)) best = Math.max(best, sumOf(subset, 'importance'));
+  }
+  return best;
+};
+
+const withinQuotas = (subset, quotas) =>
+  Object.entries(quotas).every(([category, { min, max }]) => {
+    const minutes = sumOf(subset.filter((task) => getCategory(task) === category), 'time');
+    return minutes >= (min || 0) && (max === null || minutes <= max);
+  });
+
+test('0/1 knapsack matches brute force on small cases', () => {
+  for (let seed = 1; seed <= 40; seed++) {
+    const tasks = randomTasks(seed);
+    const timeLimit = 5 * Math.floor(sumOf(tasks, 'time') / 10);
+    const { selectedTasks, totalValue } = zeroOneKnapsack(tasks, timeLimit);
+
+    expect(totalValue).toBe(bruteForce(tasks, (subset) => sumOf(subset, 'time') <= timeLimit));
+    expect(sumOf(selectedTasks, 'time')).toBeLessThanOrEqual(timeLimit);
+    expect(sumOf(selectedTasks, 'importance')).toBe(totalValue);
+  }
+});
+
+test('0/1 knapsack plans nothing without a budget', () => {
+  expect(zeroOneKnapsack(randomTasks(1), 0)).toEqual({ selectedTasks: [], totalValue: 0, cellUpdates: 0 });
+});
+
+test('quota knapsack matches brute force on small cases', () => {
+  const quotas = { 'Deep work': { min: 30, max: null }, Admin: { min: null, max: 20 } };
+
+  for (let seed = 1; seed <= 40; seed++) {
+    const tasks = randomTasks(seed);
+    const timeLimit = 5 * Math.floor(sumOf(tasks, 'time') / 10);
+    const { selectedTasks, totalValue, minimumsMet } = quotaKnapsack(tasks, timeLimit, quotas);
+    const best = bruteForce(tasks, (subset) => sumOf(subset, 'time') <= timeLimit && withinQuotas(subset, quotas));
+
+    // Without a plan meeting the minimums there is nothing to compare against
+    const possible = best !== -Infinity;
+
+    expect(minimumsMet).toBe(possible);
+    expect(possible ? totalValue : best).toBe(best);
+    expect(!possible || withinQuotas(selectedTasks, quotas)).toBe(true);
+    expect(sumOf(selectedTasks, 'time')).toBeLessThanOrEqual(timeLimit);
+  }
+});
+
+test('quota knapsack falls back to the maximums when a minimum can\'t be met', () => {
+  const tasks = [
+    { id: 1, name: 'Write', importance: 2, time: 60, category: 'Deep work' },
+    { id: 2, name: 'Email', importance: 5, time: 30, category: 'Admin' }
+  ];
+  const result = quotaKnapsack(tasks, 90, { 'Deep work': { min: 120, max: null }, Admin: { min: null, max: 20 } });
+
+  expect(result.minimumsMet).toBe(false);
+  expect(result.selectedTasks.map((task) => task.id)).toEqual([1]);
+});
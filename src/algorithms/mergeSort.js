@@ -1,12 +1,112 @@
 // src/algorithms/mergeSort.js
+
+// Locale-aware string order: case-insensitive, and "Task 2" before "Task 10"
+const collator = new Intl.Collator(undefined, { numeric: true, sensitivity: 'base' });
+
+const isMissing = (value) => value === undefined || value === null || value === '';
+
+/**
+ * Turn the sort arguments into an ordered list of sort keys
+ * @param {String|Array} sortBy - A property name, or sort keys
+ *   [{ key, direction: 'asc' | 'desc', missing: 'last' | 'first' }]
+ * @param {Boolean} ascending - Direction when sortBy is a single property name
+ * @returns {Array} - Sort keys, most significant first
+ */
+export const toSortKeys = (sortBy, ascending = false) =>
+  typeof sortBy === 'string' ? [{ key: sortBy, direction: ascending ? 'asc' : 'desc' }] : sortBy;
+
+/**
+ * Compare two tasks by a list of sort keys
+ * Later keys only break ties left by earlier ones. Strings are collated for the
+ * user's locale; tasks without a value for a key (e.g. no due date) go last, or
+ * first when the key says missing: 'first', whatever its direction.
+ * @param {Object} a - First task
+ * @param {Object} b - Second task
+ * @param {Array} sortKeys - Sort keys (see toSortKeys)
+ * @returns {Number} - Negative if a goes first, positive if b does, 0 for a tie
+ */
+export const compareTasks = (a, b, sortKeys) => {
+  for (const { key, direction = 'asc', missing = 'last' } of sortKeys) {
+    const aMissing = isMissing(a[key]);
+    const bMissing = isMissing(b[key]);
+    let result;
+
+    if (aMissing || bMissing) {
+      result = aMissing === bMissing ? 0 : (aMissing ? 1 : -1) * (missing === 'first' ? -1 : 1);
+    } else if (typeof a[key] === 'string' && typeof b[key] === 'string') {
+      result = collator.compare(a[key], b[key]) * (direction === 'desc' ? -1 : 1);
+    } else {
+      result = (a[key] < b[key] ? -1 : a[key] > b[key] ? 1 : 0) * (direction === 'desc' ? -1 : 1);
+    }
+
+    if (result !== 0) return result;
+  }
+  return 0;
+};
+
+/**
+ * Collector for the sorting instrumentation hook
+ * Pass it as mergeSort's 4th argument; once the sort returns it holds the
+ * number of comparisons, element moves and the deepest recursion level.
+ * @returns {Object} - { comparisons, moves, maxDepth } plus the hook callbacks
+ */
+export const createSortMetrics = () => {
+  const metrics = {
+    comparisons: 0,
+    moves: 0,
+    maxDepth: 0,
+    onCompare: (count) => { metrics.comparisons += count; },
+    onMove: (count) => { metrics.moves += count; },
+    onRecurse: (depth) => { metrics.maxDepth = Math.max(metrics.maxDepth, depth); }
+  };
+  return metrics;
+};
+
+/**
+ * Theoretical cost of merge sort on n items, to set measured counts against
+ * @param {Number} n - Number of items sorted
+ * @returns {Object} - n log2 n, the worst-case comparisons, the most moves
+ *   (every item written once per level) and the recursion depth
+ */
+export const mergeSortBounds = (n) => {
+  if (n <= 1) return { nLogN: 0, maxComparisons: 0, maxMoves: 0, depth: 0 };
+  const levels = Math.ceil(Math.log2(n));
+  return {
+    nLogN: Math.round(n * Math.log2(n)),
+    maxComparisons: n * levels - 2 ** levels + 1,
+    maxMoves: n * levels,
+    depth: levels
+  };
+};
+
+const noop = () => {};
+
 /**
  * Merge sort implementation for sorting tasks
+ * Stable: tasks that tie on every key keep their input order.
  * @param {Array} tasks - Array of task objects
- * @param {String} sortBy - Property to sort by (importance, time, etc.)
- * @param {Boolean} ascending - Sort order (true for ascending, false for descending)
+ * @param {String|Array} sortBy - Property to sort by (importance, time, dueDate, etc.),
+ *   or an ordered list of sort keys (see toSortKeys)
+ * @param {Boolean} ascending - Sort order when sortBy is a property name (true for ascending)
+ * @param {Object|Function} instrument - Optional hook { onCompare(count), onMove(count),
+ *   onRecurse(depth) } (see createSortMetrics); a plain function is taken as onCompare
  * @returns {Array} - Sorted array of tasks
  */
-export const mergeSort = (tasks, sortBy = 'importance', ascending = false) => {
+export const mergeSort = (tasks, sortBy = 'importance', ascending = false, instrument = null) => {
+    const hooks = typeof instrument === 'function' ? { onCompare: instrument } : instrument || {};
+    return sortRange(tasks, toSortKeys(sortBy, ascending), {
+      onCompare: hooks.onCompare || noop,
+      onMove: hooks.onMove || noop,
+      onRecurse: hooks.onRecurse || noop
+    }, 0);
+  };
+  
+  /**
+   * Sort one level of the recursion (the top call is depth 0)
+   */
+  const sortRange = (tasks, sortKeys, hooks, depth) => {
+    hooks.onRecurse(depth);
+    
     // Base case
     if (tasks.length <= 1) return tasks;
     
@@ -17,31 +117,26 @@ export const mergeSort = (tasks, sortBy = 'importance', ascending = false) => {
     
     // Recursive calls
     return merge(
-      mergeSort(left, sortBy, ascending),
-      mergeSort(right, sortBy, ascending),
-      sortBy,
-      ascending
+      sortRange(left, sortKeys, hooks, depth + 1),
+      sortRange(right, sortKeys, hooks, depth + 1),
+      sortKeys,
+      hooks
     );
   };
   
   /**
-   * Merge two sorted arrays
+   * Merge two sorted arrays, reporting comparisons and moves once per merge
    */
-  const merge = (left, right, sortBy, ascending) => {
+  const merge = (left, right, sortKeys, hooks) => {
     const result = [];
     let leftIndex = 0;
     let rightIndex = 0;
+    let comparisons = 0;
     
     while (leftIndex < left.length && rightIndex < right.length) {
-      // Determine which value is smaller/larger based on sort order
-      let comparison;
-      if (ascending) {
-        comparison = left[leftIndex][sortBy] <= right[rightIndex][sortBy];
-      } else {
-        comparison = left[leftIndex][sortBy] >= right[rightIndex][sortBy];
-      }
-      
-      if (comparison) {
+      comparisons++;
+      // Ties take from the left so equal tasks keep their order
+      if (compareTasks(left[leftIndex], right[rightIndex], sortKeys) <= 0) {
         result.push(left[leftIndex]);
         leftIndex++;
       } else {
@@ -50,6 +145,10 @@ export const mergeSort = (tasks, sortBy = 'importance', ascending = false) => {
       }
     }
     
+    hooks.onCompare(comparisons);
+    // Every element is written to the merged array once
+    hooks.onMove(left.length + right.length);
+    
     // Add remaining elements
     return result.concat(left.slice(leftIndex)).concat(right.slice(rightIndex));
-  };
\ No newline at end of file
+  };
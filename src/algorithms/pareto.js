@@ -0,0 +1,66 @@
+// src/algorithms/pareto.js
+import { planTasks, planTasksInGaps } from './planner';
+import { layOutWorkday } from './timeline';
+
+// Same range and step as the TimeSlider
+export const CURVE_MIN_BUDGET = 15;
+export const CURVE_MAX_BUDGET = 1440;
+export const CURVE_STEP = 15;
+
+// How long extra time has to add nothing before a budget counts as a turning point
+export const PLATEAU_MINUTES = 60;
+
+// Importance gains smaller than this count as no gain (fractional strategies)
+const EPSILON = 1e-9;
+
+/**
+ * Best total importance at every budget the time slider offers
+ * Each point also records whether it is where extra time stops paying off:
+ * it gained importance over the previous budget, but the next PLATEAU_MINUTES
+ * (or the rest of the day) add none. With meetings, each budget is laid out
+ * around them and planned into its free gaps, as the day's plan is.
+ * @param {Array} tasks - Array of task objects
+ * @param {Object} options - { strategy, quotas, granularity } as for planTasks, and
+ *   the day's meetings and timeline settings for layOutWorkday
+ * @returns {Object} - points [{ budget, value, taskCount, gain, stopsPaying }]
+ *   (value is null where must-do tasks don't fit), the highest value and the
+ *   smallest budget that reaches it
+ */
+export const buildBudgetCurve = (
+  tasks,
+  { strategy, quotas = {}, granularity = 1, meetings = [], settings } = {}
+) => {
+  const planBudget = (budget) => {
+    if (meetings.length === 0) return planTasks(tasks, budget, strategy, quotas, { granularity });
+    const { gaps, busyMinutes } = layOutWorkday(meetings, budget, settings);
+    return planTasksInGaps(tasks, gaps, strategy, quotas, { granularity, busyMinutes });
+  };
+
+  const points = [];
+  for (let budget = CURVE_MIN_BUDGET; budget <= CURVE_MAX_BUDGET; budget += CURVE_STEP) {
+    const plan = planBudget(budget);
+    points.push({
+      budget,
+      value: plan.infeasible ? null : plan.totalValue,
+      taskCount: plan.selectedTasks.length
+    });
+  }
+
+  let previousValue = 0;
+  const plateauSteps = PLATEAU_MINUTES / CURVE_STEP;
+  points.forEach((point, index) => {
+    const later = points[Math.min(index + plateauSteps, points.length - 1)];
+    point.gain = point.value === null ? 0 : point.value - previousValue;
+    point.stopsPaying = point.gain > EPSILON && later.value - point.value <= EPSILON;
+    if (point.value !== null) previousValue = point.value;
+  });
+
+  const maxValue = points.reduce((max, point) => Math.max(max, point.value || 0), 0);
+  const saturation = points.find((point) => point.value !== null && maxValue - point.value <= EPSILON);
+
+  return {
+    points,
+    maxValue,
+    saturationBudget: maxValue > 0 && saturation ? saturation.budget : null
+  };
+};
@@ -0,0 +1,25 @@
+import { buildBudgetCurve } from './pareto';
+
+const task = (id, importance, time) => ({
+  id,
+  name: `Task ${id}`,
+  importance,
+  time,
+  completed: false,
+  blockedBy: []
+});
+
+const valueAt = (curve, budget) => curve.points.find((point) => point.budget === budget).value;
+
+test('plans each budget around the meetings', () => {
+  const tasks = [task(1, 5, 60)];
+  const settings = { workStart: '09:00', lunchStart: '12:00', lunchMinutes: 0 };
+
+  const free = buildBudgetCurve(tasks, { settings });
+  const busy = buildBudgetCurve(tasks, { meetings: [{ start: 570, end: 600 }], settings });
+
+  expect(valueAt(free, 60)).toBe(5);
+  // 30m before the meeting and 60m after it only opens up at a 120m budget
+  expect(valueAt(busy, 90)).toBe(0);
+  expect(valueAt(busy, 120)).toBe(5);
+});
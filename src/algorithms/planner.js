@@ -0,0 +1,248 @@
+// src/algorithms/planner.js
+import { DEFAULT_STRATEGY, getStrategy } from './strategies';
+import { applyPlanConstraints } from './knapsack';
+import { getBlockers } from './dependencies';
+import { getRemainingTime } from './splitting';
+import { normalizeQuotas, subtractUsage, summarizeQuotas } from './quotas';
+
+/**
+ * Build the plan result shared by every view of "the plan"
+ * @param {Array} selectedTasks - Tasks that made it into the plan
+ * @param {Array} excludedTasks - Incomplete tasks that were left out
+ * @param {Number} timeLimit - Time budget the plan was made for (in minutes)
+ * @param {string} strategy - Id of the strategy that made the plan
+ * @param {Object} details - Extra fields such as pinnedTime, blockedTasks, quotas, infeasible and error
+ * @returns {Object} - Selected/excluded tasks, total importance, time used and time left
+ */
+export const createPlanResult = (
+  selectedTasks,
+  excludedTasks,
+  timeLimit,
+  strategy = DEFAULT_STRATEGY,
+  details = {}
+) => {
+  const totalValue = selectedTasks.reduce((sum, task) => sum + task.importance, 0);
+  const timeUsed = selectedTasks.reduce((sum, task) => sum + task.time, 0);
+
+  return {
+    selectedTasks,
+    excludedTasks,
+    totalValue,
+    timeUsed,
+    timeRemaining: Math.max(0, timeLimit - timeUsed),
+    timeLimit,
+    strategy,
+    pinnedTime: 0,
+    blockedTasks: [],
+    quotas: {},
+    quotaUsage: [],
+    quotasEnforced: true,
+    granularity: 1,
+    infeasible: false,
+    error: null,
+    ...details
+  };
+};
+
+/**
+ * Plan which incomplete tasks to work on within the time budget
+ * Completed tasks are ignored; every other task ends up either selected or excluded.
+ * Tasks are planned by the minutes they have left, so partly done splittable
+ * tasks only ask for the rest of their time.
+ * Tasks still waiting on an incomplete prerequisite are not available and stay out.
+ * Must-do (pinned) tasks are always selected and excluded tasks never are; if the
+ * pinned tasks alone exceed the budget the plan is marked infeasible.
+ * Category quotas bound the minutes spent per category; must-do tasks count
+ * against them first and the strategy fits the free tasks into what is left.
+ * @param {Array} tasks - Array of task objects
+ * @param {Number} timeLimit - Time budget (in minutes)
+ * @param {string} strategyId - Planning strategy to use (see PLANNING_STRATEGIES)
+ * @param {Object} categoryQuotas - { [category]: { min, max } } in minutes
+ * @param {Object} options - { granularity }: minutes per DP time step (default 1)
+ * @returns {Object} - Plan result (see createPlanResult)
+ */
+export const planTasks = (
+  tasks,
+  timeLimit,
+  strategyId = DEFAULT_STRATEGY,
+  categoryQuotas = {},
+  { granularity = 1 } = {}
+) => {
+  const strategy = getStrategy(strategyId);
+  const quotas = normalizeQuotas(categoryQuotas);
+  const quotasEnforced = Boolean(strategy.supportsQuotas) || Object.keys(quotas).length === 0;
+  const incompleteTasks = tasks
+    .filter((task) => !task.completed)
+    .map((task) => {
+      const remaining = getRemainingTime(task);
+      return remaining === task.time ? task : { ...task, time: remaining };
+    });
+  const blockers = getBlockers(tasks);
+  const blockedTasks = incompleteTasks.filter((task) => blockers[task.id]);
+  const availableTasks = incompleteTasks.filter((task) => !blockers[task.id]);
+  const { pinnedTasks, freeTasks, pinnedTime, remainingTime, feasible } =
+    applyPlanConstraints(availableTasks, timeLimit);
+
+  if (!feasible) {
+    return createPlanResult([], incompleteTasks, timeLimit, strategy.id, {
+      pinnedTime,
+      blockedTasks,
+      quotas,
+      quotasEnforced,
+      granularity,
+      infeasible: true,
+      error: `Must-do tasks need ${pinnedTime}m but only ${timeLimit}m is available. ` +
+        `Unpin some tasks or raise the time budget.`
+    });
+  }
+
+  const selectedTasks = [
+    ...pinnedTasks,
+    ...strategy.solve(freeTasks, remainingTime, { quotas: subtractUsage(quotas, pinnedTasks), granularity })
+  ];
+
+  const selectedIds = new Set(selectedTasks.map((task) => task.id));
+  const excludedTasks = incompleteTasks.filter((task) => !selectedIds.has(task.id));
+
+  return createPlanResult(selectedTasks, excludedTasks, timeLimit, strategy.id, {
+    pinnedTime,
+    blockedTasks,
+    quotas,
+    quotaUsage: summarizeQuotas(selectedTasks, quotas),
+    quotasEnforced,
+    granularity
+  });
+};
+
+// Fold the chunks of a task planned in several gaps into one entry; once they
+// add up to all of its time left, the entry is the whole task
+const combineChunks = (plannedTasks, incompleteTasks) => {
+  const combined = new Map();
+  plannedTasks.forEach((task) => {
+    const earlier = combined.get(task.id);
+    if (!earlier) {
+      combined.set(task.id, task);
+      return;
+    }
+    const minutes = earlier.time + task.time;
+    combined.set(task.id, minutes >= earlier.chunk.remaining
+      ? incompleteTasks.find((original) => original.id === task.id)
+      : {
+        ...earlier,
+        time: minutes,
+        importance: (earlier.chunk.importance * minutes) / earlier.chunk.remaining,
+        chunk: { ...earlier.chunk, minutes }
+      });
+  });
+  return [...combined.values()];
+};
+
+/**
+ * Plan the day's tasks into the free gaps between meetings (repeated knapsack)
+ * A task has to fit inside a single gap. Must-do tasks are placed first, each
+ * in the earliest gap with room left (largest tasks first); if one fits
+ * nowhere the plan is infeasible. Then each gap in turn gets the most valuable
+ * remaining tasks that fit beside its must-do tasks, so prerequisites planned
+ * in one gap unblock their tasks for the later ones. A chunk of a split task
+ * leaves the rest of it for the later gaps; the plan's task list has one
+ * entry per task, covering all its chunks. Category quotas apply to the day as
+ * a whole.
+ * @param {Array} tasks - Array of task objects
+ * @param {Array} gaps - Free stretches of { start, end } in minutes since midnight
+ * @param {string} strategyId - Planning strategy to use (see PLANNING_STRATEGIES)
+ * @param {Object} categoryQuotas - { [category]: { min, max } } in minutes
+ * @param {Object} options - { granularity, busyMinutes }
+ * @returns {Object} - Plan result (see createPlanResult) with gaps of
+ *   { start, end, tasks } and the busyMinutes it was planned around
+ */
+export const planTasksInGaps = (
+  tasks,
+  gaps,
+  strategyId = DEFAULT_STRATEGY,
+  categoryQuotas = {},
+  { granularity = 1, busyMinutes = 0 } = {}
+) => {
+  const strategy = getStrategy(strategyId);
+  const quotas = normalizeQuotas(categoryQuotas);
+  const quotasEnforced = Boolean(strategy.supportsQuotas) || Object.keys(quotas).length === 0;
+  const freeMinutes = gaps.reduce((sum, gap) => sum + gap.end - gap.start, 0);
+  const incompleteTasks = tasks
+    .filter((task) => !task.completed)
+    .map((task) => {
+      const remaining = getRemainingTime(task);
+      return remaining === task.time ? task : { ...task, time: remaining };
+    });
+  const blockers = getBlockers(tasks);
+  const { pinnedTasks, pinnedTime } = applyPlanConstraints(
+    incompleteTasks.filter((task) => !blockers[task.id]),
+    freeMinutes
+  );
+
+  // Place must-do tasks first-fit, largest first
+  const room = gaps.map((gap) => gap.end - gap.start);
+  const pinnedGap = new Map();
+  const unplaced = [];
+  [...pinnedTasks].sort((a, b) => b.time - a.time).forEach((task) => {
+    const index = room.findIndex((minutes) => minutes >= task.time);
+    if (index === -1) {
+      unplaced.push(task);
+    } else {
+      room[index] -= task.time;
+      pinnedGap.set(task.id, index);
+    }
+  });
+
+  if (unplaced.length > 0) {
+    return createPlanResult([], incompleteTasks, freeMinutes, strategy.id, {
+      pinnedTime,
+      blockedTasks: incompleteTasks.filter((task) => blockers[task.id]),
+      quotas,
+      quotasEnforced,
+      granularity,
+      busyMinutes,
+      infeasible: true,
+      error: `Must-do tasks don't fit between your meetings: ${unplaced.map((task) => `"${task.name}"`).join(', ')}. ` +
+        `Unpin some tasks or raise the time budget.`
+    });
+  }
+
+  let pool = tasks;
+  const gapTasks = [];
+  const plannedGaps = gaps.map((gap, index) => {
+    // Must-do tasks placed in other gaps sit this one out; must-do tasks that
+    // were blocked at the start of the day compete like any other task
+    const gapPool = pool.map((task) => {
+      if (!task.pinned || pinnedGap.get(task.id) === index) return task;
+      return pinnedGap.has(task.id) ? { ...task, excluded: true } : { ...task, pinned: false };
+    });
+    const plan = planTasks(gapPool, gap.end - gap.start, strategy.id, subtractUsage(quotas, gapTasks), { granularity });
+    gapTasks.push(...plan.selectedTasks);
+
+    // Whole tasks are done for the later gaps; chunks leave the rest of their task
+    const chunks = new Map(plan.selectedTasks.filter((task) => task.chunk).map((task) => [task.id, task.chunk]));
+    const plannedIds = new Set(plan.selectedTasks.map((task) => task.id));
+    pool = pool.map((task) => {
+      if (chunks.has(task.id)) {
+        const { remaining, minutes } = chunks.get(task.id);
+        return { ...task, remainingTime: remaining - minutes };
+      }
+      return plannedIds.has(task.id) ? { ...task, completed: true } : task;
+    });
+    return { ...gap, tasks: plan.selectedTasks };
+  });
+
+  const selectedTasks = combineChunks(gapTasks, incompleteTasks);
+  const selectedIds = new Set(selectedTasks.map((task) => task.id));
+  const excludedTasks = incompleteTasks.filter((task) => !selectedIds.has(task.id));
+
+  return createPlanResult(selectedTasks, excludedTasks, freeMinutes, strategy.id, {
+    pinnedTime,
+    blockedTasks: excludedTasks.filter((task) => blockers[task.id]),
+    quotas,
+    quotaUsage: summarizeQuotas(selectedTasks, quotas),
+    quotasEnforced,
+    granularity,
+    gaps: plannedGaps,
+    busyMinutes
+  });
+};
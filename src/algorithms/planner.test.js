@@ -0,0 +1,95 @@
+import { planTasks, planTasksInGaps } from './planner';
+
+const task = (id, importance, time, fields = {}) => ({
+  id,
+  name: `Task ${id}`,
+  importance,
+  time,
+  completed: false,
+  blockedBy: [],
+  ...fields
+});
+
+const gapIds = (plan) => plan.gaps.map((gap) => gap.tasks.map((t) => [t.id, t.time]));
+
+const ids = (tasks) => tasks.map((t) => t.id);
+
+test('always plans must-do tasks and never excluded ones', () => {
+  const tasks = [task(1, 1, 60, { pinned: true }), task(2, 9, 30, { excluded: true }), task(3, 8, 60), task(4, 5, 30)];
+  const plan = planTasks(tasks, 120);
+
+  expect(ids(plan.selectedTasks)).toEqual([1, 3]);
+  expect(ids(plan.excludedTasks)).toEqual([2, 4]);
+  expect(plan.pinnedTime).toBe(60);
+  expect(plan.totalValue).toBe(9);
+});
+
+test('marks the plan infeasible when must-do tasks overrun the budget', () => {
+  const plan = planTasks([task(1, 5, 60, { pinned: true }), task(2, 5, 45, { pinned: true })], 90);
+
+  expect(plan.infeasible).toBe(true);
+  expect(plan.selectedTasks).toEqual([]);
+  expect(plan.error).toMatch(/need 105m but only 90m/);
+});
+
+test('leaves tasks blocked by incomplete prerequisites out of the plan', () => {
+  const tasks = [
+    task(1, 2, 30),
+    task(2, 10, 30, { blockedBy: [1] }),
+    task(3, 9, 30, { blockedBy: [4] }),
+    task(4, 1, 30, { completed: true })
+  ];
+  const plan = planTasks(tasks, 120);
+
+  expect(ids(plan.selectedTasks)).toEqual([1, 3]);
+  expect(ids(plan.blockedTasks)).toEqual([2]);
+});
+
+test('keeps blocked must-do tasks out without making the plan infeasible', () => {
+  const plan = planTasks([task(1, 2, 60), task(2, 5, 90, { pinned: true, blockedBy: [1] })], 60);
+
+  expect(plan.infeasible).toBeFalsy();
+  expect(ids(plan.selectedTasks)).toEqual([1]);
+});
+
+test('fits tasks into the gaps between meetings', () => {
+  const tasks = [task(1, 9, 60), task(2, 5, 30), task(3, 1, 90)];
+  const plan = planTasksInGaps(tasks, [{ start: 540, end: 600 }, { start: 660, end: 690 }]);
+
+  expect(gapIds(plan)).toEqual([[[1, 60]], [[2, 30]]]);
+  expect(plan.excludedTasks.map((t) => t.id)).toEqual([3]);
+  expect(plan.timeLimit).toBe(90);
+});
+
+test('marks the plan infeasible when a must-do task fits in no gap', () => {
+  const plan = planTasksInGaps([task(1, 5, 90, { pinned: true })], [{ start: 540, end: 600 }, { start: 660, end: 720 }]);
+
+  expect(plan.infeasible).toBe(true);
+  expect(plan.error).toMatch(/"Task 1"/);
+});
+
+test('carries the rest of a split task into later gaps', () => {
+  const tasks = [task(1, 8, 90, { splittable: true, minChunk: 30 })];
+  const plan = planTasksInGaps(tasks, [{ start: 540, end: 600 }, { start: 660, end: 720 }]);
+
+  expect(gapIds(plan)).toEqual([[[1, 60]], [[1, 30]]]);
+  expect(plan.selectedTasks).toEqual([tasks[0]]);
+  expect(plan.totalValue).toBe(8);
+});
+
+test('keeps one entry per task for chunks that leave some of it unplanned', () => {
+  const tasks = [task(1, 6, 120, { splittable: true, minChunk: 30 })];
+  const plan = planTasksInGaps(tasks, [{ start: 540, end: 570 }, { start: 600, end: 630 }]);
+
+  expect(gapIds(plan)).toEqual([[[1, 30]], [[1, 30]]]);
+  expect(plan.selectedTasks).toEqual([
+    expect.objectContaining({ id: 1, time: 60, importance: 3, chunk: { minutes: 60, remaining: 120, importance: 6 } })
+  ]);
+});
+
+test('carries the rest of a fractional task into later gaps', () => {
+  const plan = planTasksInGaps([task(1, 9, 60), task(2, 4, 90)], [{ start: 540, end: 600 }, { start: 660, end: 720 }], 'fractional');
+
+  expect(gapIds(plan)).toEqual([[[1, 60]], [[2, 60]]]);
+  expect(plan.selectedTasks.map((t) => [t.id, t.time])).toEqual([[1, 60], [2, 60]]);
+});
@@ -0,0 +1,91 @@
+// src/algorithms/quotas.js
+
+export const DEFAULT_CATEGORIES = ['Deep work', 'Meetings', 'Admin', 'Learning', 'Personal'];
+
+/**
+ * Category a task counts against ('' for uncategorized tasks)
+ * @param {Object} task - Task object
+ * @returns {string} - Trimmed category name
+ */
+export const getCategory = (task) => (task.category || '').trim();
+
+/**
+ * Drop empty quotas and clean up their bounds
+ * A quota is { min, max } in minutes; either bound may be null.
+ * @param {Object} quotas - Map of category name to quota
+ * @returns {Object} - Only the quotas that constrain something
+ */
+export const normalizeQuotas = (quotas = {}) =>
+  Object.entries(quotas).reduce((result, [category, quota]) => {
+    const min = quota && quota.min > 0 ? Math.round(quota.min) : null;
+    const max = quota && quota.max !== null && quota.max !== undefined && quota.max !== ''
+      ? Math.max(0, Math.round(quota.max))
+      : null;
+    if (category.trim() && (min !== null || max !== null)) {
+      result[category.trim()] = { min, max };
+    }
+    return result;
+  }, {});
+
+/**
+ * Minutes planned per category
+ * @param {Array} tasks - Tasks to add up
+ * @returns {Object} - Map of category name to minutes
+ */
+export const getCategoryUsage = (tasks) =>
+  tasks.reduce((usage, task) => {
+    const category = getCategory(task);
+    usage[category] = (usage[category] || 0) + task.time;
+    return usage;
+  }, {});
+
+/**
+ * Quotas left for the free tasks once some tasks are already planned
+ * @param {Object} quotas - Normalized quotas
+ * @param {Array} plannedTasks - Tasks already in the plan (e.g. must-do tasks)
+ * @returns {Object} - Quotas with the planned minutes taken off both bounds
+ */
+export const subtractUsage = (quotas, plannedTasks) => {
+  const usage = getCategoryUsage(plannedTasks);
+  return Object.entries(quotas).reduce((result, [category, { min, max }]) => {
+    const used = usage[category] || 0;
+    result[category] = {
+      min: min === null ? null : Math.max(0, min - used),
+      max: max === null ? null : Math.max(0, max - used)
+    };
+    return result;
+  }, {});
+};
+
+/**
+ * Describe a quota the way the UI talks about it
+ * @param {string} category - Category name
+ * @param {Object} quota - { min, max } in minutes
+ * @returns {string} - e.g. "Meetings (at most 90m)"
+ */
+export const describeQuota = (category, { min, max }) => {
+  const bounds = [];
+  if (min !== null) bounds.push(`at least ${min}m`);
+  if (max !== null) bounds.push(`at most ${max}m`);
+  return `${category} (${bounds.join(', ')})`;
+};
+
+/**
+ * Check each quota against the tasks in a plan
+ * @param {Array} selectedTasks - Tasks in the plan
+ * @param {Object} quotas - Normalized quotas
+ * @returns {Array} - { category, min, max, used, met } per quota
+ */
+export const summarizeQuotas = (selectedTasks, quotas) => {
+  const usage = getCategoryUsage(selectedTasks);
+  return Object.entries(quotas).map(([category, { min, max }]) => {
+    const used = usage[category] || 0;
+    return {
+      category,
+      min,
+      max,
+      used,
+      met: (min === null || used >= min) && (max === null || used <= max)
+    };
+  });
+};
@@ -0,0 +1,50 @@
+// src/algorithms/splitting.js
+
+export const DEFAULT_MIN_CHUNK = 30;
+
+/**
+ * Minutes of work left on a task
+ * Splittable tasks carry remainingTime once chunks of them are done.
+ * @param {Object} task - Task object
+ * @returns {Number} - Minutes left (the full estimate if nothing is done yet)
+ */
+export const getRemainingTime = (task) =>
+  task.remainingTime !== undefined && task.remainingTime !== null ? task.remainingTime : task.time;
+
+/**
+ * Sizes a task can be planned in
+ * Whole tasks have a single option; splittable tasks can also be planned in
+ * any multiple of their minimum chunk size.
+ * @param {Object} task - Task whose time is the minutes still to plan
+ * @returns {Array} - Chunk sizes in minutes, ascending, the last one being the whole task
+ */
+export const getChunkOptions = (task) => {
+  if (!task.splittable) return [task.time];
+
+  const minChunk = Math.max(1, task.minChunk || DEFAULT_MIN_CHUNK);
+  const options = [];
+  for (let size = minChunk; size < task.time; size += minChunk) {
+    options.push(size);
+  }
+  options.push(task.time);
+  return options;
+};
+
+/**
+ * Plan part of a task
+ * Importance is credited in proportion to the minutes planned; the chunk keeps
+ * the task's full importance for display.
+ * @param {Object} task - Task whose time is the minutes still to plan
+ * @param {Number} minutes - Size of the chunk to plan
+ * @returns {Object} - Task copy for the chunk, or the task itself when planned whole
+ */
+export const planChunk = (task, minutes) => {
+  if (minutes >= task.time) return task;
+
+  return {
+    ...task,
+    time: minutes,
+    importance: (task.importance * minutes) / task.time,
+    chunk: { minutes, remaining: task.time, importance: task.importance }
+  };
+};
@@ -0,0 +1,31 @@
+import { getRemainingTime, getChunkOptions, planChunk } from './splitting';
+
+const task = (fields = {}) => ({ id: 1, name: 'Report', importance: 6, time: 90, completed: false, ...fields });
+
+test('offers whole tasks in one size only', () => {
+  expect(getChunkOptions(task())).toEqual([90]);
+});
+
+test('offers splittable tasks in multiples of their minimum chunk', () => {
+  expect(getChunkOptions(task({ splittable: true, minChunk: 40 }))).toEqual([40, 80, 90]);
+  expect(getChunkOptions(task({ splittable: true }))).toEqual([30, 60, 90]);
+});
+
+test('credits a chunk its share of the importance', () => {
+  expect(planChunk(task(), 30)).toEqual({
+    ...task(),
+    time: 30,
+    importance: 2,
+    chunk: { minutes: 30, remaining: 90, importance: 6 }
+  });
+});
+
+test('plans the whole task as itself', () => {
+  const whole = task();
+  expect(planChunk(whole, 90)).toBe(whole);
+});
+
+test('counts the minutes left once chunks are done', () => {
+  expect(getRemainingTime(task({ remainingTime: 45 }))).toBe(45);
+  expect(getRemainingTime(task({ remainingTime: null }))).toBe(90);
+});
@@ -0,0 +1,69 @@
+// src/algorithms/strategies.js
+import { knapsackOptimization, zeroOneKnapsack, quotaKnapsack } from './knapsack';
+import { greedyByRatio, fractionalKnapsack } from './greedy';
+
+/**
+ * Registry of planning strategies
+ * Every strategy takes the incomplete tasks and a time limit and returns
+ * the tasks it would work on. Time and importance of a returned task may be
+ * scaled down when the strategy only plans part of it. The third argument
+ * carries { quotas, granularity }: strategies flagged supportsQuotas honor the
+ * per-category quotas left for the free tasks, and strategies flagged
+ * usesGranularity count time in steps of granularity minutes.
+ */
+export const PLANNING_STRATEGIES = [
+  {
+    id: 'exact',
+    name: 'Exact 0/1 Knapsack',
+    description: 'Dynamic programming over whole tasks. Finds the highest total importance that fits; planning in steps coarser than 1 minute rounds estimates up, so the result is only approximate.',
+    supportsQuotas: true,
+    usesGranularity: true,
+    solve: (tasks, timeLimit, { quotas = {}, granularity = 1 } = {}) =>
+      Object.keys(quotas).length > 0
+        ? quotaKnapsack(tasks, timeLimit, quotas, { granularity }).selectedTasks
+        : zeroOneKnapsack(tasks, timeLimit, { granularity }).selectedTasks
+  },
+  {
+    id: 'greedy',
+    name: 'Greedy (Importance per Minute)',
+    description: 'Takes whole tasks with the best importance per minute first. Quick and easy to follow, but can leave value on the table.',
+    solve: (tasks, timeLimit) => greedyByRatio(tasks, timeLimit).selectedTasks
+  },
+  {
+    id: 'proportional',
+    name: 'Proportional Scaling',
+    description: 'Keeps every task and shrinks each one in proportion to its estimate so everything fits in the budget.',
+    // Shrunk tasks are planned as chunks, so the rest of each stays to be done
+    solve: (tasks, timeLimit) =>
+      knapsackOptimization(tasks, timeLimit).adjustedTasks
+        .map((adjusted, index) => {
+          const task = tasks[index];
+          return adjusted.time < task.time
+            ? { ...adjusted, chunk: { minutes: adjusted.time, remaining: task.time, importance: task.importance } }
+            : adjusted;
+        })
+        .filter((task) => task.time > 0)
+  },
+  {
+    id: 'fractional',
+    name: 'Fractional Knapsack',
+    description: 'Greedy by importance per minute, filling the leftover time with part of the next task.',
+    solve: (tasks, timeLimit) => fractionalKnapsack(tasks, timeLimit).selectedTasks
+  }
+];
+
+export const DEFAULT_STRATEGY = 'exact';
+
+// Time steps (in minutes) the DP can count in; coarser steps plan big budgets
+// faster but round estimates up, so only 1-minute steps are exact
+export const GRANULARITY_OPTIONS = [1, 5, 15];
+export const DEFAULT_GRANULARITY = 1;
+
+/**
+ * Look up a planning strategy by id
+ * @param {string} id - Strategy id
+ * @returns {Object} - The matching strategy, or the default one for unknown ids
+ */
+export const getStrategy = (id) =>
+  PLANNING_STRATEGIES.find((strategy) => strategy.id === id) ||
+  PLANNING_STRATEGIES.find((strategy) => strategy.id === DEFAULT_STRATEGY);
@@ -0,0 +1,71 @@
+// src/algorithms/taskGenerators.js
+
+/**
+ * Seeded pseudo-random numbers (mulberry32), so a benchmark can be rerun on
+ * exactly the same tasks
+ * @param {Number} seed - Any integer
+ * @returns {Function} - Returns the next number in [0, 1) on every call
+ */
+export const createRandom = (seed) => {
+  let state = seed >>> 0;
+  return () => {
+    state = (state + 0x6d2b79f5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+};
+
+// Random integer in [min, max] in steps of `step`
+const randomStep = (random, min, max, step = 1) =>
+  min + step * Math.floor(random() * (Math.floor((max - min) / step) + 1));
+
+export const TASK_DISTRIBUTIONS = [
+  {
+    id: 'uniform',
+    name: 'Uniform',
+    description: 'Importance 1-10 and estimates of 15m-4h, evenly spread.',
+    makeTask: (random) => ({
+      time: randomStep(random, 15, 240, 5),
+      importance: randomStep(random, 1, 10)
+    })
+  },
+  {
+    id: 'skewed',
+    name: 'Skewed importance',
+    description: 'Most tasks matter little and a few matter a lot; estimates of 15m-4h.',
+    makeTask: (random) => ({
+      time: randomStep(random, 15, 240, 5),
+      importance: 1 + Math.floor(9 * random() ** 3)
+    })
+  },
+  {
+    id: 'tiny',
+    name: 'Many tiny tasks',
+    description: 'Estimates of 5-20 minutes with any importance.',
+    makeTask: (random) => ({
+      time: randomStep(random, 5, 20, 5),
+      importance: randomStep(random, 1, 10)
+    })
+  }
+];
+
+/**
+ * Generate a synthetic backlog
+ * @param {string} distribution - Distribution id (see TASK_DISTRIBUTIONS)
+ * @param {Number} size - Number of tasks
+ * @param {Number} seed - Random seed
+ * @returns {Array} - Incomplete task objects shaped like the ones TaskForm creates
+ */
+export const generateTasks = (distribution, size, seed = 1) => {
+  const { makeTask } = TASK_DISTRIBUTIONS.find((d) => d.id === distribution) || TASK_DISTRIBUTIONS[0];
+  const random = createRandom(seed);
+
+  return Array.from({ length: size }, (_, index) => ({
+    id: index + 1,
+    name: `Task ${index + 1}`,
+    ...makeTask(random),
+    completed: false
+  }));
+};
@@ -0,0 +1,180 @@
+// src/algorithms/timeline.js
+import { mergeSort } from './mergeSort';
+import { topologicalSort } from './dependencies';
+
+export const DEFAULT_TIMELINE_SETTINGS = {
+  workStart: '09:00',
+  breakMinutes: 10,
+  lunchStart: '12:30',
+  lunchMinutes: 45
+};
+
+/**
+ * Convert a "HH:MM" clock time to minutes since midnight
+ * @param {string} clock - Time in 24h "HH:MM" format
+ * @returns {Number} - Minutes since midnight
+ */
+export const parseClockTime = (clock) => {
+  const [hours, minutes] = clock.split(':').map((part) => parseInt(part, 10) || 0);
+  return hours * 60 + minutes;
+};
+
+/**
+ * Convert minutes since midnight to a "HH:MM" clock time (wraps past midnight)
+ * @param {Number} minutes - Minutes since midnight
+ * @returns {string} - Time in 24h "HH:MM" format
+ */
+export const formatClockTime = (minutes) => {
+  const wrapped = ((Math.round(minutes) % 1440) + 1440) % 1440;
+  const hours = Math.floor(wrapped / 60);
+  const mins = wrapped % 60;
+  return `${hours.toString().padStart(2, '0')}:${mins.toString().padStart(2, '0')}`;
+};
+
+/**
+ * Lay planned tasks out as a timeline of clock-time blocks
+ * Most important work goes first, prerequisites always before the tasks they
+ * block. A short break separates consecutive tasks, and lunch is taken next to
+ * the first task that would otherwise run past the lunch start.
+ * @param {Array} tasks - Tasks to lay out (usually plan.selectedTasks)
+ * @param {Object} settings - { workStart, breakMinutes, lunchStart, lunchMinutes }
+ * @returns {Array} - Blocks of { type: 'task' | 'break' | 'lunch', task, start, end } in minutes since midnight
+ */
+export const buildTimeline = (tasks, settings = DEFAULT_TIMELINE_SETTINGS) => {
+  const { workStart, breakMinutes, lunchStart, lunchMinutes } = { ...DEFAULT_TIMELINE_SETTINGS, ...settings };
+  const lunchAt = parseClockTime(lunchStart);
+  const ordered = topologicalSort(mergeSort(tasks, 'importance', false));
+
+  const blocks = [];
+  let clock = parseClockTime(workStart);
+  let lunchTaken = lunchMinutes <= 0 || clock >= lunchAt;
+
+  const takeLunch = () => {
+    blocks.push({ type: 'lunch', start: clock, end: clock + lunchMinutes });
+    clock += lunchMinutes;
+    lunchTaken = true;
+  };
+
+  ordered.forEach((task, index) => {
+    const afterLunch = blocks.length > 0 && blocks[blocks.length - 1].type === 'lunch';
+    const gap = index > 0 && !afterLunch ? breakMinutes : 0;
+    const crossesLunch = !lunchTaken && clock + gap + task.time > lunchAt;
+
+    // Take lunch on whichever side of the task is closer to the lunch start;
+    // lunch replaces the short break when it comes first
+    if (crossesLunch && lunchAt - clock <= clock + gap + task.time - lunchAt) {
+      takeLunch();
+    } else if (gap > 0) {
+      blocks.push({ type: 'break', start: clock, end: clock + breakMinutes });
+      clock += breakMinutes;
+    }
+
+    blocks.push({ type: 'task', task, start: clock, end: clock + task.time });
+    clock += task.time;
+
+    if (crossesLunch && !lunchTaken) {
+      takeLunch();
+    }
+  });
+
+  return blocks;
+};
+
+// Whether any block covers the minute starting at `minute`
+const covers = (blocks, minute) => blocks.some((block) => block.start <= minute && minute < block.end);
+
+/**
+ * Split the working day into free gaps around meetings and lunch
+ * The day runs from workStart until `timeLimit` minutes of work have passed.
+ * Meetings count against that time; lunch doesn't, it just pushes the rest of
+ * the day back. What's left for tasks is the free gaps, which add up to
+ * timeLimit minus the busy minutes.
+ * @param {Array} meetings - Fixed blocks of { start, end } in minutes since midnight
+ * @param {Number} timeLimit - Working minutes in the day (the time budget)
+ * @param {Object} settings - { workStart, lunchStart, lunchMinutes }
+ * @returns {Object} - { gaps: [{ start, end }], busyMinutes }
+ */
+export const layOutWorkday = (meetings, timeLimit, settings = DEFAULT_TIMELINE_SETTINGS) => {
+  const { workStart, lunchStart, lunchMinutes } = { ...DEFAULT_TIMELINE_SETTINGS, ...settings };
+  const dayStart = parseClockTime(workStart);
+  const lunchAt = parseClockTime(lunchStart);
+  const lunch = lunchMinutes > 0 ? [{ start: lunchAt, end: lunchAt + lunchMinutes }] : [];
+  const boundaries = [...new Set([...meetings, ...lunch].flatMap((block) => [block.start, block.end]))]
+    .filter((minute) => minute > dayStart)
+    .sort((a, b) => a - b);
+
+  const gaps = [];
+  let busyMinutes = 0;
+  let budget = timeLimit;
+  let clock = dayStart;
+
+  // Walk the day segment by segment; a meeting during lunch counts as a meeting
+  for (let i = 0; budget > 0; i++) {
+    const next = i < boundaries.length ? boundaries[i] : Infinity;
+    if (covers(meetings, clock)) {
+      const length = Math.min(next - clock, budget);
+      busyMinutes += length;
+      budget -= length;
+      clock += length;
+    } else if (covers(lunch, clock)) {
+      clock = next;
+    } else {
+      const length = Math.min(next - clock, budget);
+      const last = gaps[gaps.length - 1];
+      if (last && last.end === clock) {
+        last.end += length;
+      } else {
+        gaps.push({ start: clock, end: clock + length });
+      }
+      budget -= length;
+      clock += length;
+    }
+  }
+
+  return { gaps, busyMinutes };
+};
+
+/**
+ * Lay out a plan made for free gaps between meetings
+ * Meetings and lunch stay where they are. Each gap's tasks run back to back
+ * from the start of the gap, most important first, with a short break between
+ * tasks whenever the gap has room to spare for it.
+ * @param {Array} gaps - Planned gaps of { start, end, tasks } (plan.gaps)
+ * @param {Array} meetings - Meetings of { id, name, start, end }
+ * @param {Object} settings - { breakMinutes, lunchStart, lunchMinutes }
+ * @returns {Array} - Blocks as from buildTimeline, plus { type: 'meeting', meeting } blocks
+ */
+export const buildGapTimeline = (gaps, meetings, settings = DEFAULT_TIMELINE_SETTINGS) => {
+  const { breakMinutes, lunchStart, lunchMinutes } = { ...DEFAULT_TIMELINE_SETTINGS, ...settings };
+  const lunchAt = parseClockTime(lunchStart);
+  const blocks = meetings.map((meeting) => ({ type: 'meeting', meeting, start: meeting.start, end: meeting.end }));
+  if (lunchMinutes > 0) {
+    blocks.push({ type: 'lunch', start: lunchAt, end: lunchAt + lunchMinutes });
+  }
+
+  gaps.forEach(({ start, end, tasks }) => {
+    let slack = end - start - tasks.reduce((sum, task) => sum + task.time, 0);
+    let clock = start;
+    topologicalSort(mergeSort(tasks, 'importance', false)).forEach((task, index) => {
+      if (index > 0 && breakMinutes > 0 && slack >= breakMinutes) {
+        blocks.push({ type: 'break', start: clock, end: clock + breakMinutes });
+        clock += breakMinutes;
+        slack -= breakMinutes;
+      }
+      blocks.push({ type: 'task', task, start: clock, end: clock + task.time });
+      clock += task.time;
+    });
+  });
+
+  return blocks.sort((a, b) => a.start - b.start);
+};
+
+/**
+ * Timeline for a plan, around meetings when it was made for free gaps
+ * @param {Object} plan - Plan result
+ * @param {Object} settings - Timeline settings
+ * @param {Array} meetings - Today's meetings
+ * @returns {Array} - Timeline blocks
+ */
+export const buildPlanTimeline = (plan, settings, meetings = []) =>
+  plan.gaps ? buildGapTimeline(plan.gaps, meetings, settings) : buildTimeline(plan.selectedTasks, settings);
@@ -0,0 +1,79 @@
+// src/algorithms/weekPlanner.js
+import { planTasks } from './planner';
+import { DEFAULT_STRATEGY } from './strategies';
+import { getRemainingTime } from './splitting';
+
+export const DEFAULT_WEEK_BUDGETS = [
+  { day: 'Mon', minutes: 360 },
+  { day: 'Tue', minutes: 360 },
+  { day: 'Wed', minutes: 360 },
+  { day: 'Thu', minutes: 360 },
+  { day: 'Fri', minutes: 180 },
+  { day: 'Sat', minutes: 0 },
+  { day: 'Sun', minutes: 0 }
+];
+
+/**
+ * Spread the incomplete backlog across several days (repeated knapsack)
+ * Each day in turn gets the most valuable set of remaining tasks that fits its
+ * budget, so the highest value lands earliest. Tasks planned on a day count as
+ * done for later days, which lets blocked tasks follow their prerequisites.
+ * A chunk of a splittable task leaves the rest of it for the following days.
+ * Must-do tasks only apply to the first day. Every day is planned with the
+ * same strategy, category quotas and granularity as the day plan.
+ * @param {Array} tasks - Array of task objects
+ * @param {Array} dayBudgets - Array of { day, minutes } in planning order
+ * @param {Object} options - { strategy, quotas, granularity }
+ * @returns {Object} - Per-day plans, overflow tasks that fit nowhere, total value and any error
+ */
+export const planWeek = (
+  tasks,
+  dayBudgets,
+  { strategy = DEFAULT_STRATEGY, quotas = {}, granularity = 1 } = {}
+) => {
+  let pool = tasks;
+  let error = null;
+  const days = [];
+  const plannedIds = new Set();
+
+  dayBudgets.forEach(({ day, minutes }) => {
+    let plan = planTasks(pool, minutes, strategy, quotas, { granularity });
+
+    if (plan.infeasible) {
+      error = `${day}: ${plan.error}`;
+      pool = pool.map((task) => ({ ...task, pinned: false }));
+      plan = planTasks(pool, minutes, strategy, quotas, { granularity });
+    }
+
+    days.push({ day, budget: minutes, plan });
+
+    const chunks = new Map();
+    plan.selectedTasks.forEach((task) => {
+      if (task.chunk) {
+        chunks.set(task.id, task.chunk);
+      } else {
+        plannedIds.add(task.id);
+      }
+    });
+    pool = pool.map((task) => ({
+      ...task,
+      completed: task.completed || plannedIds.has(task.id),
+      remainingTime: chunks.has(task.id)
+        ? chunks.get(task.id).remaining - chunks.get(task.id).minutes
+        : task.remainingTime,
+      pinned: false
+    }));
+  });
+
+  // Whatever is left in the pool didn't fit; partly planned tasks show only their leftover
+  const overflowTasks = pool
+    .filter((task) => !task.completed && !task.excluded)
+    .map((task) => ({ ...task, time: getRemainingTime(task) }));
+
+  return {
+    days,
+    overflowTasks,
+    totalValue: days.reduce((sum, { plan }) => sum + plan.totalValue, 0),
+    error
+  };
+};
@@ -0,0 +1,48 @@
+import { planWeek } from './weekPlanner';
+
+const task = (id, importance, time, fields = {}) => ({
+  id,
+  name: `Task ${id}`,
+  importance,
+  time,
+  completed: false,
+  blockedBy: [],
+  ...fields
+});
+
+test('plans the most valuable tasks on the earliest days', () => {
+  const tasks = [task(1, 2, 60), task(2, 9, 60), task(3, 5, 60)];
+  const { days, overflowTasks } = planWeek(tasks, [{ day: 'Mon', minutes: 60 }, { day: 'Tue', minutes: 60 }]);
+
+  expect(days.map(({ plan }) => plan.selectedTasks.map((t) => t.id))).toEqual([[2], [3]]);
+  expect(overflowTasks.map((t) => t.id)).toEqual([1]);
+});
+
+test('lets a blocked task follow its prerequisite on a later day', () => {
+  const tasks = [task(1, 9, 60, { blockedBy: [2] }), task(2, 1, 60)];
+  const { days } = planWeek(tasks, [{ day: 'Mon', minutes: 60 }, { day: 'Tue', minutes: 60 }]);
+
+  expect(days.map(({ plan }) => plan.selectedTasks.map((t) => t.id))).toEqual([[2], [1]]);
+});
+
+test('carries the rest of a split task over to the next days', () => {
+  const tasks = [task(1, 8, 90, { splittable: true, minChunk: 30 })];
+  const { days, overflowTasks } = planWeek(tasks, [{ day: 'Mon', minutes: 60 }, { day: 'Tue', minutes: 20 }]);
+
+  expect(days[0].plan.selectedTasks[0].time).toBe(60);
+  expect(days[1].plan.selectedTasks).toEqual([]);
+  expect(overflowTasks).toEqual([expect.objectContaining({ id: 1, time: 30 })]);
+});
+
+test('carries the rest of a fractional task over to the next days', () => {
+  const tasks = [task(1, 9, 60), task(2, 4, 90)];
+  const { days, overflowTasks } = planWeek(
+    tasks,
+    [{ day: 'Mon', minutes: 100 }, { day: 'Tue', minutes: 20 }],
+    { strategy: 'fractional' }
+  );
+
+  expect(days[0].plan.selectedTasks.map((t) => [t.id, t.time])).toEqual([[1, 60], [2, 40]]);
+  expect(days[1].plan.selectedTasks.map((t) => [t.id, t.time])).toEqual([[2, 20]]);
+  expect(overflowTasks).toEqual([expect.objectContaining({ id: 2, time: 30 })]);
+});
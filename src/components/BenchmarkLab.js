@@ -0,0 +1,289 @@
+import React, { useState, useEffect, useRef } from 'react';
+import { createPlannerClient } from '../workers/plannerClient';
+import { DEFAULT_BENCHMARK_CONFIG } from '../algorithms/benchmark';
+import { TASK_DISTRIBUTIONS } from '../algorithms/taskGenerators';
+import { GRANULARITY_OPTIONS } from '../algorithms/strategies';
+import { downloadFile } from '../utils/download';
+
+const SIZE_OPTIONS = [50, 100, 200, 500, 1000, 2000];
+
+// Chart geometry (SVG user units)
+const LABEL_WIDTH = 170;
+const BAR_HEIGHT = 18;
+const ROW_HEIGHT = 26;
+const CHART_WIDTH = 520;
+const BAR_SPACE = CHART_WIDTH - LABEL_WIDTH - 70;
+
+const CHART_METRICS = [
+  { id: 'timeMs', label: 'Wall time', format: (value) => `${value.toFixed(2)} ms` },
+  { id: 'operations', label: 'Operations', format: (value) => value.toLocaleString() }
+];
+
+const BenchmarkLab = ({ darkMode }) => {
+  const clientRef = useRef(null);
+  const controllerRef = useRef(null);
+  const [config, setConfig] = useState(DEFAULT_BENCHMARK_CONFIG);
+  const [report, setReport] = useState(null);
+  const [isRunning, setIsRunning] = useState(false);
+  const [error, setError] = useState(null);
+  const [chartMetric, setChartMetric] = useState('timeMs');
+
+  useEffect(() => {
+    clientRef.current = createPlannerClient();
+    return () => clientRef.current.terminate();
+  }, []);
+
+  const updateConfig = (key, value) => setConfig({ ...config, [key]: value });
+
+  const runBenchmark = () => {
+    const controller = new AbortController();
+    controllerRef.current = controller;
+    setIsRunning(true);
+    setError(null);
+
+    clientRef.current
+      .requestBenchmark(config, { signal: controller.signal })
+      .then((result) => {
+        setReport({ generatedAt: new Date().toISOString(), ...result });
+        setIsRunning(false);
+      })
+      .catch((err) => {
+        setIsRunning(false);
+        if (err.name === 'AbortError') return;
+        console.error('Error running benchmark:', err);
+        setError(err.message);
+      });
+  };
+
+  const cancelBenchmark = () => {
+    if (controllerRef.current) controllerRef.current.abort();
+  };
+
+  const exportReport = () => {
+    const { distribution, size } = report.config;
+    downloadFile(
+      `benchmark-${distribution}-${size}.json`,
+      JSON.stringify(report, null, 2),
+      'application/json'
+    );
+  };
+
+  const inputClass = `w-full rounded border py-1 px-2 text-sm ${
+    darkMode ? 'bg-gray-700 border-gray-600 text-white' : 'bg-white border-gray-300'
+  }`;
+  const mutedClass = darkMode ? 'text-gray-400' : 'text-gray-500';
+  const metric = CHART_METRICS.find((m) => m.id === chartMetric);
+  const distribution = TASK_DISTRIBUTIONS.find((d) => d.id === config.distribution);
+
+  const renderChart = () => {
+    const largest = Math.max(...report.results.map((result) => result[chartMetric]), 1e-9);
+    return (
+      <svg
+        viewBox={`0 0 ${CHART_WIDTH} ${report.results.length * ROW_HEIGHT}`}
+        className="w-full"
+        role="img"
+        aria-label={`${metric.label} per algorithm`}
+      >
+        {report.results.map((result, index) => {
+          const width = Math.max(1, (result[chartMetric] / largest) * BAR_SPACE);
+          const top = index * ROW_HEIGHT;
+          return (
+            <g key={result.id}>
+              <text x={LABEL_WIDTH - 8} y={top + 13} fontSize="11" textAnchor="end" fill={darkMode ? '#D1D5DB' : '#374151'}>
+                {result.name}
+              </text>
+              <rect
+                x={LABEL_WIDTH}
+                y={top}
+                width={width}
+                height={BAR_HEIGHT}
+                rx="3"
+                fill={result.kind === 'sort' ? '#8B5CF6' : '#6366F1'}
+              />
+              <text x={LABEL_WIDTH + width + 6} y={top + 13} fontSize="10" fill={darkMode ? '#9CA3AF' : '#6B7280'}>
+                {metric.format(result[chartMetric])}
+              </text>
+            </g>
+          );
+        })}
+      </svg>
+    );
+  };
+
+  return (
+    <div className={`rounded-xl shadow-sm ${darkMode ? 'bg-gray-800 border border-gray-700' : 'bg-white'}`}>
+      <div className="p-5 border-b border-gray-200 dark:border-gray-700">
+        <h2 className="text-lg font-semibold">Benchmark Lab</h2>
+        <p className={`text-sm mt-1 ${mutedClass}`}>
+          Runs every sort and planning algorithm on the same generated tasks and
+          compares wall time with the work each one does.
+        </p>
+      </div>
+
+      <div className="p-5">
+        <div className="grid grid-cols-2 md:grid-cols-3 gap-4">
+          <label className="text-sm">
+            <span className="block mb-1 font-medium">Distribution</span>
+            <select
+              value={config.distribution}
+              onChange={(e) => updateConfig('distribution', e.target.value)}
+              className={inputClass}
+            >
+              {TASK_DISTRIBUTIONS.map((d) => (
+                <option key={d.id} value={d.id}>{d.name}</option>
+              ))}
+            </select>
+          </label>
+          <label className="text-sm">
+            <span className="block mb-1 font-medium">Tasks</span>
+            <select
+              value={config.size}
+              onChange={(e) => updateConfig('size', Number(e.target.value))}
+              className={inputClass}
+            >
+              {SIZE_OPTIONS.map((size) => (
+                <option key={size} value={size}>{size}</option>
+              ))}
+            </select>
+          </label>
+          <label className="text-sm">
+            <span className="block mb-1 font-medium">Time budget (min)</span>
+            <input
+              type="number"
+              min="15"
+              max="1440"
+              step="15"
+              value={config.timeLimit}
+              onChange={(e) => updateConfig('timeLimit', Math.max(15, parseInt(e.target.value, 10) || 15))}
+              className={inputClass}
+            />
+          </label>
+          <label className="text-sm">
+            <span className="block mb-1 font-medium">DP step</span>
+            <select
+              value={config.granularity}
+              onChange={(e) => updateConfig('granularity', Number(e.target.value))}
+              className={inputClass}
+            >
+              {GRANULARITY_OPTIONS.map((minutes) => (
+                <option key={minutes} value={minutes}>{minutes} min</option>
+              ))}
+            </select>
+          </label>
+          <label className="text-sm">
+            <span className="block mb-1 font-medium">Repetitions</span>
+            <input
+              type="number"
+              min="1"
+              max="20"
+              value={config.repetitions}
+              onChange={(e) => updateConfig('repetitions', Math.min(20, Math.max(1, parseInt(e.target.value, 10) || 1)))}
+              className={inputClass}
+            />
+          </label>
+          <label className="text-sm">
+            <span className="block mb-1 font-medium">Seed</span>
+            <input
+              type="number"
+              value={config.seed}
+              onChange={(e) => updateConfig('seed', parseInt(e.target.value, 10) || 0)}
+              className={inputClass}
+            />
+          </label>
+        </div>
+        {distribution && <p className={`text-xs mt-2 ${mutedClass}`}>{distribution.description}</p>}
+
+        <div className="flex items-center gap-3 mt-4">
+          <button
+            onClick={runBenchmark}
+            disabled={isRunning}
+            className="px-4 py-2 rounded-lg text-sm font-medium text-white bg-indigo-600 hover:bg-indigo-700 disabled:opacity-50"
+          >
+            {isRunning ? 'Running…' : 'Run Benchmark'}
+          </button>
+          {isRunning && (
+            <button
+              onClick={cancelBenchmark}
+              className={`px-4 py-2 rounded-lg text-sm font-medium ${
+                darkMode ? 'bg-gray-700 hover:bg-gray-600' : 'bg-gray-100 hover:bg-gray-200'
+              }`}
+            >
+              Cancel
+            </button>
+          )}
+          {report && !isRunning && (
+            <button
+              onClick={exportReport}
+              className={`text-sm font-medium ${
+                darkMode ? 'text-indigo-400 hover:text-indigo-300' : 'text-indigo-600 hover:text-indigo-700'
+              }`}
+            >
+              Export JSON
+            </button>
+          )}
+        </div>
+
+        {error && <p className="mt-3 text-sm text-red-500">Benchmark failed: {error}</p>}
+
+        {report && (
+          <div className={`mt-6 ${isRunning ? 'opacity-50' : ''}`}>
+            <p className={`text-xs mb-2 ${mutedClass}`}>
+              {report.config.size} tasks ({TASK_DISTRIBUTIONS.find((d) => d.id === report.config.distribution).name.toLowerCase()}),
+              {' '}{report.config.timeLimit} min budget, median of {report.config.repetitions} run(s)
+            </p>
+            <table className="w-full text-sm">
+              <thead>
+                <tr className={mutedClass}>
+                  <th className="text-left font-medium pb-1">Algorithm</th>
+                  <th className="text-right font-medium pb-1">Time (ms)</th>
+                  <th className="text-right font-medium pb-1">Operations</th>
+                  <th className="text-right font-medium pb-1">Importance</th>
+                </tr>
+              </thead>
+              <tbody>
+                {report.results.map((result) => (
+                  <tr key={result.id} className={`border-t ${darkMode ? 'border-gray-700' : 'border-gray-100'}`}>
+                    <td className="py-1">
+                      {result.name}
+                      <span className={`ml-2 text-xs ${mutedClass}`}>{result.kind === 'sort' ? 'sort' : 'plan'}</span>
+                    </td>
+                    <td className="py-1 text-right font-mono">{result.timeMs.toFixed(2)}</td>
+                    <td className="py-1 text-right font-mono">
+                      {result.operations.toLocaleString()}
+                      <span className={`block text-xs ${mutedClass}`}>{result.operationLabel}</span>
+                    </td>
+                    <td className="py-1 text-right font-mono">
+                      {result.details.value === undefined ? '–' : result.details.value.toFixed(1)}
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+
+            <div className="flex items-center justify-between mt-6 mb-2">
+              <h3 className="text-sm font-medium">{metric.label} per algorithm</h3>
+              <div className="flex gap-1">
+                {CHART_METRICS.map((m) => (
+                  <button
+                    key={m.id}
+                    onClick={() => setChartMetric(m.id)}
+                    className={`px-2 py-0.5 rounded text-xs ${
+                      chartMetric === m.id
+                        ? 'bg-indigo-600 text-white'
+                        : darkMode ? 'bg-gray-700 text-gray-300' : 'bg-gray-100 text-gray-600'
+                    }`}
+                  >
+                    {m.label}
+                  </button>
+                ))}
+              </div>
+            </div>
+            {renderChart()}
+          </div>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default BenchmarkLab;
@@ -0,0 +1,190 @@
+import React, { useState } from 'react';
+import { useBudgetCurve } from '../hooks/useBudgetCurve';
+import { CURVE_MAX_BUDGET } from '../algorithms/pareto';
+
+// Chart geometry (SVG user units)
+const WIDTH = 360;
+const HEIGHT = 200;
+const PAD = { top: 10, right: 10, bottom: 24, left: 34 };
+const PLOT_WIDTH = WIDTH - PAD.left - PAD.right;
+const PLOT_HEIGHT = HEIGHT - PAD.top - PAD.bottom;
+const HOUR_TICKS = [0, 4, 8, 12, 16, 20, 24];
+
+// Format time (convert minutes to hours and minutes)
+const formatTime = (timeInMinutes) => {
+  const hours = Math.floor(timeInMinutes / 60);
+  const mins = timeInMinutes % 60;
+
+  if (hours === 0) {
+    return `${mins}m`;
+  } else if (mins === 0) {
+    return `${hours}h`;
+  } else {
+    return `${hours}h ${mins}m`;
+  }
+};
+
+const formatValue = (value) => (Number.isInteger(value) ? value : value.toFixed(1));
+
+const BudgetCurve = ({
+  tasks,
+  timeLimit,
+  strategy,
+  quotas,
+  granularity,
+  meetings,
+  timelineSettings,
+  onSelectBudget,
+  darkMode
+}) => {
+  const [isExpanded, setIsExpanded] = useState(false);
+  const { curve, isComputing } = useBudgetCurve(
+    isExpanded,
+    tasks,
+    strategy,
+    quotas,
+    granularity,
+    meetings,
+    timelineSettings
+  );
+
+  const maxValue = curve && curve.maxValue > 0 ? curve.maxValue : 1;
+  const x = (budget) => PAD.left + (budget / CURVE_MAX_BUDGET) * PLOT_WIDTH;
+  const y = (value) => PAD.top + PLOT_HEIGHT - (value / maxValue) * PLOT_HEIGHT;
+
+  const feasiblePoints = curve ? curve.points.filter((point) => point.value !== null) : [];
+  const turningPoints = feasiblePoints.filter((point) => point.stopsPaying);
+  const axisColor = darkMode ? '#4B5563' : '#D1D5DB';
+  const labelColor = darkMode ? '#9CA3AF' : '#6B7280';
+
+  return (
+    <div className={`mb-6 rounded-xl shadow-sm ${darkMode ? 'bg-gray-800 border border-gray-700' : 'bg-white'}`}>
+      <div className="p-5 border-b border-gray-200 dark:border-gray-700 flex justify-between items-center">
+        <h2 className="text-lg font-semibold">Importance vs. Budget</h2>
+        <button
+          onClick={() => setIsExpanded(!isExpanded)}
+          className={`text-sm font-medium ${
+            darkMode ? 'text-indigo-400 hover:text-indigo-300' : 'text-indigo-600 hover:text-indigo-700'
+          }`}
+        >
+          {isExpanded ? 'Minimize' : 'Show Curve'}
+        </button>
+      </div>
+
+      {isExpanded && (
+        <div className="p-5">
+          {!curve ? (
+            <p className={`text-sm ${darkMode ? 'text-gray-400' : 'text-gray-500'}`}>
+              Planning every budget from 15m to 24h…
+            </p>
+          ) : (
+            <>
+              <svg
+                viewBox={`0 0 ${WIDTH} ${HEIGHT}`}
+                className={`w-full ${isComputing ? 'opacity-50' : ''}`}
+                role="img"
+                aria-label="Best total importance for each time budget"
+              >
+                {/* Axes */}
+                <line x1={PAD.left} y1={PAD.top + PLOT_HEIGHT} x2={WIDTH - PAD.right} y2={PAD.top + PLOT_HEIGHT} stroke={axisColor} />
+                <line x1={PAD.left} y1={PAD.top} x2={PAD.left} y2={PAD.top + PLOT_HEIGHT} stroke={axisColor} />
+                {HOUR_TICKS.map((hours) => (
+                  <text key={hours} x={x(hours * 60)} y={HEIGHT - 8} fontSize="9" textAnchor="middle" fill={labelColor}>
+                    {hours}h
+                  </text>
+                ))}
+                {[0, 0.5, 1].map((fraction) => (
+                  <text
+                    key={fraction}
+                    x={PAD.left - 4}
+                    y={y(fraction * maxValue) + 3}
+                    fontSize="9"
+                    textAnchor="end"
+                    fill={labelColor}
+                  >
+                    {formatValue(fraction * maxValue)}
+                  </text>
+                ))}
+
+                {/* Current budget */}
+                <line
+                  x1={x(timeLimit)}
+                  y1={PAD.top}
+                  x2={x(timeLimit)}
+                  y2={PAD.top + PLOT_HEIGHT}
+                  stroke="#6366F1"
+                  strokeDasharray="3 3"
+                />
+
+                <polyline
+                  points={feasiblePoints.map((point) => `${x(point.budget)},${y(point.value)}`).join(' ')}
+                  fill="none"
+                  stroke="#6366F1"
+                  strokeWidth="2"
+                />
+
+                {feasiblePoints.map((point) => {
+                  const isSaturation = point.budget === curve.saturationBudget;
+                  return (
+                    <g key={point.budget} onClick={() => onSelectBudget(point.budget)} className="cursor-pointer">
+                      <title>
+                        {`${formatTime(point.budget)}: importance ${formatValue(point.value)} (${point.taskCount} tasks)`}
+                        {point.stopsPaying ? ' · more time stops paying off here' : ''}
+                      </title>
+                      {/* Wider transparent target so points are easy to click */}
+                      <circle cx={x(point.budget)} cy={y(point.value)} r="6" fill="transparent" />
+                      {(point.stopsPaying || isSaturation) ? (
+                        <circle
+                          cx={x(point.budget)}
+                          cy={y(point.value)}
+                          r={isSaturation ? 5 : 4}
+                          fill={isSaturation ? '#10B981' : '#F59E0B'}
+                          stroke={darkMode ? '#1F2937' : '#FFFFFF'}
+                        />
+                      ) : (
+                        <circle cx={x(point.budget)} cy={y(point.value)} r="1.5" fill="#6366F1" />
+                      )}
+                    </g>
+                  );
+                })}
+              </svg>
+
+              <div className={`mt-3 text-xs ${darkMode ? 'text-gray-400' : 'text-gray-500'}`}>
+                <p className="mb-2">
+                  Click a point to use that budget.{' '}
+                  {meetings && meetings.length > 0 && 'Each budget includes the time in your meetings. '}
+                  <span className="text-amber-500">●</span> extra time stops paying off,{' '}
+                  <span className="text-emerald-500">●</span> everything worth doing fits.
+                </p>
+                {curve.saturationBudget !== null && (
+                  <p className="mb-2">
+                    Beyond {formatTime(curve.saturationBudget)} no plan gets more than importance {formatValue(curve.maxValue)}.
+                  </p>
+                )}
+                {turningPoints.length > 0 && (
+                  <div className="flex flex-wrap gap-1">
+                    {turningPoints.map((point) => (
+                      <button
+                        key={point.budget}
+                        onClick={() => onSelectBudget(point.budget)}
+                        className={`px-2 py-0.5 rounded ${
+                          point.budget === timeLimit
+                            ? 'bg-indigo-600 text-white'
+                            : darkMode ? 'bg-gray-700 text-gray-300 hover:bg-gray-600' : 'bg-gray-100 text-gray-700 hover:bg-gray-200'
+                        }`}
+                      >
+                        {formatTime(point.budget)}
+                      </button>
+                    ))}
+                  </div>
+                )}
+              </div>
+            </>
+          )}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default BudgetCurve;
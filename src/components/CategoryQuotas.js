@@ -0,0 +1,111 @@
+import React, { useState } from 'react';
+import { DEFAULT_CATEGORIES, getCategory } from '../algorithms/quotas';
+
+const CategoryQuotas = ({ tasks, quotas, quotaUsage = [], quotasEnforced = true, onChange, darkMode }) => {
+  const [isExpanded, setIsExpanded] = useState(false);
+
+  // Quotas can be set for the usual categories, any in use, and any saved before
+  const categories = [...new Set([
+    ...DEFAULT_CATEGORIES,
+    ...tasks.map(getCategory).filter(Boolean),
+    ...Object.keys(quotas)
+  ])];
+
+  // Empty input means no bound
+  const updateQuota = (category, key, value) => {
+    const minutes = value === '' ? null : Math.max(0, parseInt(value, 10) || 0);
+    const quota = { min: null, max: null, ...quotas[category], [key]: minutes };
+    onChange({ ...quotas, [category]: quota });
+  };
+
+  const inputClass = `w-16 px-1 py-0.5 rounded border text-right text-sm ${
+    darkMode ? 'bg-gray-700 border-gray-600 text-white' : 'bg-white border-gray-300'
+  }`;
+  const activeCount = quotaUsage.length;
+
+  return (
+    <div className={`mb-6 rounded-xl shadow-sm ${darkMode ? 'bg-gray-800 border border-gray-700' : 'bg-white'}`}>
+      <div className="p-5 border-b border-gray-200 dark:border-gray-700 flex justify-between items-center">
+        <h2 className="text-lg font-semibold">
+          Category Quotas {activeCount > 0 && <span className="text-sm font-normal text-gray-500">({activeCount} active)</span>}
+        </h2>
+        <button
+          onClick={() => setIsExpanded(!isExpanded)}
+          className={`text-sm font-medium ${
+            darkMode ? 'text-indigo-400 hover:text-indigo-300' : 'text-indigo-600 hover:text-indigo-700'
+          }`}
+        >
+          {isExpanded ? 'Minimize' : 'Edit'}
+        </button>
+      </div>
+
+      {isExpanded && (
+        <div className="p-5">
+          <p className={`text-xs mb-3 ${darkMode ? 'text-gray-400' : 'text-gray-500'}`}>
+            Minutes per category for the day. Leave a field empty for no limit.
+          </p>
+
+          {!quotasEnforced && (
+            <div className={`mb-3 p-2 rounded-md text-xs ${
+              darkMode ? 'bg-yellow-900/30 text-yellow-300' : 'bg-yellow-50 text-yellow-700'
+            }`}>
+              Only the Exact 0/1 Knapsack strategy enforces quotas.
+            </div>
+          )}
+
+          <table className="w-full text-sm">
+            <thead>
+              <tr className={darkMode ? 'text-gray-400' : 'text-gray-500'}>
+                <th className="text-left font-medium pb-2">Category</th>
+                <th className="text-right font-medium pb-2">At least</th>
+                <th className="text-right font-medium pb-2">At most</th>
+                <th className="text-right font-medium pb-2">Planned</th>
+              </tr>
+            </thead>
+            <tbody>
+              {categories.map((category) => {
+                const quota = quotas[category] || {};
+                const usage = quotaUsage.find((entry) => entry.category === category);
+
+                return (
+                  <tr key={category}>
+                    <td className="py-1">{category}</td>
+                    <td className="py-1 text-right">
+                      <input
+                        type="number"
+                        min="0"
+                        step="15"
+                        value={quota.min ?? ''}
+                        onChange={(e) => updateQuota(category, 'min', e.target.value)}
+                        className={inputClass}
+                        aria-label={`${category} minimum minutes`}
+                      />
+                    </td>
+                    <td className="py-1 text-right">
+                      <input
+                        type="number"
+                        min="0"
+                        step="15"
+                        value={quota.max ?? ''}
+                        onChange={(e) => updateQuota(category, 'max', e.target.value)}
+                        className={inputClass}
+                        aria-label={`${category} maximum minutes`}
+                      />
+                    </td>
+                    <td className={`py-1 text-right ${
+                      usage && !usage.met ? 'text-red-500 font-medium' : darkMode ? 'text-gray-400' : 'text-gray-500'
+                    }`}>
+                      {usage ? `${usage.used}m` : '–'}
+                    </td>
+                  </tr>
+                );
+              })}
+            </tbody>
+          </table>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default CategoryQuotas;
@@ -0,0 +1,188 @@
+import React, { useMemo, useState } from 'react';
+import { buildPlanTimeline, formatClockTime } from '../algorithms/timeline';
+import { parseIcs, eventsOnDay } from '../utils/icalendar';
+
+const DailyTimeline = ({ plan, settings, onSettingsChange, meetings = [], onMeetingsChange, darkMode }) => {
+  const [importNote, setImportNote] = useState(null); // { text, errors }
+  const blocks = useMemo(
+    () => buildPlanTimeline(plan, settings, meetings),
+    [plan, settings, meetings]
+  );
+
+  // Take today's meetings from a calendar file; they replace any imported before
+  const handleImportMeetings = async (e) => {
+    const file = e.target.files[0];
+    e.target.value = ''; // let the same file be picked again
+    if (!file) return;
+
+    const { events, errors } = parseIcs(await file.text());
+    const todaysMeetings = eventsOnDay(events);
+    if (events.length === 0 && errors.length > 0) {
+      setImportNote({ text: null, errors });
+      return;
+    }
+    onMeetingsChange(todaysMeetings);
+    setImportNote({
+      text: todaysMeetings.length > 0
+        ? `Imported ${todaysMeetings.length} meeting${todaysMeetings.length === 1 ? '' : 's'} for today.`
+        : `${file.name} has no meetings today.`,
+      errors
+    });
+  };
+
+  const updateSetting = (key, value) => {
+    onSettingsChange({ ...settings, [key]: value });
+  };
+
+  const inputClass = `w-full px-2 py-1 rounded border text-sm ${
+    darkMode ? 'bg-gray-700 border-gray-600 text-white' : 'bg-white border-gray-300'
+  }`;
+  const labelClass = `block mb-1 text-xs ${darkMode ? 'text-gray-400' : 'text-gray-500'}`;
+
+  const blockStyles = {
+    task: darkMode ? 'bg-indigo-900/40 border-indigo-500' : 'bg-indigo-50 border-indigo-500',
+    break: darkMode ? 'bg-gray-700/50 border-gray-500' : 'bg-gray-50 border-gray-300',
+    lunch: darkMode ? 'bg-amber-900/30 border-amber-500' : 'bg-amber-50 border-amber-400',
+    meeting: darkMode ? 'bg-rose-900/30 border-rose-500' : 'bg-rose-50 border-rose-400'
+  };
+  const linkClass = `text-sm font-medium ${
+    darkMode ? 'text-indigo-400 hover:text-indigo-300' : 'text-indigo-600 hover:text-indigo-700'
+  }`;
+
+  return (
+    <div className={`mt-6 rounded-xl shadow-sm ${darkMode ? 'bg-gray-800 border border-gray-700' : 'bg-white'}`}>
+      <div className="p-5 border-b border-gray-200 dark:border-gray-700 flex justify-between items-center">
+        <h2 className="text-lg font-semibold flex items-center">
+          <svg className="w-5 h-5 mr-2 text-indigo-500" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+            <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M12 8v4l3 3m6-3a9 9 0 11-18 0 9 9 0 0118 0z" />
+          </svg>
+          Today's Timeline
+        </h2>
+        <div className="flex items-center gap-3">
+          {meetings.length > 0 && (
+            <button
+              onClick={() => { onMeetingsChange([]); setImportNote(null); }}
+              className={linkClass}
+            >
+              Clear meetings
+            </button>
+          )}
+          <label className={`${linkClass} cursor-pointer`} title="Import today's meetings from an .ics calendar file">
+            Import meetings…
+            <input type="file" accept=".ics,text/calendar" onChange={handleImportMeetings} className="hidden" />
+          </label>
+        </div>
+      </div>
+
+      <div className="p-5">
+        <div className="grid grid-cols-2 gap-3 mb-5">
+          <div>
+            <label htmlFor="workStart" className={labelClass}>Work starts</label>
+            <input
+              id="workStart"
+              type="time"
+              value={settings.workStart}
+              onChange={(e) => updateSetting('workStart', e.target.value)}
+              className={inputClass}
+            />
+          </div>
+          <div>
+            <label htmlFor="breakMinutes" className={labelClass}>Break between tasks (min)</label>
+            <input
+              id="breakMinutes"
+              type="number"
+              min="0"
+              step="5"
+              value={settings.breakMinutes}
+              onChange={(e) => updateSetting('breakMinutes', Math.max(0, parseInt(e.target.value, 10) || 0))}
+              className={inputClass}
+            />
+          </div>
+          <div>
+            <label htmlFor="lunchStart" className={labelClass}>Lunch at</label>
+            <input
+              id="lunchStart"
+              type="time"
+              value={settings.lunchStart}
+              onChange={(e) => updateSetting('lunchStart', e.target.value)}
+              className={inputClass}
+            />
+          </div>
+          <div>
+            <label htmlFor="lunchMinutes" className={labelClass}>Lunch length (min)</label>
+            <input
+              id="lunchMinutes"
+              type="number"
+              min="0"
+              step="5"
+              value={settings.lunchMinutes}
+              onChange={(e) => updateSetting('lunchMinutes', Math.max(0, parseInt(e.target.value, 10) || 0))}
+              className={inputClass}
+            />
+          </div>
+        </div>
+
+        {importNote && (
+          <div className="mb-4 text-xs">
+            {importNote.text && <p className="text-green-600 dark:text-green-400">{importNote.text}</p>}
+            {importNote.errors.length > 0 && (
+              <ul className="list-disc ml-4 mt-1 text-red-500">
+                {importNote.errors.map((error) => <li key={error}>{error}</li>)}
+              </ul>
+            )}
+          </div>
+        )}
+
+        {blocks.length === 0 ? (
+          <p className={`text-sm ${darkMode ? 'text-gray-400' : 'text-gray-500'}`}>
+            Nothing planned yet.
+          </p>
+        ) : (
+          <ol className={`relative border-l-2 ml-12 ${darkMode ? 'border-gray-700' : 'border-gray-200'}`}>
+            {blocks.map((block, index) => (
+              <li key={index} className="relative mb-2 pl-3">
+                <span className={`absolute -left-14 top-1 w-10 text-right text-xs font-mono ${
+                  darkMode ? 'text-gray-400' : 'text-gray-500'
+                }`}>
+                  {formatClockTime(block.start)}
+                </span>
+                <div className={`border-l-4 rounded px-2 ${block.type === 'task' || block.type === 'meeting' ? 'py-2' : 'py-1'} ${blockStyles[block.type]}`}>
+                  {block.type === 'task' ? (
+                    <>
+                      <div className="text-sm font-medium truncate">{block.task.name}</div>
+                      <div className={`text-xs ${darkMode ? 'text-gray-400' : 'text-gray-500'}`}>
+                        {formatClockTime(block.start)} – {formatClockTime(block.end)} · importance {block.task.chunk ? block.task.chunk.importance : block.task.importance}
+                        {block.task.chunk && ` · chunk of ${block.task.chunk.remaining}m left`}
+                      </div>
+                    </>
+                  ) : block.type === 'meeting' ? (
+                    <>
+                      <div className="text-sm font-medium truncate">{block.meeting.name}</div>
+                      <div className={`text-xs ${darkMode ? 'text-gray-400' : 'text-gray-500'}`}>
+                        {formatClockTime(block.start)} – {formatClockTime(block.end)} · meeting
+                      </div>
+                    </>
+                  ) : (
+                    <div className={`text-xs ${darkMode ? 'text-gray-300' : 'text-gray-600'}`}>
+                      {block.type === 'lunch' ? 'Lunch' : 'Break'} · {block.end - block.start}m
+                    </div>
+                  )}
+                </div>
+              </li>
+            ))}
+            <li className="relative pl-3">
+              <span className={`absolute -left-14 top-0 w-10 text-right text-xs font-mono ${
+                darkMode ? 'text-gray-400' : 'text-gray-500'
+              }`}>
+                {formatClockTime(blocks[blocks.length - 1].end)}
+              </span>
+              <div className={`text-xs ${darkMode ? 'text-gray-400' : 'text-gray-500'}`}>Done for the day</div>
+            </li>
+          </ol>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default DailyTimeline;
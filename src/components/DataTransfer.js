@@ -0,0 +1,56 @@
+import React, { useState } from 'react';
+import BackupPanel from './dataTransfer/BackupPanel';
+import CsvPanel from './dataTransfer/CsvPanel';
+import PlainTextPanel from './dataTransfer/PlainTextPanel';
+
+// Import/export formats, one tab each; every panel gets the props DataTransfer receives
+const TABS = [
+  { id: 'backup', label: 'Backup', Panel: BackupPanel },
+  { id: 'csv', label: 'CSV', Panel: CsvPanel },
+  { id: 'plainText', label: 'Plain Text', Panel: PlainTextPanel }
+];
+
+const DataTransfer = ({ darkMode, ...panelProps }) => {
+  const [isExpanded, setIsExpanded] = useState(false);
+  const [activeTab, setActiveTab] = useState(TABS[0].id);
+  const { Panel } = TABS.find((tab) => tab.id === activeTab);
+
+  return (
+    <div className={`mb-6 rounded-xl shadow-sm ${darkMode ? 'bg-gray-800 border border-gray-700' : 'bg-white'}`}>
+      <div className="p-5 border-b border-gray-200 dark:border-gray-700 flex justify-between items-center">
+        <h2 className="text-lg font-semibold">Import &amp; Export</h2>
+        <button
+          onClick={() => setIsExpanded(!isExpanded)}
+          className={`text-sm font-medium ${
+            darkMode ? 'text-indigo-400 hover:text-indigo-300' : 'text-indigo-600 hover:text-indigo-700'
+          }`}
+        >
+          {isExpanded ? 'Minimize' : 'Open'}
+        </button>
+      </div>
+
+      {isExpanded && (
+        <div className="p-5">
+          <div className="flex flex-wrap gap-2 mb-4">
+            {TABS.map((tab) => (
+              <button
+                key={tab.id}
+                onClick={() => setActiveTab(tab.id)}
+                className={`px-3 py-1 rounded-full text-sm font-medium ${
+                  activeTab === tab.id
+                    ? 'bg-indigo-100 text-indigo-700 dark:bg-indigo-900 dark:text-indigo-300'
+                    : 'bg-gray-100 text-gray-700 dark:bg-gray-700 dark:text-gray-300 hover:bg-gray-200 dark:hover:bg-gray-600'
+                }`}
+              >
+                {tab.label}
+              </button>
+            ))}
+          </div>
+          <Panel darkMode={darkMode} {...panelProps} />
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default DataTransfer;
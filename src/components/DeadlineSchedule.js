@@ -0,0 +1,107 @@
+import React, { useState, useMemo } from 'react';
+import { scheduleByDeadline, SCHEDULING_RULES } from '../algorithms/deadlineScheduler';
+
+const DeadlineSchedule = ({ tasks, dailyBudget, todayBudget = dailyBudget, darkMode }) => {
+  const [rule, setRule] = useState('edf');
+
+  const { schedule, lateTasks, weightedTardiness } = useMemo(
+    () => scheduleByDeadline(tasks, { dailyBudget, todayBudget, rule }),
+    [tasks, dailyBudget, todayBudget, rule]
+  );
+
+  // Format time (convert minutes to hours and minutes)
+  const formatTime = (timeInMinutes) => {
+    const minutes = Math.round(timeInMinutes);
+    const hours = Math.floor(minutes / 60);
+    const mins = minutes % 60;
+
+    if (hours === 0) {
+      return `${mins}m`;
+    } else if (mins === 0) {
+      return `${hours}h`;
+    } else {
+      return `${hours}h ${mins}m`;
+    }
+  };
+
+  const hasDeadlines = tasks.some((task) => !task.completed && task.dueDate);
+
+  return (
+    <div className={`mt-6 rounded-xl shadow-sm ${darkMode ? 'bg-gray-800 border border-gray-700' : 'bg-white'}`}>
+      <div className="p-5 border-b border-gray-200 dark:border-gray-700 flex justify-between items-center">
+        <h2 className="text-lg font-semibold flex items-center">
+          <svg className="w-5 h-5 mr-2 text-indigo-500" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+            <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M8 7V3m8 4V3m-9 8h10M5 21h14a2 2 0 002-2V7a2 2 0 00-2-2H5a2 2 0 00-2 2v12a2 2 0 002 2z" />
+          </svg>
+          Deadlines
+        </h2>
+        <select
+          value={rule}
+          onChange={(e) => setRule(e.target.value)}
+          className={`rounded border py-1 px-2 text-sm ${
+            darkMode ? 'bg-gray-700 border-gray-600 text-white' : 'bg-white border-gray-300'
+          }`}
+        >
+          {SCHEDULING_RULES.map((r) => (
+            <option key={r.id} value={r.id}>{r.name}</option>
+          ))}
+        </select>
+      </div>
+
+      <div className="p-5">
+        {!hasDeadlines ? (
+          <p className={`text-sm ${darkMode ? 'text-gray-400' : 'text-gray-500'}`}>
+            Add a due date to a task to see whether it can finish on time.
+          </p>
+        ) : (
+          <>
+            <p className="text-sm mb-3">
+              {lateTasks.length === 0 ? (
+                <span className="text-green-500">
+                  Every deadline can be met at {formatTime(dailyBudget)} per day
+                  {todayBudget !== dailyBudget && ` (${formatTime(todayBudget)} today, around your meetings)`}.
+                </span>
+              ) : (
+                <span className="text-red-500">
+                  {lateTasks.length} task{lateTasks.length !== 1 ? 's' : ''} will miss the deadline
+                  {' '}(weighted tardiness {Math.round(weightedTardiness)}).
+                </span>
+              )}
+            </p>
+            <ol className="space-y-2">
+              {schedule.map(({ task, day, late, lateness, impossible }) => (
+                <li
+                  key={task.id}
+                  className={`p-2 rounded-lg text-sm flex justify-between items-center ${
+                    late
+                      ? darkMode ? 'bg-red-900/30' : 'bg-red-50'
+                      : darkMode ? 'bg-gray-700' : 'bg-gray-50'
+                  }`}
+                >
+                  <span className="truncate">
+                    {task.name}
+                    {!task.dueDate && (
+                      <span className={`ml-1 text-xs ${darkMode ? 'text-gray-400' : 'text-gray-500'}`}>
+                        (no deadline)
+                      </span>
+                    )}
+                  </span>
+                  <span className="ml-2 text-xs whitespace-nowrap">
+                    Day {day}
+                    {late && (
+                      <span className="ml-1 text-red-500 font-medium">
+                        {impossible ? 'can\'t finish in time' : `${formatTime(lateness)} late`}
+                      </span>
+                    )}
+                  </span>
+                </li>
+              ))}
+            </ol>
+          </>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default DeadlineSchedule;
@@ -1,42 +1,37 @@
-import React, { useState, useEffect } from 'react';
+import React, { useState } from 'react';
 import TaskItem from './TaskItem';
-import { knapsackOptimization } from '../algorithms/knapsack';
+import StrategyComparison from './StrategyComparison';
+import PlanExplanation from './PlanExplanation';
+import { PLANNING_STRATEGIES, GRANULARITY_OPTIONS, getStrategy } from '../algorithms/strategies';
+import { buildPlanTimeline } from '../algorithms/timeline';
+import { timelineToIcs } from '../utils/icalendar';
+import { downloadFile } from '../utils/download';
 
-const OptimizedTaskList = ({ tasks, timeLimit, onToggleComplete, onDelete, darkMode }) => {
-  const [adjustedTasks, setAdjustedTasks] = useState([]);
-  const [totalValue, setTotalValue] = useState(0);
-  const [remainingTime, setRemainingTime] = useState(0);
-  const [isCalculating, setIsCalculating] = useState(false);
-
-  useEffect(() => {
-    setIsCalculating(true);
-
-    const timer = setTimeout(() => {
-      // Filter out completed tasks
-      const incompleteTasks = tasks.filter((task) => !task.completed);
-
-      if (incompleteTasks.length === 0) {
-        setAdjustedTasks([]);
-        setTotalValue(0);
-        setRemainingTime(timeLimit);
-        setIsCalculating(false);
-        return;
-      }
-
-      // Run knapsack optimization algorithm
-      const { adjustedTasks, totalValue, remainingTime } = knapsackOptimization(
-        incompleteTasks,
-        timeLimit
-      );
-
-      setAdjustedTasks(adjustedTasks);
-      setTotalValue(totalValue);
-      setRemainingTime(remainingTime);
-      setIsCalculating(false);
-    }, 400);
-
-    return () => clearTimeout(timer);
-  }, [tasks, timeLimit]);
+const OptimizedTaskList = ({
+  plan,
+  tasks,
+  blockers = {},
+  strategy,
+  onStrategyChange,
+  granularity,
+  onGranularityChange,
+  isPlanning = false,
+  onToggleComplete,
+  onDelete,
+  onTogglePinned,
+  onToggleExcluded,
+  timelineSettings,
+  meetings = [],
+  workday = null,
+  darkMode
+}) => {
+  const [showExcluded, setShowExcluded] = useState(false);
+  const [showComparison, setShowComparison] = useState(false);
+  const [showExplanation, setShowExplanation] = useState(false);
+  const { selectedTasks, excludedTasks, totalValue, timeUsed, timeRemaining } = plan;
+  const unmetQuotas = plan.quotaUsage.filter((usage) => !usage.met);
+  // Coarse steps round estimates up, so the DP no longer guarantees the best plan
+  const isApproximate = getStrategy(strategy).usesGranularity && granularity > 1;
 
   // Format time (convert minutes back to hours and minutes)
   const formatTime = (timeInMinutes) => {
@@ -53,6 +48,13 @@ const OptimizedTaskList = ({ tasks, timeLimit, onToggleComplete, onDelete, darkM
     }
   };
 
+  // Save the plan as calendar events at the times the daily timeline gives them
+  const handleExportCalendar = () => {
+    const today = new Date();
+    const ics = timelineToIcs(buildPlanTimeline(plan, timelineSettings, meetings), today);
+    downloadFile(`plan-${today.toISOString().slice(0, 10)}.ics`, ics, 'text/calendar');
+  };
+
   return (
     <div
       className={`rounded-xl shadow-sm ${
@@ -76,37 +78,186 @@ const OptimizedTaskList = ({ tasks, timeLimit, onToggleComplete, onDelete, darkM
           </svg>
           Optimized Plan
         </h2>
+        <select
+          value={strategy}
+          onChange={(e) => onStrategyChange(e.target.value)}
+          className={`rounded border py-1 px-2 text-sm ${
+            darkMode ? 'bg-gray-700 border-gray-600 text-white' : 'bg-white border-gray-300'
+          }`}
+        >
+          {PLANNING_STRATEGIES.map((s) => (
+            <option key={s.id} value={s.id}>{s.name}</option>
+          ))}
+        </select>
       </div>
 
       <div className="p-5">
-        {isCalculating ? (
-          <p>Calculating...</p>
-        ) : (
-          <>
-            <div className="mb-4">
-              <h3 className="text-sm font-medium">Summary</h3>
-              <p>
-                Total Importance: <strong>{totalValue.toFixed(2)}</strong>
-              </p>
-              <p>
-                Time Remaining: <strong>{formatTime(remainingTime)}</strong>
+        {plan.infeasible && (
+          <div className={`mb-4 p-3 rounded-md text-sm ${
+            darkMode ? 'bg-red-900/30 text-red-300' : 'bg-red-50 text-red-700'
+          }`}>
+            <p className="font-medium">Plan is infeasible</p>
+            <p>{plan.error}</p>
+          </div>
+        )}
+
+        {!plan.infeasible && plan.quotasEnforced && unmetQuotas.length > 0 && (
+          <div className={`mb-4 p-3 rounded-md text-sm ${
+            darkMode ? 'bg-yellow-900/30 text-yellow-300' : 'bg-yellow-50 text-yellow-700'
+          }`}>
+            <p className="font-medium">Some quotas can't be met</p>
+            {unmetQuotas.map((usage) => (
+              <p key={usage.category}>
+                {usage.category}: {usage.used}m planned
+                {usage.min !== null && usage.used < usage.min && `, needs at least ${usage.min}m`}
+                {usage.max !== null && usage.used > usage.max && `, allows at most ${usage.max}m`}
               </p>
-            </div>
+            ))}
+          </div>
+        )}
 
-            <div className="mb-4">
-              <h3 className="text-sm font-medium">Adjusted Tasks</h3>
-              {adjustedTasks.map((task) => (
-                <TaskItem
-                  key={task.id}
-                  task={task}
-                  onToggleComplete={onToggleComplete}
-                  onDelete={onDelete}
-                  darkMode={darkMode}
-                />
+        <div className={`mb-4 flex justify-between items-center text-xs ${darkMode ? 'text-gray-400' : 'text-gray-500'}`}>
+          <label className="flex items-center">
+            Plan in steps of
+            <select
+              value={granularity}
+              onChange={(e) => onGranularityChange(parseInt(e.target.value, 10))}
+              className={`ml-2 rounded border py-0.5 px-1 ${
+                darkMode ? 'bg-gray-700 border-gray-600 text-white' : 'bg-white border-gray-300'
+              }`}
+            >
+              {GRANULARITY_OPTIONS.map((minutes) => (
+                <option key={minutes} value={minutes}>{minutes} min</option>
               ))}
-            </div>
-          </>
+            </select>
+            {isApproximate && (
+              <span className="ml-2" title="Estimates are rounded up to whole steps, so a better plan may exist">
+                (approximate)
+              </span>
+            )}
+          </label>
+          {isPlanning && <span className="animate-pulse">Re-planning…</span>}
+        </div>
+
+        <div className="mb-4">
+          <h3 className="text-sm font-medium">Summary</h3>
+          <p>
+            Total Importance: <strong>{Number.isInteger(totalValue) ? totalValue : totalValue.toFixed(2)}</strong>
+          </p>
+          <p>
+            Time Used: <strong>{formatTime(timeUsed)}</strong>
+          </p>
+          <p>
+            Time Remaining: <strong>{formatTime(timeRemaining)}</strong>
+          </p>
+          {plan.gaps && (
+            <p className={`text-xs mt-1 ${darkMode ? 'text-gray-400' : 'text-gray-500'}`}>
+              Fitted into {plan.gaps.length} free {plan.gaps.length === 1 ? 'gap' : 'gaps'} around {formatTime(plan.busyMinutes)} of meetings
+            </p>
+          )}
+        </div>
+
+        <div className="mb-4">
+          <div className="flex justify-between items-center">
+            <h3 className="text-sm font-medium">Selected Tasks</h3>
+            {selectedTasks.length > 0 && (
+              <button
+                onClick={handleExportCalendar}
+                title="Download the plan as an .ics file for your calendar"
+                className={`text-xs font-medium ${
+                  darkMode ? 'text-indigo-400 hover:text-indigo-300' : 'text-indigo-600 hover:text-indigo-700'
+                }`}
+              >
+                Export to Calendar
+              </button>
+            )}
+          </div>
+          {selectedTasks.length === 0 ? (
+            <p className={`text-sm ${darkMode ? 'text-gray-400' : 'text-gray-500'}`}>
+              No tasks fit in the available time.
+            </p>
+          ) : (
+            selectedTasks.map((task) => (
+              <TaskItem
+                key={task.id}
+                task={task}
+                onToggleComplete={onToggleComplete}
+                onDelete={onDelete}
+                onTogglePinned={onTogglePinned}
+                onToggleExcluded={onToggleExcluded}
+                darkMode={darkMode}
+              />
+            ))
+          )}
+        </div>
+
+        {excludedTasks.length > 0 && (
+          <div>
+            <button
+              onClick={() => setShowExcluded(!showExcluded)}
+              className={`text-sm font-medium ${
+                darkMode ? 'text-indigo-400 hover:text-indigo-300' : 'text-indigo-600 hover:text-indigo-700'
+              }`}
+            >
+              {showExcluded ? 'Hide' : 'Show'} excluded tasks ({excludedTasks.length})
+            </button>
+            {showExcluded && (
+              <div className="mt-3">
+                {excludedTasks.map((task) => (
+                  <TaskItem
+                    key={task.id}
+                    task={task}
+                    blockers={blockers[task.id]}
+                    onToggleComplete={onToggleComplete}
+                    onDelete={onDelete}
+                    onTogglePinned={onTogglePinned}
+                    onToggleExcluded={onToggleExcluded}
+                    darkMode={darkMode}
+                  />
+                ))}
+              </div>
+            )}
+          </div>
         )}
+
+        <div className={`mt-4 pt-4 border-t ${darkMode ? 'border-gray-700' : 'border-gray-200'}`}>
+          <button
+            onClick={() => setShowExplanation(!showExplanation)}
+            className={`text-sm font-medium ${
+              darkMode ? 'text-indigo-400 hover:text-indigo-300' : 'text-indigo-600 hover:text-indigo-700'
+            }`}
+          >
+            {showExplanation ? 'Hide' : 'Show'} why tasks were selected or dropped
+          </button>
+          {showExplanation && (
+            <div className="mt-3">
+              <PlanExplanation tasks={tasks} plan={plan} darkMode={darkMode} />
+            </div>
+          )}
+        </div>
+
+        <div className={`mt-4 pt-4 border-t ${darkMode ? 'border-gray-700' : 'border-gray-200'}`}>
+          <button
+            onClick={() => setShowComparison(!showComparison)}
+            className={`text-sm font-medium ${
+              darkMode ? 'text-indigo-400 hover:text-indigo-300' : 'text-indigo-600 hover:text-indigo-700'
+            }`}
+          >
+            {showComparison ? 'Hide' : 'Show'} strategy comparison
+          </button>
+          {showComparison && (
+            <div className="mt-3">
+              <StrategyComparison
+                tasks={tasks}
+                timeLimit={plan.timeLimit}
+                quotas={plan.quotas}
+                granularity={plan.granularity}
+                workday={workday}
+                darkMode={darkMode}
+              />
+            </div>
+          )}
+        </div>
       </div>
     </div>
   );
@@ -0,0 +1,67 @@
+import React from 'react';
+import { usePlanExplanation } from '../hooks/usePlanExplanation';
+
+const PlanExplanation = ({ tasks, plan, darkMode }) => {
+  // Explanations re-run the planner per dropped task; this panel only mounts while shown
+  const { explanations, isComputing } = usePlanExplanation(tasks, plan);
+
+  if (explanations === null) {
+    return (
+      <p className={`text-sm animate-pulse ${darkMode ? 'text-gray-400' : 'text-gray-500'}`}>
+        Working out why…
+      </p>
+    );
+  }
+
+  if (explanations.length === 0) {
+    return (
+      <p className={`text-sm ${darkMode ? 'text-gray-400' : 'text-gray-500'}`}>
+        No incomplete tasks to explain.
+      </p>
+    );
+  }
+
+  return (
+    <ul className={`space-y-2 ${isComputing ? 'opacity-60' : ''}`}>
+      {explanations.map(({ task, status, reason, suggestions }) => (
+        <li
+          key={task.id}
+          className={`p-3 rounded-lg text-sm ${darkMode ? 'bg-gray-700' : 'bg-gray-50'}`}
+        >
+          <div className="flex items-center justify-between">
+            <span className="font-medium truncate">{task.name}</span>
+            <span
+              className={`ml-2 px-2 py-0.5 rounded-full text-xs ${
+                status === 'selected'
+                  ? 'bg-green-100 text-green-700 dark:bg-green-900 dark:text-green-300'
+                  : 'bg-red-100 text-red-700 dark:bg-red-900 dark:text-red-300'
+              }`}
+            >
+              {status === 'selected' ? 'Selected' : 'Dropped'}
+            </span>
+          </div>
+          <p className={`mt-1 text-xs ${darkMode ? 'text-gray-300' : 'text-gray-600'}`}>{reason}</p>
+          {status === 'dropped' && (
+            <div className="mt-1 text-xs">
+              {suggestions.length === 0 ? (
+                <span className={darkMode ? 'text-gray-400' : 'text-gray-500'}>
+                  No single change gets this task into the plan.
+                </span>
+              ) : (
+                <ul className="list-disc list-inside">
+                  {suggestions.map((suggestion) => (
+                    <li key={suggestion.type} className={darkMode ? 'text-indigo-300' : 'text-indigo-700'}>
+                      {suggestion.text}
+                    </li>
+                  ))}
+                </ul>
+              )}
+            </div>
+          )}
+        </li>
+      ))}
+    </ul>
+  );
+};
+
+export default PlanExplanation;
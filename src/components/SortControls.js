@@ -0,0 +1,118 @@
+import React from 'react';
+
+// Fields the task list can be sorted by
+export const SORT_OPTIONS = [
+  { value: 'importance', label: 'Priority' },
+  { value: 'time', label: 'Time Required' },
+  { value: 'name', label: 'Name' },
+  { value: 'id', label: 'Date Added' },
+  { value: 'dueDate', label: 'Due Date' },
+  { value: 'category', label: 'Category' }
+];
+
+// Tie-breakers beyond the main key
+const MAX_THEN_BY = 2;
+
+const SortControls = ({
+  sortBy,
+  sortOrder,
+  thenBy,
+  onSortByChange,
+  onSortOrderChange,
+  onThenByChange,
+  darkMode
+}) => {
+  const selectClass = `rounded border py-1 px-2 ${
+    darkMode ? 'bg-gray-700 border-gray-600 text-white' : 'bg-white border-gray-300'
+  }`;
+
+  const usedKeys = [sortBy, ...thenBy.map(({ key }) => key)];
+  const unusedOptions = SORT_OPTIONS.filter((option) => !usedKeys.includes(option.value));
+
+  const renderDirectionButton = (direction, onToggle) => (
+    <button
+      onClick={() => onToggle(direction === 'asc' ? 'desc' : 'asc')}
+      className={`flex items-center py-1 px-3 rounded ${
+        darkMode ? 'hover:bg-gray-700' : 'hover:bg-gray-100'
+      }`}
+    >
+      <span className="mr-1 text-sm">{direction === 'asc' ? 'Ascending' : 'Descending'}</span>
+      <svg className="w-4 h-4" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+        {direction === 'asc' ? (
+          <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M5 15l7-7 7 7" />
+        ) : (
+          <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M19 9l-7 7-7-7" />
+        )}
+      </svg>
+    </button>
+  );
+
+  const updateThenBy = (index, changes) => {
+    onThenByChange(thenBy.map((sortKey, i) => (i === index ? { ...sortKey, ...changes } : sortKey)));
+  };
+
+  return (
+    <div className={`mb-6 p-5 rounded-xl shadow-sm ${
+      darkMode ? 'bg-gray-800 border border-gray-700' : 'bg-white'
+    }`}>
+      <div className="flex items-center justify-between">
+        <div className="flex items-center">
+          <span className="mr-2 text-sm font-medium">Sort by:</span>
+          <select
+            value={sortBy}
+            onChange={(e) => {
+              onSortByChange(e.target.value);
+              // A key can't also break its own ties
+              onThenByChange(thenBy.filter(({ key }) => key !== e.target.value));
+            }}
+            className={selectClass}
+          >
+            {SORT_OPTIONS.map((option) => (
+              <option key={option.value} value={option.value}>{option.label}</option>
+            ))}
+          </select>
+        </div>
+        {renderDirectionButton(sortOrder, onSortOrderChange)}
+      </div>
+
+      {thenBy.map((sortKey, index) => (
+        <div key={sortKey.key} className="flex items-center justify-between mt-3">
+          <div className="flex items-center">
+            <span className="mr-2 text-sm font-medium">Then by:</span>
+            <select
+              value={sortKey.key}
+              onChange={(e) => updateThenBy(index, { key: e.target.value })}
+              className={selectClass}
+            >
+              {SORT_OPTIONS.filter((option) => option.value === sortKey.key || !usedKeys.includes(option.value))
+                .map((option) => (
+                  <option key={option.value} value={option.value}>{option.label}</option>
+                ))}
+            </select>
+            <button
+              onClick={() => onThenByChange(thenBy.filter((_, i) => i !== index))}
+              className="ml-2 text-sm text-gray-400 hover:text-red-500"
+              aria-label="Remove sort key"
+            >
+              ✕
+            </button>
+          </div>
+          {renderDirectionButton(sortKey.direction, (direction) => updateThenBy(index, { direction }))}
+        </div>
+      ))}
+
+      {thenBy.length < MAX_THEN_BY && unusedOptions.length > 0 && (
+        <button
+          onClick={() => onThenByChange([...thenBy, { key: unusedOptions[0].value, direction: 'asc' }])}
+          className={`mt-3 text-sm font-medium ${
+            darkMode ? 'text-indigo-400 hover:text-indigo-300' : 'text-indigo-600 hover:text-indigo-700'
+          }`}
+        >
+          + Add tie-breaker
+        </button>
+      )}
+    </div>
+  );
+};
+
+export default SortControls;
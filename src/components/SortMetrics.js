@@ -0,0 +1,61 @@
+import React from 'react';
+
+/**
+ * Measured merge sort work on the task list next to the textbook bounds
+ */
+const SortMetrics = ({ metrics, bounds, darkMode }) => {
+  const rows = [
+    {
+      label: 'Comparisons',
+      measured: metrics.comparisons,
+      theory: `n log₂ n ≈ ${bounds.nLogN} (worst case ${bounds.maxComparisons})`,
+      ratio: bounds.nLogN > 0 ? metrics.comparisons / bounds.nLogN : null
+    },
+    {
+      label: 'Element moves',
+      measured: metrics.moves,
+      theory: `at most n⌈log₂ n⌉ = ${bounds.maxMoves}`,
+      ratio: bounds.maxMoves > 0 ? metrics.moves / bounds.maxMoves : null
+    },
+    {
+      label: 'Recursion depth',
+      measured: metrics.maxDepth,
+      theory: `⌈log₂ n⌉ = ${bounds.depth}`,
+      ratio: bounds.depth > 0 ? metrics.maxDepth / bounds.depth : null
+    }
+  ];
+
+  return (
+    <div className="mt-4">
+      <p className={`text-xs mb-2 ${darkMode ? 'text-gray-400' : 'text-gray-500'}`}>
+        Merge sort on the {metrics.items} incomplete tasks (n = {metrics.items})
+      </p>
+      <table className="w-full text-sm">
+        <thead>
+          <tr className={darkMode ? 'text-gray-400' : 'text-gray-500'}>
+            <th className="text-left font-medium pb-1">Operation</th>
+            <th className="text-right font-medium pb-1">Measured</th>
+            <th className="text-right font-medium pb-1">Theoretical</th>
+            <th className="text-right font-medium pb-1">Ratio</th>
+          </tr>
+        </thead>
+        <tbody>
+          {rows.map((row) => (
+            <tr key={row.label} className={`border-t ${darkMode ? 'border-gray-700' : 'border-gray-100'}`}>
+              <td className="py-1">{row.label}</td>
+              <td className="py-1 text-right font-mono">{row.measured}</td>
+              <td className={`py-1 text-right font-mono text-xs ${darkMode ? 'text-gray-400' : 'text-gray-500'}`}>
+                {row.theory}
+              </td>
+              <td className="py-1 text-right font-mono">
+                {row.ratio === null ? '–' : row.ratio.toFixed(2)}
+              </td>
+            </tr>
+          ))}
+        </tbody>
+      </table>
+    </div>
+  );
+};
+
+export default SortMetrics;
@@ -0,0 +1,96 @@
+import React, { useState } from 'react';
+import { PLANNING_STRATEGIES } from '../algorithms/strategies';
+import { usePlan } from '../hooks/usePlan';
+
+// Format time (convert minutes to hours and minutes)
+const formatTime = (timeInMinutes) => {
+  const minutes = Math.round(Math.abs(timeInMinutes));
+  const hours = Math.floor(minutes / 60);
+  const mins = minutes % 60;
+
+  if (hours === 0) {
+    return `${mins}m`;
+  } else if (mins === 0) {
+    return `${hours}h`;
+  } else {
+    return `${hours}h ${mins}m`;
+  }
+};
+
+// Fractional strategies can produce non-integer importance
+const formatValue = (value) => (Number.isInteger(value) ? value : value.toFixed(2));
+
+// Shared default so the plans aren't redone on every render
+const NO_QUOTAS = {};
+
+const StrategyComparison = ({ tasks, timeLimit, quotas = NO_QUOTAS, granularity = 1, workday = null, darkMode }) => {
+  const [leftStrategy, setLeftStrategy] = useState('exact');
+  const [rightStrategy, setRightStrategy] = useState('greedy');
+
+  // Each side plans in its own worker, so changing one doesn't hold up the other;
+  // both plan into the same gaps between meetings as the day's plan
+  const { plan: leftPlan, isPlanning: isLeftPlanning } =
+    usePlan(tasks, timeLimit, leftStrategy, quotas, granularity, workday);
+  const { plan: rightPlan, isPlanning: isRightPlanning } =
+    usePlan(tasks, timeLimit, rightStrategy, quotas, granularity, workday);
+
+  const renderColumn = (plan, strategyId, onChange, other, isPlanning) => {
+    const strategy = PLANNING_STRATEGIES.find((s) => s.id === strategyId);
+    const valueDiff = plan.totalValue - other.totalValue;
+
+    return (
+      <div className={`p-3 rounded-lg ${darkMode ? 'bg-gray-700' : 'bg-gray-50'} ${isPlanning ? 'opacity-60' : ''}`}>
+        <select
+          value={strategyId}
+          onChange={(e) => onChange(e.target.value)}
+          className={`w-full mb-2 rounded border py-1 px-2 text-sm ${
+            darkMode ? 'bg-gray-800 border-gray-600 text-white' : 'bg-white border-gray-300'
+          }`}
+        >
+          {PLANNING_STRATEGIES.map((s) => (
+            <option key={s.id} value={s.id}>{s.name}</option>
+          ))}
+        </select>
+        <p className={`text-xs mb-2 ${darkMode ? 'text-gray-400' : 'text-gray-500'}`}>
+          {strategy.description}
+        </p>
+        {plan.infeasible && (
+          <p className="text-xs mb-2 text-red-500">{plan.error}</p>
+        )}
+        <p className="text-sm">
+          Value: <strong>{formatValue(plan.totalValue)}</strong>
+          {valueDiff !== 0 && (
+            <span className={`ml-1 text-xs ${valueDiff > 0 ? 'text-green-500' : 'text-red-500'}`}>
+              ({valueDiff > 0 ? '+' : ''}{formatValue(valueDiff)})
+            </span>
+          )}
+        </p>
+        <p className="text-sm">
+          Unused: <strong>{formatTime(plan.timeRemaining)}</strong>
+        </p>
+        <ul className="mt-2 text-xs space-y-1">
+          {plan.selectedTasks.map((task) => (
+            <li key={task.id} className="truncate">
+              {task.name}{' '}
+              <span className={darkMode ? 'text-gray-400' : 'text-gray-500'}>
+                ({formatTime(task.time)})
+              </span>
+            </li>
+          ))}
+        </ul>
+      </div>
+    );
+  };
+
+  return (
+    <div>
+      <h3 className="text-sm font-medium mb-2">Compare Strategies</h3>
+      <div className="grid grid-cols-2 gap-3">
+        {renderColumn(leftPlan, leftStrategy, setLeftStrategy, rightPlan, isLeftPlanning)}
+        {renderColumn(rightPlan, rightStrategy, setRightStrategy, leftPlan, isRightPlanning)}
+      </div>
+    </div>
+  );
+};
+
+export default StrategyComparison;
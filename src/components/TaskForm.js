@@ -1,12 +1,24 @@
 import React, { useState } from 'react';
+import { findDependencyCycle, describeCycle } from '../algorithms/dependencies';
+import { DEFAULT_MIN_CHUNK } from '../algorithms/splitting';
+import { DEFAULT_CATEGORIES, getCategory } from '../algorithms/quotas';
 
-const TaskForm = ({ onAddTask, darkMode }) => {
+const TaskForm = ({ tasks = [], onAddTask, darkMode }) => {
   const [taskName, setTaskName] = useState('');
   const [importance, setImportance] = useState(5); // Range 1-10
   const [hours, setHours] = useState(0);
   const [minutes, setMinutes] = useState(30);
+  const [dueDate, setDueDate] = useState(''); // datetime-local value, empty for no deadline
+  const [blockedBy, setBlockedBy] = useState([]); // ids of tasks this task waits on
+  const [blocks, setBlocks] = useState([]); // ids of tasks that wait on this task
+  const [splittable, setSplittable] = useState(false);
+  const [minChunk, setMinChunk] = useState(DEFAULT_MIN_CHUNK);
+  const [category, setCategory] = useState('');
   const [isExpanded, setIsExpanded] = useState(false);
   const [formError, setFormError] = useState('');
+
+  // Suggest the usual categories plus any already in use
+  const categoryOptions = [...new Set([...DEFAULT_CATEGORIES, ...tasks.map(getCategory).filter(Boolean)])];
   
   const handleSubmit = (e) => {
     e.preventDefault();
@@ -16,9 +28,6 @@ const TaskForm = ({ onAddTask, darkMode }) => {
       return;
     }
     
-    // Reset error if validation passes
-    setFormError('');
-    
     // Calculate time in minutes
     const timeInMinutes = (hours * 60) + parseInt(minutes, 10);
     
@@ -28,19 +37,77 @@ const TaskForm = ({ onAddTask, darkMode }) => {
       importance: parseInt(importance, 10),
       time: timeInMinutes,
       completed: false,
-      createdAt: new Date().toISOString()
+      createdAt: new Date().toISOString(),
+      dueDate: dueDate ? new Date(dueDate).toISOString() : null,
+      blockedBy,
+      splittable,
+      minChunk: splittable ? minChunk : null,
+      category: category.trim()
     };
     
-    onAddTask(newTask);
+    // Reject dependency cycles before anything is saved
+    const cycle = findDependencyCycle([
+      ...tasks.map((task) =>
+        blocks.includes(task.id)
+          ? { ...task, blockedBy: [...(task.blockedBy || []), newTask.id] }
+          : task
+      ),
+      newTask
+    ]);
+    if (cycle) {
+      setFormError(`Dependency cycle (each task waits on the next): ${describeCycle(cycle)}`);
+      return;
+    }
+    
+    // Reset error if validation passes
+    setFormError('');
+    
+    onAddTask(newTask, blocks);
     
     // Reset form
     setTaskName('');
     setImportance(5);
     setHours(0);
     setMinutes(30);
+    setDueDate('');
+    setBlockedBy([]);
+    setBlocks([]);
+    setSplittable(false);
+    setMinChunk(DEFAULT_MIN_CHUNK);
+    setCategory('');
     setIsExpanded(false);
   };
   
+  // Toggle a task id in one of the dependency lists
+  const toggleId = (setter) => (id) => {
+    setter((ids) => (ids.includes(id) ? ids.filter((i) => i !== id) : [...ids, id]));
+  };
+  
+  const openTasks = tasks.filter((task) => !task.completed);
+  
+  const renderDependencyPicker = (label, selectedIds, onToggle) => (
+    <div>
+      <label className={`block mb-1 text-xs ${darkMode ? 'text-gray-400' : 'text-gray-500'}`}>
+        {label}
+      </label>
+      <div className={`max-h-32 overflow-y-auto rounded-lg border p-2 space-y-1 ${
+        darkMode ? 'bg-gray-700 border-gray-600' : 'bg-gray-50 border-gray-300'
+      }`}>
+        {openTasks.map((task) => (
+          <label key={task.id} className="flex items-center text-sm cursor-pointer">
+            <input
+              type="checkbox"
+              className="mr-2"
+              checked={selectedIds.includes(task.id)}
+              onChange={() => onToggle(task.id)}
+            />
+            <span className="truncate">{task.name}</span>
+          </label>
+        ))}
+      </div>
+    </div>
+  );
+  
   // Get color based on importance value
   const getImportanceColor = (value) => {
     if (value >= 8) return 'bg-red-500';
@@ -97,7 +164,7 @@ const TaskForm = ({ onAddTask, darkMode }) => {
           </div>
           
           <div className={`space-y-4 transition-all duration-300 overflow-hidden ${
-            isExpanded ? 'max-h-96 opacity-100' : 'max-h-0 opacity-0'
+            isExpanded ? 'max-h-[48rem] opacity-100' : 'max-h-0 opacity-0'
           }`}>
             <div>
               <label className={`block mb-2 text-sm font-medium ${darkMode ? 'text-gray-300' : 'text-gray-700'}`}>
@@ -214,6 +281,100 @@ const TaskForm = ({ onAddTask, darkMode }) => {
                 </div>
               </div>
             </div>
+            
+            <div>
+              <label htmlFor="category" className={`block mb-2 text-sm font-medium ${darkMode ? 'text-gray-300' : 'text-gray-700'}`}>
+                Category <span className="font-normal text-gray-500">(optional)</span>
+              </label>
+              <input
+                id="category"
+                type="text"
+                list="categoryOptions"
+                className={`w-full px-3 py-2 rounded-lg ${
+                  darkMode 
+                    ? 'bg-gray-700 border-gray-600 text-white' 
+                    : 'bg-gray-50 border-gray-300 text-gray-900'
+                } border`}
+                placeholder="e.g. Deep work"
+                value={category}
+                onChange={(e) => setCategory(e.target.value)}
+              />
+              <datalist id="categoryOptions">
+                {categoryOptions.map((option) => (
+                  <option key={option} value={option} />
+                ))}
+              </datalist>
+            </div>
+            
+            <div className="flex items-center justify-between">
+              <label className={`flex items-center text-sm font-medium cursor-pointer ${darkMode ? 'text-gray-300' : 'text-gray-700'}`}>
+                <input
+                  type="checkbox"
+                  className="mr-2"
+                  checked={splittable}
+                  onChange={(e) => setSplittable(e.target.checked)}
+                />
+                Can be split across sessions
+              </label>
+              {splittable && (
+                <label className={`flex items-center text-xs ${darkMode ? 'text-gray-400' : 'text-gray-500'}`}>
+                  Min chunk
+                  <select
+                    value={minChunk}
+                    onChange={(e) => setMinChunk(parseInt(e.target.value, 10))}
+                    className={`ml-2 rounded border py-1 px-2 ${
+                      darkMode ? 'bg-gray-700 border-gray-600 text-white' : 'bg-white border-gray-300'
+                    }`}
+                  >
+                    {[15, 30, 45, 60, 90].map((value) => (
+                      <option key={value} value={value}>{value}m</option>
+                    ))}
+                  </select>
+                </label>
+              )}
+            </div>
+            
+            <div>
+              <label htmlFor="dueDate" className={`block mb-2 text-sm font-medium ${darkMode ? 'text-gray-300' : 'text-gray-700'}`}>
+                Due Date <span className="font-normal text-gray-500">(optional)</span>
+              </label>
+              <div className="flex">
+                <input
+                  id="dueDate"
+                  type="datetime-local"
+                  className={`flex-1 px-3 py-2 rounded-l-lg ${
+                    darkMode 
+                      ? 'bg-gray-700 border-gray-600 text-white' 
+                      : 'bg-gray-50 border-gray-300 text-gray-900'
+                  } border border-r-0`}
+                  value={dueDate}
+                  onChange={(e) => setDueDate(e.target.value)}
+                />
+                <button
+                  type="button"
+                  onClick={() => setDueDate('')}
+                  className={`px-3 py-2 rounded-r-lg text-sm ${
+                    darkMode 
+                      ? 'bg-gray-700 text-gray-300 border-gray-600' 
+                      : 'bg-gray-100 text-gray-700 border-gray-300'
+                  } border`}
+                >
+                  Clear
+                </button>
+              </div>
+            </div>
+            
+            {openTasks.length > 0 && (
+              <div>
+                <label className={`block mb-2 text-sm font-medium ${darkMode ? 'text-gray-300' : 'text-gray-700'}`}>
+                  Dependencies <span className="font-normal text-gray-500">(optional)</span>
+                </label>
+                <div className="grid grid-cols-2 gap-4">
+                  {renderDependencyPicker('Blocked by', blockedBy, toggleId(setBlockedBy))}
+                  {renderDependencyPicker('Blocks', blocks, toggleId(setBlocks))}
+                </div>
+              </div>
+            )}
           </div>
         </form>
       </div>
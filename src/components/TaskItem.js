@@ -1,6 +1,15 @@
 import React, { useState } from 'react';
+import { getRemainingTime, DEFAULT_MIN_CHUNK } from '../algorithms/splitting';
 
-const TaskItem = ({ task, onToggleComplete, onDelete, darkMode }) => {
+const TaskItem = ({
+  task,
+  blockers = [],
+  onToggleComplete,
+  onDelete,
+  onTogglePinned,
+  onToggleExcluded,
+  darkMode
+}) => {
   const [isHovering, setIsHovering] = useState(false);
 
   // Format time (convert minutes back to hours and minutes)
@@ -17,6 +26,21 @@ const TaskItem = ({ task, onToggleComplete, onDelete, darkMode }) => {
     }
   };
 
+  // Format due date as a short local date and time
+  const formatDueDate = (dueDate) =>
+    new Date(dueDate).toLocaleString([], {
+      month: 'short',
+      day: 'numeric',
+      hour: '2-digit',
+      minute: '2-digit'
+    });
+
+  const remainingTime = getRemainingTime(task);
+  // A planned chunk carries a prorated importance; show and color by the whole task's
+  const importance = Math.round(task.chunk ? task.chunk.importance : task.importance);
+
+  const isOverdue = task.dueDate && !task.completed && new Date(task.dueDate) < new Date();
+
   // Different background colors based on importance
   const getImportanceStyle = (importance) => {
     if (task.completed) {
@@ -53,7 +77,7 @@ const TaskItem = ({ task, onToggleComplete, onDelete, darkMode }) => {
 
   return (
     <div 
-      className={`group relative mb-3 p-4 border rounded-lg transition-all duration-200 ${getImportanceStyle(task.importance)} ${
+      className={`group relative mb-3 p-4 border rounded-lg transition-all duration-200 ${getImportanceStyle(importance)} ${
         isHovering ? (darkMode ? 'shadow-md shadow-black/20' : 'shadow-md') : ''
       }`}
       onMouseEnter={() => setIsHovering(true)}
@@ -61,7 +85,7 @@ const TaskItem = ({ task, onToggleComplete, onDelete, darkMode }) => {
     >
       {/* Colored importance indicator */}
       <div 
-        className={`absolute left-0 top-0 bottom-0 w-1 rounded-l-lg ${getImportanceColor(task.importance)}`}
+        className={`absolute left-0 top-0 bottom-0 w-1 rounded-l-lg ${getImportanceColor(importance)}`}
       ></div>
 
       <div className="flex items-start">
@@ -90,18 +114,93 @@ const TaskItem = ({ task, onToggleComplete, onDelete, darkMode }) => {
               <svg className="w-3 h-3 mr-1" fill="currentColor" viewBox="0 0 20 20">
                 <path fillRule="evenodd" d="M10 18a8 8 0 100-16 8 8 0 000 16zm1-12a1 1 0 10-2 0v4a1 1 0 00.293.707l2.828 2.829a1 1 0 101.415-1.415L11 9.586V6z" clipRule="evenodd" />
               </svg>
-              {formatTime(task.time)}
+              {task.chunk
+                ? `${formatTime(task.time)} chunk of ${formatTime(task.chunk.remaining)} left`
+                : remainingTime < task.time && !task.completed
+                  ? `${formatTime(remainingTime)} left of ${formatTime(task.time)}`
+                  : formatTime(task.time)}
             </div>
 
             <div className={`flex items-center ${darkMode ? 'text-gray-400' : 'text-gray-500'} text-xs`}>
               <svg className="w-3 h-3 mr-1" fill="currentColor" viewBox="0 0 20 20">
                 <path d="M9.049 2.927c.3-.921 1.603-.921 1.902 0l1.07 3.292a1 1 0 00.95.69h3.462c.969 0 1.371 1.24.588 1.81l-2.8 2.034a1 1 0 00-.364 1.118l1.07 3.292c.3.921-.755 1.688-1.54 1.118l-2.8-2.034a1 1 0 00-1.175 0l-2.8 2.034c-.784.57-1.838-.197-1.539-1.118l1.07-3.292a1 1 0 00-.364-1.118L2.98 8.72c-.783-.57-.38-1.81.588-1.81h3.461a1 1 0 00.951-.69l1.07-3.292z" />
               </svg>
-              <span>Priority: <span className="font-medium">{task.importance}</span>/10</span>
+              <span>Priority: <span className="font-medium">{importance}</span>/10</span>
             </div>
+
+            {task.dueDate && (
+              <div className={`flex items-center text-xs ${
+                isOverdue ? 'text-red-500 font-medium' : darkMode ? 'text-gray-400' : 'text-gray-500'
+              }`}>
+                <svg className="w-3 h-3 mr-1" fill="currentColor" viewBox="0 0 20 20">
+                  <path fillRule="evenodd" d="M6 2a1 1 0 00-1 1v1H4a2 2 0 00-2 2v10a2 2 0 002 2h12a2 2 0 002-2V6a2 2 0 00-2-2h-1V3a1 1 0 10-2 0v1H7V3a1 1 0 00-1-1zm0 5a1 1 0 000 2h8a1 1 0 100-2H6z" clipRule="evenodd" />
+                </svg>
+                {isOverdue ? 'Overdue: ' : 'Due '}{formatDueDate(task.dueDate)}
+              </div>
+            )}
+
+            {task.category && (
+              <span className="px-2 py-0.5 rounded-full text-xs font-medium bg-purple-100 text-purple-700 dark:bg-purple-900 dark:text-purple-300">
+                {task.category}
+              </span>
+            )}
+
+            {blockers.length > 0 && !task.completed && (
+              <span
+                title={`Waiting on: ${blockers.map((blocker) => blocker.name).join(', ')}`}
+                className="px-2 py-0.5 rounded-full text-xs font-medium bg-orange-100 text-orange-700 dark:bg-orange-900 dark:text-orange-300"
+              >
+                Blocked by {blockers.map((blocker) => blocker.name).join(', ')}
+              </span>
+            )}
+
+            {task.splittable && !task.completed && (
+              <span className="px-2 py-0.5 rounded-full text-xs font-medium bg-teal-100 text-teal-700 dark:bg-teal-900 dark:text-teal-300">
+                Splittable · {task.minChunk || DEFAULT_MIN_CHUNK}m chunks
+              </span>
+            )}
+
+            {task.pinned && !task.completed && (
+              <span className="px-2 py-0.5 rounded-full text-xs font-medium bg-indigo-100 text-indigo-700 dark:bg-indigo-900 dark:text-indigo-300">
+                Must-do
+              </span>
+            )}
+            {task.excluded && !task.completed && (
+              <span className="px-2 py-0.5 rounded-full text-xs font-medium bg-gray-200 text-gray-700 dark:bg-gray-700 dark:text-gray-300">
+                Excluded
+              </span>
+            )}
           </div>
         </div>
 
+        {onTogglePinned && !task.completed && (
+          <button
+            onClick={() => onTogglePinned(task.id)}
+            title={task.pinned ? 'Remove must-do' : 'Mark as must-do'}
+            className={`ml-2 p-1 rounded-full transition-opacity duration-200 ${
+              darkMode ? 'hover:bg-gray-700' : 'hover:bg-gray-100'
+            } ${isHovering || task.pinned ? 'opacity-100' : 'opacity-0'}`}
+          >
+            <svg className={`w-5 h-5 ${task.pinned ? 'text-indigo-500' : darkMode ? 'text-gray-400' : 'text-gray-500'}`} fill="currentColor" viewBox="0 0 20 20">
+              <path d="M5 4a2 2 0 012-2h6a2 2 0 012 2v14l-5-2.5L5 18V4z" />
+            </svg>
+          </button>
+        )}
+
+        {onToggleExcluded && !task.completed && (
+          <button
+            onClick={() => onToggleExcluded(task.id)}
+            title={task.excluded ? 'Allow in plan' : 'Keep out of plan'}
+            className={`ml-2 p-1 rounded-full transition-opacity duration-200 ${
+              darkMode ? 'hover:bg-gray-700' : 'hover:bg-gray-100'
+            } ${isHovering || task.excluded ? 'opacity-100' : 'opacity-0'}`}
+          >
+            <svg className={`w-5 h-5 ${task.excluded ? 'text-red-500' : darkMode ? 'text-gray-400' : 'text-gray-500'}`} fill="currentColor" viewBox="0 0 20 20">
+              <path fillRule="evenodd" d="M13.477 14.89A6 6 0 015.11 6.524l8.367 8.368zm1.414-1.414L6.524 5.11a6 6 0 018.367 8.367zM18 10a8 8 0 11-16 0 8 8 0 0116 0z" clipRule="evenodd" />
+            </svg>
+          </button>
+        )}
+
         <button
           onClick={() => onDelete(task.id)}
           className={`ml-2 p-1 rounded-full transition-opacity duration-200 ${
@@ -1,6 +1,6 @@
 import React from 'react';
 
-const TimeSlider = ({ timeLimit, onChange, darkMode }) => {
+const TimeSlider = ({ timeLimit, busyMinutes = 0, onChange, darkMode }) => {
   // Convert minutes to hours and minutes for display
   const formatTime = (minutes) => {
     const hours = Math.floor(minutes / 60);
@@ -78,6 +78,16 @@ const TimeSlider = ({ timeLimit, onChange, darkMode }) => {
             {formatTime(timeLimit)}
           </span>
         </div>
+
+        {/* Imported meetings come off the budget */}
+        {busyMinutes > 0 && (
+          <div className={`flex justify-between text-sm ${darkMode ? 'text-gray-400' : 'text-gray-500'}`}>
+            <span>− {formatTime(busyMinutes)} in meetings</span>
+            <span className={`font-medium ${darkMode ? 'text-gray-200' : 'text-gray-700'}`}>
+              {formatTime(Math.max(0, timeLimit - busyMinutes))} for tasks
+            </span>
+          </div>
+        )}
         
         {/* Time slider with custom styling */}
         <div className="relative mt-6 mb-8">
@@ -0,0 +1,127 @@
+import React, { useState, useEffect } from 'react';
+
+const ICONS = {
+  first: 'M11 19l-7-7 7-7m8 14l-7-7 7-7',
+  back: 'M15 19l-7-7 7-7',
+  forward: 'M9 5l7 7-7 7',
+  last: 'M13 5l7 7-7 7M5 5l7 7-7 7',
+  play: 'M6 4l14 8-14 8V4z',
+  pause: 'M9 5v14M15 5v14'
+};
+
+/**
+ * Transport controls for the algorithm visualizer: play/pause, single steps,
+ * jumping to a step number, a scrub bar and the playback speed
+ */
+const VisualizerControls = ({ player, speed, onSpeedChange, onGenerate, canGenerate, darkMode }) => {
+  const { steps, currentStep, isPlaying } = player;
+  const lastStep = steps.length - 1;
+  const hasSteps = steps.length > 0;
+  const [jumpValue, setJumpValue] = useState('1');
+
+  // Keep the jump field on the step being shown
+  useEffect(() => {
+    setJumpValue(String(currentStep + 1));
+  }, [currentStep]);
+
+  const submitJump = () => {
+    const index = parseInt(jumpValue, 10);
+    if (Number.isNaN(index)) {
+      setJumpValue(String(currentStep + 1));
+    } else {
+      player.jumpTo(index - 1);
+    }
+  };
+
+  const renderButton = (icon, label, onClick, disabled) => (
+    <button
+      onClick={onClick}
+      disabled={disabled}
+      aria-label={label}
+      title={label}
+      className={`p-1.5 rounded ${
+        disabled
+          ? 'text-gray-400 dark:text-gray-600 cursor-not-allowed'
+          : darkMode ? 'hover:bg-gray-700' : 'hover:bg-gray-100'
+      }`}
+    >
+      <svg className="w-4 h-4" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+        <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d={ICONS[icon]} />
+      </svg>
+    </button>
+  );
+
+  return (
+    <div className="p-4 border-t border-gray-200 dark:border-gray-700">
+      <div className="flex items-center gap-3">
+        <div className="flex items-center">
+          {renderButton('first', 'First step', () => player.jumpTo(0), !hasSteps || currentStep === 0)}
+          {renderButton('back', 'Step back', player.stepBack, !hasSteps || currentStep === 0)}
+          {isPlaying
+            ? renderButton('pause', 'Pause', player.pause, false)
+            : renderButton('play', 'Play', player.play, steps.length < 2)}
+          {renderButton('forward', 'Step forward', player.stepForward, !hasSteps || currentStep === lastStep)}
+          {renderButton('last', 'Last step', () => player.jumpTo(lastStep), !hasSteps || currentStep === lastStep)}
+        </div>
+
+        <input
+          type="range"
+          min="0"
+          max={Math.max(0, lastStep)}
+          value={currentStep}
+          onChange={(e) => player.jumpTo(parseInt(e.target.value, 10))}
+          disabled={!hasSteps}
+          className="flex-1"
+          aria-label="Scrub through steps"
+        />
+
+        <div className="flex items-center text-xs whitespace-nowrap">
+          <span className="mr-1">Step</span>
+          <input
+            type="number"
+            min="1"
+            max={steps.length}
+            value={hasSteps ? jumpValue : ''}
+            onChange={(e) => setJumpValue(e.target.value)}
+            onBlur={submitJump}
+            onKeyDown={(e) => e.key === 'Enter' && submitJump()}
+            disabled={!hasSteps}
+            className={`w-14 px-1 py-0.5 rounded border text-right ${
+              darkMode ? 'bg-gray-700 border-gray-600 text-white' : 'bg-white border-gray-300'
+            }`}
+            aria-label="Jump to step"
+          />
+          <span className="ml-1">of {steps.length}</span>
+        </div>
+      </div>
+
+      <div className="flex justify-between items-center mt-3">
+        <div className="flex items-center">
+          <label className="text-sm mr-2">Speed:</label>
+          <input
+            type="range"
+            min="1"
+            max="5"
+            value={speed}
+            onChange={(e) => onSpeedChange(parseInt(e.target.value, 10))}
+            className="w-24"
+          />
+        </div>
+
+        <button
+          onClick={onGenerate}
+          disabled={!canGenerate}
+          className={`px-4 py-1 rounded-md text-white text-sm ${
+            !canGenerate
+              ? 'bg-gray-400 dark:bg-gray-600 cursor-not-allowed'
+              : 'bg-indigo-600 hover:bg-indigo-700'
+          }`}
+        >
+          {hasSteps ? 'Visualize Again' : 'Visualize'}
+        </button>
+      </div>
+    </div>
+  );
+};
+
+export default VisualizerControls;
@@ -0,0 +1,146 @@
+import React, { useState, useEffect } from 'react';
+import { DEFAULT_WEEK_BUDGETS } from '../algorithms/weekPlanner';
+import { useWeekPlan } from '../hooks/useWeekPlan';
+import { saveWeekBudgets, loadWeekBudgets } from '../utils/localStorage';
+
+const WeekPlanner = ({ tasks, strategy, quotas, granularity, darkMode }) => {
+  const [isExpanded, setIsExpanded] = useState(false);
+  const [weekBudgets, setWeekBudgets] = useState(DEFAULT_WEEK_BUDGETS);
+  const [isLoaded, setIsLoaded] = useState(false);
+
+  // Load saved budgets
+  useEffect(() => {
+    loadWeekBudgets(DEFAULT_WEEK_BUDGETS).then((saved) => {
+      setWeekBudgets(saved);
+      setIsLoaded(true);
+    });
+  }, []);
+
+  // Save budgets when they change (but not the defaults shown while loading)
+  useEffect(() => {
+    if (isLoaded) {
+      saveWeekBudgets(weekBudgets);
+    }
+  }, [weekBudgets, isLoaded]);
+
+  // Packing the week re-runs the knapsack per day, so only do it while expanded
+  const { weekPlan, isPlanning } = useWeekPlan(isExpanded, tasks, weekBudgets, strategy, quotas, granularity);
+
+  // Format time (convert minutes to hours and minutes)
+  const formatTime = (timeInMinutes) => {
+    const hours = Math.floor(timeInMinutes / 60);
+    const mins = timeInMinutes % 60;
+
+    if (hours === 0) {
+      return `${mins}m`;
+    } else if (mins === 0) {
+      return `${hours}h`;
+    } else {
+      return `${hours}h ${mins}m`;
+    }
+  };
+
+  const handleBudgetChange = (index, hours) => {
+    const minutes = Math.max(0, Math.min(1440, Math.round((parseFloat(hours) || 0) * 60)));
+    setWeekBudgets(weekBudgets.map((budget, i) => (i === index ? { ...budget, minutes } : budget)));
+  };
+
+  return (
+    <div className={`mb-6 rounded-xl shadow-sm ${darkMode ? 'bg-gray-800 border border-gray-700' : 'bg-white'}`}>
+      <div className="p-5 border-b border-gray-200 dark:border-gray-700 flex justify-between items-center">
+        <h2 className="text-lg font-semibold">Week Planner</h2>
+        <button
+          onClick={() => setIsExpanded(!isExpanded)}
+          className={`text-sm font-medium ${
+            darkMode ? 'text-indigo-400 hover:text-indigo-300' : 'text-indigo-600 hover:text-indigo-700'
+          }`}
+        >
+          {isExpanded ? 'Minimize' : 'Plan the Week'}
+        </button>
+      </div>
+
+      {isExpanded && !weekPlan && (
+        <p className={`p-5 text-sm ${darkMode ? 'text-gray-400' : 'text-gray-500'}`}>Packing the week…</p>
+      )}
+
+      {isExpanded && weekPlan && (
+        <div className={`p-5 ${isPlanning ? 'opacity-60' : ''}`}>
+          {weekPlan.error && (
+            <div className={`mb-4 p-3 rounded-md text-sm ${
+              darkMode ? 'bg-red-900/30 text-red-300' : 'bg-red-50 text-red-700'
+            }`}>
+              {weekPlan.error}
+            </div>
+          )}
+
+          <div className="grid grid-cols-2 md:grid-cols-4 lg:grid-cols-7 gap-3">
+            {weekPlan.days.map(({ day, budget, plan }, index) => (
+              <div key={day} className={`p-3 rounded-lg ${darkMode ? 'bg-gray-700' : 'bg-gray-50'}`}>
+                <div className="flex justify-between items-center mb-2">
+                  <span className="font-medium text-sm">{day}</span>
+                  <label className="flex items-center text-xs">
+                    <input
+                      type="number"
+                      min="0"
+                      max="24"
+                      step="0.5"
+                      value={budget / 60}
+                      onChange={(e) => handleBudgetChange(index, e.target.value)}
+                      className={`w-12 px-1 py-0.5 rounded border text-right ${
+                        darkMode ? 'bg-gray-800 border-gray-600 text-white' : 'bg-white border-gray-300'
+                      }`}
+                      aria-label={`${day} hours`}
+                    />
+                    <span className="ml-1">h</span>
+                  </label>
+                </div>
+                <p className={`text-xs mb-2 ${darkMode ? 'text-gray-400' : 'text-gray-500'}`}>
+                  {formatTime(plan.timeUsed)} planned
+                </p>
+                <ul className="space-y-1">
+                  {plan.selectedTasks.map((task) => (
+                    <li
+                      key={task.id}
+                      className={`px-2 py-1 rounded text-xs truncate ${
+                        darkMode ? 'bg-indigo-900/40' : 'bg-indigo-50'
+                      }`}
+                      title={`${task.name} (${formatTime(task.time)}, importance ${task.importance})`}
+                    >
+                      {task.name}
+                    </li>
+                  ))}
+                </ul>
+              </div>
+            ))}
+          </div>
+
+          <div className="mt-4">
+            <h3 className="text-sm font-medium mb-2">
+              Overflow ({weekPlan.overflowTasks.length})
+            </h3>
+            {weekPlan.overflowTasks.length === 0 ? (
+              <p className={`text-sm ${darkMode ? 'text-gray-400' : 'text-gray-500'}`}>
+                Everything fits in the week.
+              </p>
+            ) : (
+              <ul className="flex flex-wrap gap-2">
+                {weekPlan.overflowTasks.map((task) => (
+                  <li
+                    key={task.id}
+                    className={`px-2 py-1 rounded text-xs ${
+                      darkMode ? 'bg-red-900/30 text-red-300' : 'bg-red-50 text-red-700'
+                    }`}
+                  >
+                    {task.name} ({formatTime(task.time)})
+                  </li>
+                ))}
+              </ul>
+            )}
+          </div>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default WeekPlanner;
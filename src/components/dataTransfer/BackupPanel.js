@@ -0,0 +1,115 @@
+import React, { useState } from 'react';
+import { createBackup, parseBackup, summarizeBackup, applyBackup } from '../../utils/backup';
+import { downloadFile } from '../../utils/download';
+
+/**
+ * Export everything as one JSON backup, or import one with a preview
+ */
+const BackupPanel = ({ tasks, getAppData, onApplyData, darkMode }) => {
+  const [fileName, setFileName] = useState(null);
+  const [parsed, setParsed] = useState(null); // { backup, errors }
+  const [mode, setMode] = useState('merge');
+  const [message, setMessage] = useState(null);
+
+  const mutedClass = darkMode ? 'text-gray-400' : 'text-gray-500';
+  const buttonClass = 'px-3 py-1.5 rounded-lg text-sm font-medium text-white bg-indigo-600 hover:bg-indigo-700 disabled:opacity-50';
+
+  const handleExport = async () => {
+    const backup = createBackup(await getAppData());
+    const date = backup.exportedAt.slice(0, 10);
+    downloadFile(`task-optimizer-backup-${date}.json`, JSON.stringify(backup, null, 2), 'application/json');
+    setMessage(`Exported ${backup.data.tasks.length} tasks and all settings.`);
+  };
+
+  const handleFileChange = async (e) => {
+    const file = e.target.files[0];
+    e.target.value = ''; // let the same file be picked again
+    if (!file) return;
+    setFileName(file.name);
+    setMessage(null);
+    setParsed(parseBackup(await file.text()));
+  };
+
+  const handleImport = async () => {
+    const next = applyBackup(await getAppData(), parsed.backup, mode);
+    await onApplyData(next);
+    setMessage(mode === 'replace'
+      ? 'Backup restored.'
+      : `Added ${next.tasks.length - tasks.length} tasks from the backup.`);
+    setParsed(null);
+    setFileName(null);
+  };
+
+  const summary = parsed && parsed.backup ? summarizeBackup(parsed.backup, tasks) : null;
+  const canImport = parsed && parsed.backup && parsed.errors.length === 0;
+
+  return (
+    <div>
+      <p className={`text-xs mb-3 ${mutedClass}`}>
+        Tasks, time limit, sort and planner preferences, theme, timeline, week budgets and progress in one file.
+      </p>
+      <div className="flex items-center gap-3">
+        <button onClick={handleExport} className={buttonClass}>Export Backup</button>
+        <label className={`text-sm font-medium cursor-pointer ${
+          darkMode ? 'text-indigo-400 hover:text-indigo-300' : 'text-indigo-600 hover:text-indigo-700'
+        }`}>
+          Import Backup…
+          <input type="file" accept=".json,application/json" onChange={handleFileChange} className="hidden" />
+        </label>
+      </div>
+
+      {message && <p className="mt-3 text-sm text-green-600 dark:text-green-400">{message}</p>}
+
+      {parsed && (
+        <div className={`mt-4 p-3 rounded-lg text-sm ${darkMode ? 'bg-gray-700' : 'bg-gray-50'}`}>
+          <p className="font-medium">{fileName}</p>
+
+          {summary && (
+            <ul className={`mt-2 text-xs space-y-1 ${mutedClass}`}>
+              {summary.exportedAt && <li>Exported {new Date(summary.exportedAt).toLocaleString()}</li>}
+              <li>{summary.taskCount} tasks, {summary.newTaskCount} not in your list yet</li>
+              {summary.progress && (
+                <li>Progress: level {summary.progress.level}, {summary.progress.score} points</li>
+              )}
+              <li>Contains: {summary.sections.join(', ')}</li>
+            </ul>
+          )}
+
+          {parsed.errors.length > 0 && (
+            <div className="mt-2 text-xs text-red-500">
+              <p className="font-medium">This file can't be imported:</p>
+              <ul className="list-disc ml-4 mt-1 max-h-32 overflow-y-auto">
+                {parsed.errors.map((error) => <li key={error}>{error}</li>)}
+              </ul>
+            </div>
+          )}
+
+          {canImport && (
+            <div className="mt-3">
+              <label className="flex items-start gap-2 text-xs">
+                <input type="radio" name="backup-mode" checked={mode === 'merge'} onChange={() => setMode('merge')} />
+                <span><span className="font-medium">Merge</span>: add the backup's tasks that aren't in your list; keep your settings and progress.</span>
+              </label>
+              <label className="flex items-start gap-2 text-xs mt-1">
+                <input type="radio" name="backup-mode" checked={mode === 'replace'} onChange={() => setMode('replace')} />
+                <span><span className="font-medium">Replace</span>: swap your tasks, settings and progress for the backup's.</span>
+              </label>
+            </div>
+          )}
+
+          <div className="flex gap-2 mt-3">
+            <button onClick={handleImport} disabled={!canImport} className={buttonClass}>Import</button>
+            <button
+              onClick={() => { setParsed(null); setFileName(null); }}
+              className={`px-3 py-1.5 rounded-lg text-sm ${darkMode ? 'hover:bg-gray-600' : 'hover:bg-gray-200'}`}
+            >
+              Cancel
+            </button>
+          </div>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default BackupPanel;
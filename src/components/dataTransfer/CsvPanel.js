@@ -0,0 +1,188 @@
+import React, { useState } from 'react';
+import {
+  tasksToCsv,
+  readCsvTable,
+  guessMapping,
+  rowsToTasks,
+  CSV_FIELDS,
+  TIME_UNITS,
+  IMPORTANCE_SCALES
+} from '../../utils/taskCsv';
+import { downloadFile } from '../../utils/download';
+
+const PREVIEW_ROWS = 5;
+
+/**
+ * Export the task list as CSV, or import a spreadsheet after mapping its columns
+ */
+const CsvPanel = ({ tasks, onImportTasks, darkMode }) => {
+  const [fileName, setFileName] = useState(null);
+  const [table, setTable] = useState(null); // { headers, rows }
+  const [mapping, setMapping] = useState(null);
+  const [message, setMessage] = useState(null);
+
+  const mutedClass = darkMode ? 'text-gray-400' : 'text-gray-500';
+  const buttonClass = 'px-3 py-1.5 rounded-lg text-sm font-medium text-white bg-indigo-600 hover:bg-indigo-700 disabled:opacity-50';
+  const selectClass = `px-2 py-1 rounded border text-xs ${
+    darkMode ? 'bg-gray-800 border-gray-600 text-white' : 'bg-white border-gray-300'
+  }`;
+
+  const handleExport = () => {
+    const date = new Date().toISOString().slice(0, 10);
+    downloadFile(`tasks-${date}.csv`, tasksToCsv(tasks), 'text/csv');
+    setMessage(`Exported ${tasks.length} tasks.`);
+  };
+
+  const handleFileChange = async (e) => {
+    const file = e.target.files[0];
+    e.target.value = ''; // let the same file be picked again
+    if (!file) return;
+    const nextTable = readCsvTable(await file.text());
+    setFileName(file.name);
+    setMessage(null);
+    setTable(nextTable);
+    setMapping(guessMapping(nextTable.headers, nextTable.rows));
+  };
+
+  const handleClose = () => {
+    setTable(null);
+    setMapping(null);
+    setFileName(null);
+  };
+
+  const setColumn = (fieldId, value) => {
+    setMapping({ ...mapping, columns: { ...mapping.columns, [fieldId]: value === '' ? null : Number(value) } });
+  };
+
+  const missingFields = mapping
+    ? CSV_FIELDS.filter((field) => field.required && mapping.columns[field.id] === null)
+    : [];
+  const result = table && missingFields.length === 0 ? rowsToTasks(table.rows, mapping) : null;
+
+  const handleImport = () => {
+    onImportTasks(result.tasks);
+    setMessage(result.errors.length > 0
+      ? `Imported ${result.tasks.length} tasks; skipped ${result.errors.length} invalid rows.`
+      : `Imported ${result.tasks.length} tasks.`);
+    handleClose();
+  };
+
+  return (
+    <div>
+      <p className={`text-xs mb-3 ${mutedClass}`}>
+        Move the task list to and from a spreadsheet. Comma, semicolon and tab separated files all work.
+      </p>
+      <div className="flex items-center gap-3">
+        <button onClick={handleExport} disabled={tasks.length === 0} className={buttonClass}>Export CSV</button>
+        <label className={`text-sm font-medium cursor-pointer ${
+          darkMode ? 'text-indigo-400 hover:text-indigo-300' : 'text-indigo-600 hover:text-indigo-700'
+        }`}>
+          Import CSV…
+          <input type="file" accept=".csv,.tsv,.txt,text/csv" onChange={handleFileChange} className="hidden" />
+        </label>
+      </div>
+
+      {message && <p className="mt-3 text-sm text-green-600 dark:text-green-400">{message}</p>}
+
+      {table && (
+        <div className={`mt-4 p-3 rounded-lg text-sm ${darkMode ? 'bg-gray-700' : 'bg-gray-50'}`}>
+          <p className="font-medium">{fileName}</p>
+          <p className={`text-xs mt-1 ${mutedClass}`}>{table.rows.length} rows. Pick the column for each field:</p>
+
+          <div className="grid grid-cols-2 gap-2 mt-2">
+            {CSV_FIELDS.map((field) => (
+              <label key={field.id} className="flex items-center justify-between gap-2 text-xs">
+                <span>{field.label}{field.required && ' *'}</span>
+                <select
+                  value={mapping.columns[field.id] ?? ''}
+                  onChange={(e) => setColumn(field.id, e.target.value)}
+                  className={selectClass}
+                >
+                  <option value="">(none)</option>
+                  {table.headers.map((header, index) => (
+                    <option key={index} value={index}>{header || `Column ${index + 1}`}</option>
+                  ))}
+                </select>
+              </label>
+            ))}
+            <label className="flex items-center justify-between gap-2 text-xs">
+              <span>Time is in</span>
+              <select
+                value={mapping.timeUnit}
+                onChange={(e) => setMapping({ ...mapping, timeUnit: e.target.value })}
+                className={selectClass}
+              >
+                {TIME_UNITS.map((unit) => <option key={unit.id} value={unit.id}>{unit.label}</option>)}
+              </select>
+            </label>
+            <label className="flex items-center justify-between gap-2 text-xs">
+              <span>Importance scale</span>
+              <select
+                value={mapping.importanceScale}
+                onChange={(e) => setMapping({ ...mapping, importanceScale: e.target.value })}
+                className={selectClass}
+              >
+                {IMPORTANCE_SCALES.map((scale) => <option key={scale.id} value={scale.id}>{scale.label}</option>)}
+              </select>
+            </label>
+          </div>
+
+          {missingFields.length > 0 && (
+            <p className="mt-2 text-xs text-red-500">
+              Map a column to {missingFields.map((field) => field.label.toLowerCase()).join(', ')} to continue.
+            </p>
+          )}
+
+          {result && result.tasks.length > 0 && (
+            <table className="w-full mt-3 text-xs">
+              <thead>
+                <tr className={mutedClass}>
+                  <th className="text-left font-medium">Name</th>
+                  <th className="text-right font-medium">Importance</th>
+                  <th className="text-right font-medium">Time</th>
+                </tr>
+              </thead>
+              <tbody>
+                {result.tasks.slice(0, PREVIEW_ROWS).map((task) => (
+                  <tr key={task.id}>
+                    <td className="truncate max-w-0 w-full">{task.completed ? '✓ ' : ''}{task.name}</td>
+                    <td className="text-right pl-2">{task.importance}</td>
+                    <td className="text-right pl-2 whitespace-nowrap">{task.time} min</td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          )}
+          {result && result.tasks.length > PREVIEW_ROWS && (
+            <p className={`text-xs mt-1 ${mutedClass}`}>…and {result.tasks.length - PREVIEW_ROWS} more</p>
+          )}
+
+          {result && result.errors.length > 0 && (
+            <div className="mt-2 text-xs text-red-500">
+              <p className="font-medium">{result.errors.length} rows will be skipped:</p>
+              <ul className="list-disc ml-4 mt-1 max-h-32 overflow-y-auto">
+                {result.errors.map((error) => (
+                  <li key={error.row}>Row {error.row}: {error.messages.join('; ')}</li>
+                ))}
+              </ul>
+            </div>
+          )}
+
+          <div className="flex gap-2 mt-3">
+            <button onClick={handleImport} disabled={!result || result.tasks.length === 0} className={buttonClass}>
+              Import {result ? result.tasks.length : 0} Tasks
+            </button>
+            <button
+              onClick={handleClose}
+              className={`px-3 py-1.5 rounded-lg text-sm ${darkMode ? 'hover:bg-gray-600' : 'hover:bg-gray-200'}`}
+            >
+              Cancel
+            </button>
+          </div>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default CsvPanel;
@@ -0,0 +1,126 @@
+import React, { useState } from 'react';
+import {
+  PLAIN_TEXT_FORMATS,
+  getPlainTextFormat,
+  parsePlainTextTasks,
+  DEFAULT_PLAIN_TEXT_TIME,
+  DEFAULT_PLAIN_TEXT_IMPORTANCE
+} from '../../utils/plainTextTasks';
+import { downloadFile } from '../../utils/download';
+
+/**
+ * Copy the task list out as todo.txt or a Markdown checklist, or paste one in
+ */
+const PlainTextPanel = ({ tasks, onImportTasks, darkMode }) => {
+  const [formatId, setFormatId] = useState(PLAIN_TEXT_FORMATS[0].id);
+  const [text, setText] = useState('');
+  const [message, setMessage] = useState(null);
+  const format = getPlainTextFormat(formatId);
+
+  const mutedClass = darkMode ? 'text-gray-400' : 'text-gray-500';
+  const buttonClass = 'px-3 py-1.5 rounded-lg text-sm font-medium text-white bg-indigo-600 hover:bg-indigo-700 disabled:opacity-50';
+  const linkClass = `text-sm font-medium ${
+    darkMode ? 'text-indigo-400 hover:text-indigo-300' : 'text-indigo-600 hover:text-indigo-700'
+  }`;
+
+  const exported = format.serialize(tasks);
+  const result = text.trim() ? parsePlainTextTasks(text, formatId) : null;
+
+  const handleCopy = async () => {
+    try {
+      await navigator.clipboard.writeText(exported);
+      setMessage(`Copied ${tasks.length} tasks.`);
+    } catch (error) {
+      setText(exported); // clipboard blocked; leave the text where it can be copied by hand
+      setMessage('Copying was blocked by the browser; the list is in the box below.');
+    }
+  };
+
+  const handleDownload = () => {
+    downloadFile(`tasks.${format.extension}`, `${exported}\n`, 'text/plain');
+    setMessage(`Exported ${tasks.length} tasks.`);
+  };
+
+  const handleFileChange = async (e) => {
+    const file = e.target.files[0];
+    e.target.value = ''; // let the same file be picked again
+    if (!file) return;
+    setMessage(null);
+    setText(await file.text());
+  };
+
+  const handleImport = () => {
+    onImportTasks(result.tasks);
+    setMessage(result.errors.length > 0
+      ? `Imported ${result.tasks.length} tasks; skipped ${result.errors.length} invalid lines.`
+      : `Imported ${result.tasks.length} tasks.`);
+    setText('');
+  };
+
+  return (
+    <div>
+      <div className="flex flex-wrap gap-3 mb-3">
+        {PLAIN_TEXT_FORMATS.map((option) => (
+          <label key={option.id} className="flex items-center gap-1 text-sm">
+            <input
+              type="radio"
+              name="plain-text-format"
+              checked={formatId === option.id}
+              onChange={() => setFormatId(option.id)}
+            />
+            {option.name}
+          </label>
+        ))}
+      </div>
+      <p className={`text-xs mb-3 ${mutedClass}`}>
+        One task per line, e.g. <code>{format.example}</code>. Lines without a time get {DEFAULT_PLAIN_TEXT_TIME}m
+        and lines without an importance get {DEFAULT_PLAIN_TEXT_IMPORTANCE}.
+      </p>
+
+      <div className="flex items-center gap-3">
+        <button onClick={handleCopy} disabled={tasks.length === 0} className={buttonClass}>Copy List</button>
+        <button onClick={handleDownload} disabled={tasks.length === 0} className={linkClass}>Download</button>
+        <label className={`${linkClass} cursor-pointer`}>
+          Open File…
+          <input type="file" accept=".txt,.md,.markdown,text/plain,text/markdown" onChange={handleFileChange} className="hidden" />
+        </label>
+      </div>
+
+      {message && <p className="mt-3 text-sm text-green-600 dark:text-green-400">{message}</p>}
+
+      <textarea
+        value={text}
+        onChange={(e) => setText(e.target.value)}
+        rows={6}
+        placeholder={`Paste a ${format.name} list to import it`}
+        className={`mt-3 w-full px-2 py-1 rounded border font-mono text-xs ${
+          darkMode ? 'bg-gray-700 border-gray-600 text-white' : 'bg-white border-gray-300'
+        }`}
+        aria-label={`Tasks to import as ${format.name}`}
+      />
+
+      {result && result.errors.length > 0 && (
+        <div className="mt-2 text-xs text-red-500">
+          <p className="font-medium">{result.errors.length} lines will be skipped:</p>
+          <ul className="list-disc ml-4 mt-1 max-h-32 overflow-y-auto">
+            {result.errors.map((error) => (
+              <li key={error.line}>Line {error.line}: {error.messages.join('; ')}</li>
+            ))}
+          </ul>
+        </div>
+      )}
+
+      {result && (
+        <button
+          onClick={handleImport}
+          disabled={result.tasks.length === 0}
+          className={`mt-3 ${buttonClass}`}
+        >
+          Import {result.tasks.length} Tasks
+        </button>
+      )}
+    </div>
+  );
+};
+
+export default PlainTextPanel;
@@ -1,8 +1,11 @@
 import React, { useState, useEffect, useRef } from 'react';
 import { useGamification } from '../../context/GamificationContext';
+import { getRemainingTime } from '../../algorithms/splitting';
 
 const TaskTimer = ({ task, onComplete, darkMode }) => {
-  const [timeRemaining, setTimeRemaining] = useState(task.time * 60); // Convert minutes to seconds
+  // Splittable tasks only time what is left of them
+  const totalTime = getRemainingTime(task) * 60; // Convert minutes to seconds
+  const [timeRemaining, setTimeRemaining] = useState(totalTime);
   const [isRunning, setIsRunning] = useState(false);
   const [completionStats, setCompletionStats] = useState({ show: false, early: false, bonus: 0 });
   const timerRef = useRef(null);
@@ -40,7 +43,6 @@ const handleComplete = () => {
     setIsRunning(false);
     
     // Calculate bonus based on time remaining
-    const totalTime = task.time * 60;
     const percentRemaining = timeRemaining / totalTime;
     const bonus = Math.round(percentRemaining * task.importance * 10);
     
@@ -68,8 +70,26 @@ const handleComplete = () => {
     }, 2000);
   };
   
+  // Stop after a chunk of a splittable task: the time spent comes off what is
+  // left and the task stays open, so no completion is scored
+  const handleFinishChunk = () => {
+    clearInterval(timerRef.current);
+    setIsRunning(false);
+
+    if (timeRemaining <= 0) {
+      handleComplete();
+      return;
+    }
+
+    onComplete({
+      taskId: task.id,
+      chunkOnly: true,
+      timeSpent: totalTime - timeRemaining
+    });
+  };
+
   // Progress percentage
-  const progressPercentage = (timeRemaining / (task.time * 60)) * 100;
+  const progressPercentage = (timeRemaining / totalTime) * 100;
   
   // Color based on remaining time
   const getTimerColor = () => {
@@ -100,7 +120,7 @@ const handleComplete = () => {
           +{completionStats.scoreGained} points earned
         </div>
         <div className="mt-3 text-xs text-gray-500 dark:text-gray-400">
-          Time spent: {Math.round((task.time * 60 - timeRemaining) / 60)} minutes
+          Time spent: {Math.round((totalTime - timeRemaining) / 60)} minutes
         </div>
       </div>
     );
@@ -139,11 +159,25 @@ const handleComplete = () => {
           {isRunning ? 'Pause' : 'Start'}
         </button>
         
+        {task.splittable && (
+          <button
+            onClick={handleFinishChunk}
+            disabled={timeRemaining === totalTime}
+            className={`px-3 py-1 rounded text-sm ${
+              timeRemaining === totalTime
+                ? (darkMode ? 'bg-gray-700 text-gray-500' : 'bg-gray-200 text-gray-400')
+                : (darkMode ? 'bg-teal-900 text-teal-300' : 'bg-teal-100 text-teal-600')
+            }`}
+          >
+            Finish Chunk
+          </button>
+        )}
+        
         <button
           onClick={handleComplete}
-          disabled={!isRunning && timeRemaining === task.time * 60}
+          disabled={!isRunning && timeRemaining === totalTime}
           className={`px-3 py-1 rounded text-sm ${
-            !isRunning && timeRemaining === task.time * 60
+            !isRunning && timeRemaining === totalTime
               ? (darkMode ? 'bg-gray-700 text-gray-500' : 'bg-gray-200 text-gray-400')
               : (darkMode ? 'bg-indigo-900 text-indigo-300' : 'bg-indigo-100 text-indigo-600')
           }`}
@@ -0,0 +1,55 @@
+import React from 'react';
+import TaskTile from './TaskTile';
+
+const formatRatio = (task) => (task.importance / Math.max(1, task.time)).toFixed(2);
+
+const GreedyView = ({ step }) => {
+  const used = step.capacity - step.remainingTime;
+
+  const toneOf = (index) => {
+    if (step.type === 'consider' && index === step.index) return step.included ? 'active' : 'rejected';
+    if (step.decisions[index] === true) return 'done';
+    if (step.decisions[index] === false) return 'muted';
+    return 'default';
+  };
+
+  return (
+    <div className="p-4 h-full flex flex-col">
+      <div className="mb-3">
+        <div className="flex justify-between text-xs mb-1">
+          <span>Time used</span>
+          <span className="font-mono">{used} / {step.capacity} min</span>
+        </div>
+        <div className="w-full bg-gray-200 dark:bg-gray-700 rounded-full h-2">
+          <div
+            className="bg-indigo-600 h-2 rounded-full transition-all duration-300"
+            style={{ width: `${step.capacity > 0 ? Math.min(100, (used / step.capacity) * 100) : 0}%` }}
+          ></div>
+        </div>
+      </div>
+      <div className="flex flex-wrap justify-center">
+        {step.order.map((task, index) => (
+          <TaskTile key={task.id} task={task} detail={`${formatRatio(task)}/m`} tone={toneOf(index)} />
+        ))}
+      </div>
+      <div className="text-center text-sm mt-auto pt-2">
+        {step.type === 'initialize' && <p>Importance per minute of every task</p>}
+        {step.type === 'sorted' && <p>Sorted by importance per minute, best first</p>}
+        {step.type === 'consider' && (
+          <p>
+            {step.item.name}:{' '}
+            <span className={step.included ? 'text-green-500 font-medium' : 'text-red-500'}>
+              {step.included ? 'take' : 'skip'}
+            </span>{' '}
+            ({step.reason})
+          </p>
+        )}
+        {step.type === 'solution' && (
+          <p>Took {step.selected.length} tasks · importance {step.totalValue} · {step.remainingTime} min left</p>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default GreedyView;
@@ -0,0 +1,82 @@
+import React from 'react';
+import TaskTile from './TaskTile';
+
+// Tree geometry (SVG user units); deeper levels are left out of the drawing
+const MAX_LEVELS = 5;
+const WIDTH = 480;
+const LEVEL_HEIGHT = 34;
+const RADIUS = 13;
+
+const CAPTIONS = {
+  initial: () => 'Empty priority queue',
+  push: (step) => `Push ${step.item.name} as the last leaf`,
+  siftUp: () => 'Sift up: swap with its parent while it goes first',
+  pop: (step) => `Pop ${step.item.name}, the next task; the last leaf moves to the root`,
+  siftDown: () => 'Sift down: swap with the child that goes first',
+  final: () => 'Every task popped in priority order'
+};
+
+const HeapView = ({ step, context, darkMode }) => {
+  const key = context.sortKeys[0].key;
+  const shown = Math.min(step.heap.length, 2 ** MAX_LEVELS - 1);
+  const levels = Math.ceil(Math.log2(shown + 1));
+
+  const position = (index) => {
+    const level = Math.floor(Math.log2(index + 1));
+    const offset = index + 1 - 2 ** level;
+    return {
+      x: ((offset + 0.5) / 2 ** level) * WIDTH,
+      y: RADIUS + 2 + level * LEVEL_HEIGHT
+    };
+  };
+
+  return (
+    <div className="p-4 h-full flex flex-col">
+      {shown > 0 && (
+        <svg
+          viewBox={`0 0 ${WIDTH} ${levels * LEVEL_HEIGHT}`}
+          className="w-full"
+          role="img"
+          aria-label="Binary heap"
+        >
+          {Array.from({ length: shown }, (_, index) => {
+            if (index === 0) return null;
+            const from = position(Math.floor((index - 1) / 2));
+            const to = position(index);
+            return <line key={`edge-${index}`} x1={from.x} y1={from.y} x2={to.x} y2={to.y} stroke={darkMode ? '#4B5563' : '#D1D5DB'} />;
+          })}
+          {step.heap.slice(0, shown).map((task, index) => {
+            const { x, y } = position(index);
+            const active = step.indices.includes(index);
+            return (
+              <g key={task.id}>
+                <circle cx={x} cy={y} r={RADIUS} fill={active ? '#F59E0B' : '#6366F1'} />
+                <text x={x} y={y + 3} fontSize="9" textAnchor="middle" fill="white">{task[key]}</text>
+                <title>{task.name}</title>
+              </g>
+            );
+          })}
+        </svg>
+      )}
+      {step.heap.length > shown && (
+        <p className="text-xs text-center text-gray-500 dark:text-gray-400">
+          +{step.heap.length - shown} more below level {MAX_LEVELS}
+        </p>
+      )}
+
+      {step.poppedCount > 0 && (
+        <div className="flex flex-wrap justify-center mt-2">
+          {step.popped.slice(0, step.poppedCount).map((task) => (
+            <TaskTile key={task.id} task={task} detail={task[key]} tone="done" />
+          ))}
+        </div>
+      )}
+
+      <div className="text-center text-sm mt-auto pt-2">
+        <p>{CAPTIONS[step.type](step)}</p>
+      </div>
+    </div>
+  );
+};
+
+export default HeapView;
@@ -0,0 +1,95 @@
+import React from 'react';
+
+// Heatmap geometry (SVG user units)
+const CELL = 12;
+const LABEL_WIDTH = 64;
+const HEADER_HEIGHT = 14;
+const COLUMN_LABELS = 5;
+
+/**
+ * The knapsack DP table as a heatmap: a row per number of tasks considered, a
+ * column per capacity. Darker cells hold more importance; cells appear as the
+ * table fills and the backtracking path is outlined once it is walked.
+ */
+const KnapsackHeatmap = ({ step, darkMode }) => {
+  const { table, filled, pathLength } = step;
+  const columns = table.capacities.length;
+  const width = LABEL_WIDTH + columns * CELL;
+  const height = HEADER_HEIGHT + table.rows.length * CELL;
+  const labelColor = darkMode ? '#9CA3AF' : '#6B7280';
+  const emptyColor = darkMode ? '#374151' : '#F3F4F6';
+
+  const path = table.path.slice(0, pathLength);
+  const labelEvery = Math.max(1, Math.ceil(columns / COLUMN_LABELS));
+
+  return (
+    <svg viewBox={`0 0 ${width} ${height}`} className="w-full" role="img" aria-label="Knapsack DP table">
+      {table.capacities.map((capacity, column) =>
+        column % labelEvery === 0 || column === columns - 1 ? (
+          <text
+            key={capacity}
+            x={LABEL_WIDTH + column * CELL + CELL / 2}
+            y={HEADER_HEIGHT - 4}
+            fontSize="7"
+            textAnchor="middle"
+            fill={labelColor}
+          >
+            {capacity}m
+          </text>
+        ) : null
+      )}
+
+      {table.rows.map(({ index, item }, row) => {
+        const wasTaken = path.some((point) => point.row === row && point.taken);
+        return (
+          <g key={index}>
+            <text
+              x={LABEL_WIDTH - 4}
+              y={HEADER_HEIGHT + row * CELL + CELL - 3}
+              fontSize="7"
+              textAnchor="end"
+              fill={wasTaken ? '#10B981' : labelColor}
+              fontWeight={wasTaken ? 'bold' : 'normal'}
+            >
+              {item ? item.name.substring(0, 12) : 'no tasks'}
+            </text>
+            {table.capacities.map((capacity, column) => {
+              const cell = row * columns + column;
+              const value = table.values[cell];
+              const shade = table.maxValue > 0 ? value / table.maxValue : 0;
+              const isCurrent = step.cell && step.cell.row === row && step.cell.column === column;
+              return (
+                <rect
+                  key={capacity}
+                  x={LABEL_WIDTH + column * CELL}
+                  y={HEADER_HEIGHT + row * CELL}
+                  width={CELL - 1}
+                  height={CELL - 1}
+                  fill={cell < filled ? `rgba(99, 102, 241, ${0.1 + 0.9 * shade})` : emptyColor}
+                  stroke={isCurrent ? '#F59E0B' : 'none'}
+                >
+                  <title>{`${item ? `First ${index} tasks` : 'No tasks'}, ${capacity}m: ${cell < filled ? value : '?'}`}</title>
+                </rect>
+              );
+            })}
+          </g>
+        );
+      })}
+
+      {path.map((point) => (
+        <rect
+          key={point.row}
+          x={LABEL_WIDTH + point.column * CELL - 0.5}
+          y={HEADER_HEIGHT + point.row * CELL - 0.5}
+          width={CELL}
+          height={CELL}
+          fill="none"
+          stroke={point.taken ? '#10B981' : '#F59E0B'}
+          strokeWidth="1.5"
+        />
+      ))}
+    </svg>
+  );
+};
+
+export default KnapsackHeatmap;
@@ -0,0 +1,38 @@
+import React from 'react';
+import KnapsackHeatmap from './KnapsackHeatmap';
+
+const KnapsackView = ({ step, darkMode }) => (
+  <div className="p-4 flex flex-col">
+    <KnapsackHeatmap step={step} darkMode={darkMode} />
+    <div className="text-center text-xs mt-2">
+      {step.type === 'initialize' && (
+        <p>{step.items.length} tasks, {step.capacity} minutes: each cell is the best importance of the first tasks within that many minutes</p>
+      )}
+      {step.type === 'fill' && (
+        <p>
+          {step.item.name} at {step.capacity}m:{' '}
+          <span className={step.included ? 'text-green-500 font-medium' : 'text-red-500'}>
+            {step.included ? 'include' : 'skip'}
+          </span>{' '}
+          ({step.reason})
+        </p>
+      )}
+      {step.type === 'backtrack' && (
+        <p>
+          Backtracking with {step.capacity}m left:{' '}
+          <span className={step.included ? 'text-green-500 font-medium' : 'text-gray-500'}>
+            {step.included ? `took ${step.item.name}` : `skipped ${step.item.name}`}
+          </span>
+        </p>
+      )}
+      {step.type === 'solution' && (
+        <p>
+          Optimal solution: {step.selected.map((item) => item.name).join(', ') || 'no tasks'} · importance{' '}
+          {step.totalValue} · {step.totalWeight} / {step.capacity} minutes
+        </p>
+      )}
+    </div>
+  </div>
+);
+
+export default KnapsackView;
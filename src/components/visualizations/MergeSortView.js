@@ -0,0 +1,36 @@
+import React from 'react';
+import TaskTile from './TaskTile';
+
+const CAPTIONS = {
+  initial: 'Initial array',
+  split: 'Dividing arrays',
+  beforeMerge: 'Before merging',
+  merge: 'Merging sorted arrays',
+  final: 'Final sorted array'
+};
+
+const MergeSortView = ({ step, context }) => {
+  const key = context.sortKeys[0].key;
+  return (
+    <div className="p-4 h-full flex flex-col">
+      {step.arrays.map((array, i) => (
+        <div key={i} className="flex flex-wrap mb-4 justify-center">
+          {array.map((item, j) => (
+            <TaskTile
+              key={j}
+              task={item}
+              detail={item[key]}
+              tone={step.type === 'final' ? 'done' : 'default'}
+              scale={step.type === 'merge' ? 1.05 : 1}
+            />
+          ))}
+        </div>
+      ))}
+      <div className="text-center text-sm mt-auto">
+        <p>{CAPTIONS[step.type]}</p>
+      </div>
+    </div>
+  );
+};
+
+export default MergeSortView;
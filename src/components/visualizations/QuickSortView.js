@@ -0,0 +1,46 @@
+import React from 'react';
+import TaskTile from './TaskTile';
+
+const caption = (step) => {
+  const pivot = step.array[step.pivot];
+  switch (step.type) {
+    case 'initial': return 'Initial array';
+    case 'partition': return `Partitioning positions ${step.range[0] + 1}-${step.range[1] + 1} around ${pivot.name}`;
+    case 'compare': return `Does ${step.array[step.indices[0]].name} go before the pivot ${pivot.name}?`;
+    case 'swap': return `Swapping positions ${step.indices[0] + 1} and ${step.indices[1] + 1}`;
+    case 'placed': return `${pivot.name} is in its final position`;
+    case 'final': return 'Final sorted array';
+    default: return '';
+  }
+};
+
+const QuickSortView = ({ step, context }) => {
+  const key = context.sortKeys[0].key;
+  const placed = new Set(step.placed.slice(0, step.placedCount));
+  const inRange = (index) => step.range && index >= step.range[0] && index <= step.range[1];
+
+  const toneOf = (index) => {
+    if (step.type === 'final' || placed.has(index)) return 'done';
+    if (step.indices.includes(index)) return 'active';
+    if (index === step.pivot) return 'rejected';
+    return inRange(index) ? 'default' : 'muted';
+  };
+
+  return (
+    <div className="p-4 h-full flex flex-col">
+      <div className="flex flex-wrap mb-4 justify-center">
+        {step.array.map((item, index) => (
+          <TaskTile key={item.id} task={item} detail={item[key]} tone={toneOf(index)} />
+        ))}
+      </div>
+      <div className="text-center text-sm mt-auto">
+        <p>{caption(step)}</p>
+        {step.pivot !== undefined && step.type !== 'final' && (
+          <p className="text-xs text-gray-500 dark:text-gray-400">Red: pivot · amber: being compared or swapped · green: in place</p>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default QuickSortView;
@@ -0,0 +1,26 @@
+import React from 'react';
+
+const TONES = {
+  default: 'bg-indigo-100 dark:bg-indigo-900',
+  done: 'bg-green-100 dark:bg-green-900',
+  active: 'bg-amber-100 dark:bg-amber-900 ring-2 ring-amber-400',
+  muted: 'bg-gray-100 dark:bg-gray-700 opacity-60',
+  rejected: 'bg-red-100 dark:bg-red-900'
+};
+
+/**
+ * One task as a small tile in the algorithm visualizer
+ */
+const TaskTile = ({ task, detail, tone = 'default', scale = 1 }) => (
+  <div
+    className={`m-1 p-2 rounded text-xs flex items-center justify-center transition-all duration-300 ${TONES[tone]}`}
+    style={{ width: '60px', height: '60px', transform: `scale(${scale})` }}
+  >
+    <div className="text-center">
+      <div className="font-bold">{task.name.substring(0, 6)}</div>
+      <div className="text-xs mt-1">{detail}</div>
+    </div>
+  </div>
+);
+
+export default TaskTile;
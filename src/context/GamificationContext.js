@@ -1,13 +1,18 @@
 import React, { createContext, useState, useContext, useEffect, useCallback } from 'react';
-import { saveUserProgress, loadUserProgress } from '../utils/localStorage';
+import { saveUserProgress, loadUserProgress, DEFAULT_USER_PROGRESS } from '../utils/localStorage';
 import { ACHIEVEMENTS, LEVELS, calculateTaskScore } from '../data/gamificationData';
 
 const GamificationContext = createContext();
 
 export const GamificationProvider = ({ children }) => {
-  const [progress, setProgress] = useState(loadUserProgress());
+  const [progress, setProgress] = useState(DEFAULT_USER_PROGRESS);
   const [achievements, setAchievements] = useState(ACHIEVEMENTS);
   const [showNotification, setShowNotification] = useState(null);
+
+  // Load saved progress once storage answers
+  useEffect(() => {
+    loadUserProgress().then(setProgress);
+  }, []);
   
   // Wrap updateProgress in useCallback to avoid dependency cycles
   const updateProgress = useCallback((updates) => {
@@ -193,6 +198,12 @@ export const GamificationProvider = ({ children }) => {
     };
   }, [getCurrentLevel, handleProgressUpdate, progress]);
   
+  // Swap in progress from elsewhere (e.g. an imported backup) and save it
+  const replaceProgress = useCallback((newProgress) => {
+    setProgress(newProgress);
+    saveUserProgress(newProgress);
+  }, []);
+
   const dismissNotification = useCallback(() => {
     setShowNotification(null);
   }, []);
@@ -204,6 +215,7 @@ export const GamificationProvider = ({ children }) => {
     currentLevel: getCurrentLevel(progress.score),
     nextLevel: LEVELS.find(l => l.level === getCurrentLevel(progress.score).level + 1) || null,
     completeTask,
+    replaceProgress,
     showNotification,
     dismissNotification
   };
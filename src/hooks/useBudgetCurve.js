@@ -0,0 +1,62 @@
+// src/hooks/useBudgetCurve.js
+import { useState, useEffect, useRef } from 'react';
+import { createPlannerClient } from '../workers/plannerClient';
+import { DEFAULT_TIMELINE_SETTINGS } from '../algorithms/timeline';
+
+// Shared default so the curve isn't recomputed on every render
+const NO_MEETINGS = [];
+
+/**
+ * Keep the importance-vs-budget curve for the current tasks, computed off the
+ * main thread. The curve plans every slider budget, so it is only computed
+ * while enabled (e.g. while its panel is open).
+ * @param {boolean} enabled - Whether the curve is needed
+ * @param {Array} tasks - Array of task objects
+ * @param {string} strategy - Planning strategy id
+ * @param {Object} quotas - Category quotas
+ * @param {Number} granularity - Minutes per DP time step
+ * @param {Array} meetings - Today's meetings, which every budget is planned around
+ * @param {Object} settings - Timeline settings the workday is laid out with
+ * @returns {Object} - { curve, isComputing }; curve is null until the first result
+ */
+export const useBudgetCurve = (
+  enabled,
+  tasks,
+  strategy,
+  quotas,
+  granularity,
+  meetings = NO_MEETINGS,
+  settings = DEFAULT_TIMELINE_SETTINGS
+) => {
+  const clientRef = useRef(null);
+  const [curve, setCurve] = useState(null);
+  const [isComputing, setIsComputing] = useState(false);
+
+  useEffect(() => {
+    clientRef.current = createPlannerClient();
+    return () => clientRef.current.terminate();
+  }, []);
+
+  useEffect(() => {
+    if (!enabled) return undefined;
+
+    const controller = new AbortController();
+    setIsComputing(true);
+
+    clientRef.current
+      .requestBudgetCurve({ tasks, strategy, quotas, granularity, meetings, settings }, { signal: controller.signal })
+      .then((result) => {
+        setCurve(result);
+        setIsComputing(false);
+      })
+      .catch((error) => {
+        if (error.name === 'AbortError') return; // a newer request is on its way
+        console.error('Error computing budget curve:', error);
+        setIsComputing(false);
+      });
+
+    return () => controller.abort();
+  }, [enabled, tasks, strategy, quotas, granularity, meetings, settings]);
+
+  return { curve, isComputing };
+};
@@ -0,0 +1,49 @@
+// src/hooks/usePlan.js
+import { useState, useEffect, useRef } from 'react';
+import { createPlanResult } from '../algorithms/planner';
+import { createPlannerClient } from '../workers/plannerClient';
+
+/**
+ * Keep a plan for the current tasks and settings, computed off the main thread
+ * Any change cancels the request still running and plans again; until the new
+ * plan arrives the previous one stays on screen.
+ * @param {Array} tasks - Array of task objects
+ * @param {Number} timeLimit - Time budget (in minutes)
+ * @param {string} strategy - Planning strategy id
+ * @param {Object} quotas - Category quotas
+ * @param {Number} granularity - Minutes per DP time step
+ * @param {Object} workday - { gaps, busyMinutes } from layOutWorkday when there are
+ *   meetings to plan around, otherwise null
+ * @returns {Object} - { plan, isPlanning }
+ */
+export const usePlan = (tasks, timeLimit, strategy, quotas, granularity, workday = null) => {
+  const clientRef = useRef(null);
+  const [plan, setPlan] = useState(() => createPlanResult([], [], timeLimit, strategy));
+  const [isPlanning, setIsPlanning] = useState(true);
+
+  useEffect(() => {
+    clientRef.current = createPlannerClient();
+    return () => clientRef.current.terminate();
+  }, []);
+
+  useEffect(() => {
+    const controller = new AbortController();
+    setIsPlanning(true);
+
+    clientRef.current
+      .requestPlan({ tasks, timeLimit, strategy, quotas, granularity, workday }, { signal: controller.signal })
+      .then((result) => {
+        setPlan(result);
+        setIsPlanning(false);
+      })
+      .catch((error) => {
+        if (error.name === 'AbortError') return; // a newer request is on its way
+        console.error('Error planning tasks:', error);
+        setIsPlanning(false);
+      });
+
+    return () => controller.abort();
+  }, [tasks, timeLimit, strategy, quotas, granularity, workday]);
+
+  return { plan, isPlanning };
+};
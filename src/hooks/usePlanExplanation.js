@@ -0,0 +1,43 @@
+// src/hooks/usePlanExplanation.js
+import { useState, useEffect, useRef } from 'react';
+import { createPlannerClient } from '../workers/plannerClient';
+
+/**
+ * Keep the explanation of a plan, computed off the main thread
+ * Explaining re-runs the planner many times per dropped task, so only use this
+ * while the explanation is shown.
+ * @param {Array} tasks - Array of task objects the plan was made from
+ * @param {Object} plan - Plan result to explain
+ * @returns {Object} - { explanations, isComputing }; explanations is null until the first result
+ */
+export const usePlanExplanation = (tasks, plan) => {
+  const clientRef = useRef(null);
+  const [explanations, setExplanations] = useState(null);
+  const [isComputing, setIsComputing] = useState(false);
+
+  useEffect(() => {
+    clientRef.current = createPlannerClient();
+    return () => clientRef.current.terminate();
+  }, []);
+
+  useEffect(() => {
+    const controller = new AbortController();
+    setIsComputing(true);
+
+    clientRef.current
+      .requestExplanation({ tasks, plan }, { signal: controller.signal })
+      .then((result) => {
+        setExplanations(result);
+        setIsComputing(false);
+      })
+      .catch((error) => {
+        if (error.name === 'AbortError') return; // a newer request is on its way
+        console.error('Error explaining plan:', error);
+        setIsComputing(false);
+      });
+
+    return () => controller.abort();
+  }, [tasks, plan]);
+
+  return { explanations, isComputing };
+};
@@ -0,0 +1,60 @@
+// src/hooks/useStepPlayer.js
+import { useState, useEffect } from 'react';
+
+/**
+ * Play back a list of visualization steps
+ * While playing, the current step advances speed times per second and stops
+ * on the last step. Stepping, jumping or scrubbing pauses playback.
+ * @param {Number} speed - Steps per second
+ * @returns {Object} - { steps, currentStep, step, isPlaying, load, play, pause,
+ *   stepForward, stepBack, jumpTo }
+ */
+export const useStepPlayer = (speed) => {
+  const [steps, setSteps] = useState([]);
+  const [currentStep, setCurrentStep] = useState(0);
+  const [isPlaying, setIsPlaying] = useState(false);
+  const lastStep = Math.max(0, steps.length - 1);
+
+  useEffect(() => {
+    if (!isPlaying) return undefined;
+    if (currentStep >= lastStep) {
+      setIsPlaying(false);
+      return undefined;
+    }
+
+    const timeout = setTimeout(() => setCurrentStep((step) => Math.min(step + 1, lastStep)), 1000 / speed);
+    return () => clearTimeout(timeout);
+  }, [isPlaying, currentStep, lastStep, speed]);
+
+  // Replace the steps and rewind, optionally starting playback
+  const load = (newSteps, { autoplay = false } = {}) => {
+    setSteps(newSteps);
+    setCurrentStep(0);
+    setIsPlaying(autoplay && newSteps.length > 1);
+  };
+
+  // Play from the current step, or from the start once the end was reached
+  const play = () => {
+    if (steps.length === 0) return;
+    if (currentStep >= lastStep) setCurrentStep(0);
+    setIsPlaying(true);
+  };
+
+  const jumpTo = (index) => {
+    setIsPlaying(false);
+    setCurrentStep(Math.min(Math.max(0, index), lastStep));
+  };
+
+  return {
+    steps,
+    currentStep,
+    step: steps[currentStep],
+    isPlaying,
+    load,
+    play,
+    pause: () => setIsPlaying(false),
+    stepForward: () => jumpTo(currentStep + 1),
+    stepBack: () => jumpTo(currentStep - 1),
+    jumpTo
+  };
+};
@@ -0,0 +1,49 @@
+// src/hooks/useWeekPlan.js
+import { useState, useEffect, useRef } from 'react';
+import { createPlannerClient } from '../workers/plannerClient';
+
+/**
+ * Keep the week plan for the current tasks, computed off the main thread
+ * Packing the week plans every day in turn, so it is only computed while
+ * enabled (e.g. while the week planner is expanded).
+ * @param {boolean} enabled - Whether the week plan is needed
+ * @param {Array} tasks - Array of task objects
+ * @param {Array} dayBudgets - Array of { day, minutes } in planning order
+ * @param {string} strategy - Planning strategy id
+ * @param {Object} quotas - Category quotas
+ * @param {Number} granularity - Minutes per DP time step
+ * @returns {Object} - { weekPlan, isPlanning }; weekPlan is null until the first result
+ */
+export const useWeekPlan = (enabled, tasks, dayBudgets, strategy, quotas, granularity) => {
+  const clientRef = useRef(null);
+  const [weekPlan, setWeekPlan] = useState(null);
+  const [isPlanning, setIsPlanning] = useState(false);
+
+  useEffect(() => {
+    clientRef.current = createPlannerClient();
+    return () => clientRef.current.terminate();
+  }, []);
+
+  useEffect(() => {
+    if (!enabled) return undefined;
+
+    const controller = new AbortController();
+    setIsPlanning(true);
+
+    clientRef.current
+      .requestWeekPlan({ tasks, dayBudgets, strategy, quotas, granularity }, { signal: controller.signal })
+      .then((result) => {
+        setWeekPlan(result);
+        setIsPlanning(false);
+      })
+      .catch((error) => {
+        if (error.name === 'AbortError') return; // a newer request is on its way
+        console.error('Error planning the week:', error);
+        setIsPlanning(false);
+      });
+
+    return () => controller.abort();
+  }, [enabled, tasks, dayBudgets, strategy, quotas, granularity]);
+
+  return { weekPlan, isPlanning };
+};
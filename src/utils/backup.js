@@ -0,0 +1,133 @@
+// src/utils/backup.js
+import { SCHEMA_VERSION, STORAGE_KEYS, migrateStored, isValidStored } from './storageSchema';
+import { validateTask } from './taskValidation';
+
+export const BACKUP_FORMAT = 'task-optimizer-backup';
+export const BACKUP_VERSION = 1;
+
+// Readable names for the stored sections, in the order the preview lists them
+export const BACKUP_SECTIONS = {
+  tasks: 'Tasks',
+  timeLimit: 'Time limit',
+  sortPreferences: 'Sort preferences',
+  darkMode: 'Theme',
+  plannerPreferences: 'Planner preferences',
+  weekBudgets: 'Week budgets',
+  timelineSettings: 'Timeline settings',
+  userProgress: 'Progress and achievements',
+  meetings: "Today's meetings"
+};
+
+/**
+ * Bundle all app data into a backup object
+ * @param {Object} data - Current values by storage key (see STORAGE_KEYS)
+ * @returns {Object} - { format, version, schemaVersion, exportedAt, data }
+ */
+export const createBackup = (data) => ({
+  format: BACKUP_FORMAT,
+  version: BACKUP_VERSION,
+  schemaVersion: SCHEMA_VERSION,
+  exportedAt: new Date().toISOString(),
+  data: STORAGE_KEYS.reduce((sections, key) => (data[key] === undefined ? sections : { ...sections, [key]: data[key] }), {})
+});
+
+/**
+ * Read a backup file
+ * Sections saved by an older schema are migrated; unknown sections are
+ * ignored, and every task is checked so a bad file can't break the task list.
+ * @param {string} text - File contents
+ * @returns {Object} - { backup, errors }; backup is null when the file can't be
+ *   used at all, and errors lists every problem found
+ */
+export const parseBackup = (text) => {
+  let parsed;
+  try {
+    parsed = JSON.parse(text);
+  } catch (error) {
+    return { backup: null, errors: ['The file is not valid JSON.'] };
+  }
+
+  if (!parsed || parsed.format !== BACKUP_FORMAT || typeof parsed.data !== 'object' || parsed.data === null) {
+    return { backup: null, errors: ['The file is not a TaskOptimizer backup.'] };
+  }
+  if (!Number.isInteger(parsed.version) || parsed.version > BACKUP_VERSION ||
+      !Number.isInteger(parsed.schemaVersion) || parsed.schemaVersion > SCHEMA_VERSION) {
+    return { backup: null, errors: ['The backup was made by a newer version of the app. Update the app to import it.'] };
+  }
+
+  const errors = [];
+  const data = {};
+  STORAGE_KEYS.forEach((key) => {
+    if (parsed.data[key] === undefined) return;
+    let value;
+    try {
+      value = migrateStored(key, parsed.data[key], parsed.schemaVersion);
+    } catch (error) {
+      value = undefined;
+    }
+    if (value === undefined || !isValidStored(key, value)) {
+      errors.push(`${BACKUP_SECTIONS[key]}: the saved value has the wrong format.`);
+      return;
+    }
+    data[key] = value;
+  });
+
+  (data.tasks || []).forEach((task, index) => {
+    const problems = validateTask(task);
+    if (task && (task.id === undefined || task.id === null)) problems.push('needs an id');
+    if (problems.length > 0) {
+      errors.push(`Task ${index + 1}${task && task.name ? ` ("${task.name}")` : ''}: ${problems.join('; ')}.`);
+    }
+  });
+  if (data.tasks && new Set(data.tasks.map((task) => task.id)).size !== data.tasks.length) {
+    errors.push('Tasks: some tasks share the same id.');
+  }
+
+  return { backup: { ...parsed, data }, errors };
+};
+
+/**
+ * What importing a backup would change, for the preview
+ * @param {Object} backup - Parsed backup
+ * @param {Array} currentTasks - Tasks in the app right now
+ * @returns {Object} - { exportedAt, sections (readable names), taskCount, newTaskCount, progress }
+ */
+export const summarizeBackup = (backup, currentTasks) => {
+  const currentIds = new Set(currentTasks.map((task) => task.id));
+  const tasks = backup.data.tasks || [];
+  return {
+    exportedAt: backup.exportedAt,
+    sections: Object.keys(backup.data).map((key) => BACKUP_SECTIONS[key]),
+    taskCount: tasks.length,
+    newTaskCount: tasks.filter((task) => !currentIds.has(task.id)).length,
+    progress: backup.data.userProgress || null
+  };
+};
+
+const isObject = (value) => typeof value === 'object' && value !== null && !Array.isArray(value);
+
+/**
+ * Combine current data with a backup
+ * 'replace' takes every section the backup has (settings objects keep current
+ * values for any field the backup lacks). 'merge' only adds the backup's tasks
+ * whose ids aren't in the list yet and keeps everything else as it is.
+ * @param {Object} current - Current values by storage key
+ * @param {Object} backup - Parsed backup
+ * @param {string} mode - 'merge' or 'replace'
+ * @returns {Object} - New values by storage key
+ */
+export const applyBackup = (current, backup, mode) => {
+  if (mode === 'replace') {
+    return Object.entries(backup.data).reduce(
+      (next, [key, value]) => ({
+        ...next,
+        [key]: isObject(value) && isObject(current[key]) ? { ...current[key], ...value } : value
+      }),
+      current
+    );
+  }
+
+  const currentIds = new Set(current.tasks.map((task) => task.id));
+  const addedTasks = (backup.data.tasks || []).filter((task) => !currentIds.has(task.id));
+  return { ...current, tasks: [...current.tasks, ...addedTasks] };
+};
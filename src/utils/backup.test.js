@@ -0,0 +1,97 @@
+import { SCHEMA_VERSION } from './storageSchema';
+import { BACKUP_FORMAT, BACKUP_VERSION, createBackup, parseBackup, summarizeBackup, applyBackup } from './backup';
+
+const task = (id, fields = {}) => ({ id, name: `Task ${id}`, importance: 5, time: 30, completed: false, ...fields });
+
+const backupText = (fields) => JSON.stringify({
+  format: BACKUP_FORMAT,
+  version: BACKUP_VERSION,
+  schemaVersion: SCHEMA_VERSION,
+  exportedAt: '2026-10-18T09:00:00.000Z',
+  data: {},
+  ...fields
+});
+
+test('bundles known storage keys and drops the rest', () => {
+  const backup = createBackup({ tasks: [task(1)], timeLimit: 90, somethingElse: true });
+
+  expect(backup).toMatchObject({ format: BACKUP_FORMAT, version: BACKUP_VERSION, schemaVersion: SCHEMA_VERSION });
+  expect(backup.data).toEqual({ tasks: [task(1)], timeLimit: 90 });
+});
+
+test('reads back a backup it created', () => {
+  const backup = createBackup({ tasks: [task(1)], darkMode: true });
+  const { backup: parsed, errors } = parseBackup(JSON.stringify(backup));
+
+  expect(errors).toEqual([]);
+  expect(parsed.data).toEqual(backup.data);
+});
+
+test('rejects files that are not JSON or not a backup', () => {
+  expect(parseBackup('not json')).toEqual({ backup: null, errors: ['The file is not valid JSON.'] });
+  expect(parseBackup('{"tasks": []}')).toEqual({ backup: null, errors: ['The file is not a TaskOptimizer backup.'] });
+});
+
+test('rejects backups from a newer version of the app', () => {
+  const { backup, errors } = parseBackup(backupText({ schemaVersion: SCHEMA_VERSION + 1 }));
+  expect(backup).toBeNull();
+  expect(errors[0]).toMatch(/newer version/);
+});
+
+test('migrates sections saved by an older schema', () => {
+  const { backup } = parseBackup(backupText({ schemaVersion: 0, data: { tasks: [task(1)] } }));
+  expect(backup.data.tasks[0]).toMatchObject({ blockedBy: [], category: '', pinned: false });
+});
+
+test('drops sections of the wrong shape and reports them', () => {
+  const { backup, errors } = parseBackup(backupText({ data: { timeLimit: 'all day', darkMode: false } }));
+
+  expect(backup.data).toEqual({ darkMode: false });
+  expect(errors).toEqual(['Time limit: the saved value has the wrong format.']);
+});
+
+test('reports invalid tasks and duplicate ids', () => {
+  const tasks = [task(1), task(1, { name: 'Copy' }), task(2, { importance: 11 }), { name: 'No id', importance: 5, time: 10 }];
+  const { errors } = parseBackup(backupText({ data: { tasks } }));
+
+  expect(errors).toEqual([
+    'Task 3 ("Task 2"): importance must be a whole number from 1 to 10.',
+    'Task 4 ("No id"): needs an id.',
+    'Tasks: some tasks share the same id.'
+  ]);
+});
+
+test('summarizes what a backup holds and which tasks are new', () => {
+  const backup = createBackup({ tasks: [task(1), task(2)], userProgress: { score: 40 } });
+  backup.exportedAt = '2026-10-18T09:00:00.000Z';
+
+  expect(summarizeBackup(backup, [task(1)])).toEqual({
+    exportedAt: '2026-10-18T09:00:00.000Z',
+    sections: ['Tasks', 'Progress and achievements'],
+    taskCount: 2,
+    newTaskCount: 1,
+    progress: { score: 40 }
+  });
+});
+
+test('merging only adds tasks whose ids are new', () => {
+  const current = { tasks: [task(1)], timeLimit: 60 };
+  const backup = createBackup({ tasks: [task(1, { name: 'Renamed' }), task(2)], timeLimit: 120 });
+
+  expect(applyBackup(current, backup, 'merge')).toEqual({ tasks: [task(1), task(2)], timeLimit: 60 });
+});
+
+test('replacing takes the backup sections and keeps settings the backup lacks', () => {
+  const current = {
+    tasks: [task(1)],
+    timeLimit: 60,
+    timelineSettings: { startTime: '09:00', breakMinutes: 5 }
+  };
+  const backup = createBackup({ tasks: [task(2)], timelineSettings: { startTime: '08:00' } });
+
+  expect(applyBackup(current, backup, 'replace')).toEqual({
+    tasks: [task(2)],
+    timeLimit: 60,
+    timelineSettings: { startTime: '08:00', breakMinutes: 5 }
+  });
+});
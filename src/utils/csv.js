@@ -0,0 +1,67 @@
+// src/utils/csv.js
+
+/**
+ * Parse CSV text into rows of cells
+ * Handles quoted cells (with doubled quotes, commas and line breaks inside),
+ * CRLF line endings and a leading byte-order mark. The delimiter is whichever
+ * of comma, semicolon or tab appears most in the first line, so spreadsheet
+ * exports from any locale work.
+ * @param {string} text - CSV file contents
+ * @returns {Array} - Rows, each an array of cell strings; blank lines are dropped
+ */
+export const parseCsv = (text) => {
+  const source = text.replace(/^\uFEFF/, '');
+  const firstLine = source.split(/\r?\n/, 1)[0];
+  const delimiter = [',', ';', '\t'].reduce((best, candidate) =>
+    firstLine.split(candidate).length > firstLine.split(best).length ? candidate : best
+  );
+
+  const rows = [];
+  let row = [];
+  let cell = '';
+  let inQuotes = false;
+
+  for (let i = 0; i < source.length; i++) {
+    const char = source[i];
+    if (inQuotes) {
+      if (char === '"' && source[i + 1] === '"') {
+        cell += '"';
+        i++;
+      } else if (char === '"') {
+        inQuotes = false;
+      } else {
+        cell += char;
+      }
+    } else if (char === '"') {
+      inQuotes = true;
+    } else if (char === delimiter) {
+      row.push(cell);
+      cell = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && source[i + 1] === '\n') i++;
+      row.push(cell);
+      rows.push(row);
+      row = [];
+      cell = '';
+    } else {
+      cell += char;
+    }
+  }
+  row.push(cell);
+  rows.push(row);
+
+  return rows.filter((cells) => cells.some((value) => value.trim() !== ''));
+};
+
+// Quote a cell when it holds a delimiter, quote or line break
+const escapeCell = (value) => {
+  const text = value === null || value === undefined ? '' : String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+/**
+ * Turn rows of cells into CSV text
+ * @param {Array} rows - Rows, each an array of cell values
+ * @returns {string} - Comma-separated text with CRLF line endings
+ */
+export const toCsv = (rows) => rows.map((cells) => cells.map(escapeCell).join(',')).join('\r\n');
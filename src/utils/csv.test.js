@@ -0,0 +1,32 @@
+import { parseCsv, toCsv } from './csv';
+
+test('splits rows and cells', () => {
+  expect(parseCsv('Name,Time\nEmail,15\nReport,60')).toEqual([['Name', 'Time'], ['Email', '15'], ['Report', '60']]);
+});
+
+test('handles quoted cells with delimiters, quotes and line breaks inside', () => {
+  expect(parseCsv('Name,Notes\n"Call Bob, Alice","She said ""hi""\nthen left"')).toEqual([
+    ['Name', 'Notes'],
+    ['Call Bob, Alice', 'She said "hi"\nthen left']
+  ]);
+});
+
+test('detects semicolon and tab delimiters from the first line', () => {
+  expect(parseCsv('Name;Time\nEmail;1,5')).toEqual([['Name', 'Time'], ['Email', '1,5']]);
+  expect(parseCsv('Name\tTime\nEmail\t15')).toEqual([['Name', 'Time'], ['Email', '15']]);
+});
+
+test('strips a byte-order mark, reads CRLF and drops blank lines', () => {
+  expect(parseCsv('\uFEFFName,Time\r\nEmail,15\r\n\r\n,\r\n')).toEqual([['Name', 'Time'], ['Email', '15']]);
+});
+
+test('quotes only the cells that need it', () => {
+  expect(toCsv([['Name', 'Time'], ['Call Bob, Alice', 15], ['Say "hi"', null]])).toBe(
+    'Name,Time\r\n"Call Bob, Alice",15\r\n"Say ""hi""",'
+  );
+});
+
+test('reads back what it writes', () => {
+  const rows = [['a,b', 'line\nbreak', '"quoted"'], ['', 'plain', '3']];
+  expect(parseCsv(toCsv(rows))).toEqual(rows);
+});
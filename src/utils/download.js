@@ -0,0 +1,18 @@
+// src/utils/download.js
+
+/**
+ * Save text as a file through the browser's download prompt
+ * @param {string} filename - Suggested file name
+ * @param {string} content - File contents
+ * @param {string} mimeType - MIME type of the contents
+ */
+export const downloadFile = (filename, content, mimeType = 'text/plain') => {
+  const url = URL.createObjectURL(new Blob([content], { type: mimeType }));
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = filename;
+  document.body.appendChild(link);
+  link.click();
+  document.body.removeChild(link);
+  URL.revokeObjectURL(url);
+};
@@ -0,0 +1,379 @@
+// src/utils/icalendar.js
+
+const PRODUCT_ID = '-//Task Optimizer//Daily Plan//EN';
+
+// Longest content line, in UTF-8 octets, allowed by RFC 5545 before it must be folded
+const MAX_LINE_LENGTH = 75;
+
+const pad = (value) => String(value).padStart(2, '0');
+
+/**
+ * Format a date as an iCalendar UTC date-time, e.g. 20260102T093000Z
+ * @param {Date} date - Date to format
+ * @returns {string} - The date-time value
+ */
+export const formatIcsDateTime = (date) =>
+  `${date.getUTCFullYear()}${pad(date.getUTCMonth() + 1)}${pad(date.getUTCDate())}` +
+  `T${pad(date.getUTCHours())}${pad(date.getUTCMinutes())}${pad(date.getUTCSeconds())}Z`;
+
+// Escape text values: backslashes, separators and line breaks
+const escapeText = (text) =>
+  String(text)
+    .replace(/\\/g, '\\\\')
+    .replace(/;/g, '\\;')
+    .replace(/,/g, '\\,')
+    .replace(/\r?\n/g, '\\n');
+
+// Octets a character takes in UTF-8
+const utf8Length = (char) => {
+  const codePoint = char.codePointAt(0);
+  if (codePoint < 0x80) return 1;
+  if (codePoint < 0x800) return 2;
+  return codePoint < 0x10000 ? 3 : 4;
+};
+
+// Split long lines between characters, never inside one; continuation lines start with a space
+const foldLine = (line) => {
+  const parts = [];
+  let part = '';
+  let octets = 0;
+  for (const char of line) {
+    const size = utf8Length(char);
+    if (octets + size > MAX_LINE_LENGTH) {
+      parts.push(part);
+      part = ' ';
+      octets = 1;
+    }
+    part += char;
+    octets += size;
+  }
+  parts.push(part);
+  return parts.join('\r\n');
+};
+
+const formatMinutes = (minutes) => {
+  const hours = Math.floor(minutes / 60);
+  const mins = minutes % 60;
+  if (hours === 0) return `${mins}m`;
+  return mins === 0 ? `${hours}h` : `${hours}h ${mins}m`;
+};
+
+/**
+ * Write the task blocks of a timeline as an iCalendar file
+ * Each task block becomes one VEVENT at its planned clock time on `day`, with
+ * its importance and estimate in the description. Breaks and lunch are left out.
+ * @param {Array} blocks - Timeline blocks from buildTimeline
+ * @param {Date} day - Day the plan is for (defaults to today)
+ * @returns {string} - .ics file contents with CRLF line endings
+ */
+export const timelineToIcs = (blocks, day = new Date()) => {
+  const date = new Date(day);
+  // Count minutes on the wall clock so days with a DST switch keep their times
+  const atMinute = (minutes) => new Date(date.getFullYear(), date.getMonth(), date.getDate(), 0, minutes);
+  const dateKey = `${date.getFullYear()}${pad(date.getMonth() + 1)}${pad(date.getDate())}`;
+  const stamp = formatIcsDateTime(new Date());
+  const chunkCounts = new Map(); // a task split across gaps has one event per chunk
+
+  const events = blocks
+    .filter((block) => block.type === 'task')
+    .flatMap(({ task, start, end }) => {
+      const importance = task.chunk ? task.chunk.importance : task.importance;
+      const estimate = task.chunk
+        ? `${formatMinutes(task.time)} (part of ${formatMinutes(task.chunk.remaining)} left)`
+        : formatMinutes(task.time);
+      const count = (chunkCounts.get(task.id) || 0) + 1;
+      chunkCounts.set(task.id, count);
+      return [
+        'BEGIN:VEVENT',
+        `UID:task-${task.id}-${dateKey}${count > 1 ? `-${count}` : ''}@task-optimizer`,
+        `DTSTAMP:${stamp}`,
+        `DTSTART:${formatIcsDateTime(atMinute(start))}`,
+        `DTEND:${formatIcsDateTime(atMinute(end))}`,
+        `SUMMARY:${escapeText(task.name)}`,
+        `DESCRIPTION:${escapeText(`Importance: ${importance}/10\nEstimate: ${estimate}`)}`,
+        ...(task.category ? [`CATEGORIES:${escapeText(task.category)}`] : []),
+        'END:VEVENT'
+      ];
+    });
+
+  return [
+    'BEGIN:VCALENDAR',
+    'VERSION:2.0',
+    `PRODID:${PRODUCT_ID}`,
+    'CALSCALE:GREGORIAN',
+    'METHOD:PUBLISH',
+    ...events,
+    'END:VCALENDAR'
+  ].map(foldLine).join('\r\n') + '\r\n';
+};
+
+// Join folded lines and split each content line into name, parameters and value
+const readContentLines = (text) =>
+  text
+    .replace(/\r\n/g, '\n')
+    .replace(/\n[ \t]/g, '')
+    .split('\n')
+    .filter((line) => line.trim() !== '')
+    .map((line) => {
+      const colon = line.search(/:(?=(?:[^"]*"[^"]*")*[^"]*$)/); // first colon outside quoted parameters
+      const [name, ...params] = line.slice(0, colon).split(';');
+      return {
+        name: name.toUpperCase(),
+        params: params.reduce((result, param) => {
+          const [key, value = ''] = param.split('=');
+          result[key.toUpperCase()] = value.replace(/^"|"$/g, '');
+          return result;
+        }, {}),
+        value: line.slice(colon + 1)
+      };
+    });
+
+const unescapeText = (text) =>
+  text.replace(/\\([\\;,nN])/g, (match, char) => (char === 'n' || char === 'N' ? '\n' : char));
+
+// Offset of a time zone from UTC at a given instant, in milliseconds
+const getZoneOffset = (timestamp, timeZone) => {
+  const parts = new Intl.DateTimeFormat('en-US', {
+    timeZone,
+    hourCycle: 'h23',
+    year: 'numeric',
+    month: 'numeric',
+    day: 'numeric',
+    hour: 'numeric',
+    minute: 'numeric',
+    second: 'numeric'
+  }).formatToParts(new Date(timestamp));
+  const get = (type) => Number(parts.find((part) => part.type === type).value);
+  return Date.UTC(get('year'), get('month') - 1, get('day'), get('hour'), get('minute'), get('second')) - timestamp;
+};
+
+/**
+ * Read an iCalendar date or date-time value
+ * UTC values end in Z; values with a TZID are converted from that zone, and
+ * floating values (or zones the browser doesn't know) are taken as local time.
+ * @param {string} value - e.g. 20260102, 20260102T090000 or 20260102T090000Z
+ * @param {Object} params - Property parameters (TZID, VALUE)
+ * @returns {Object|null} - { date, allDay }, or null when the value isn't a date
+ */
+export const parseIcsDate = (value, params = {}) => {
+  const match = value.trim().match(/^(\d{4})(\d{2})(\d{2})(?:T(\d{2})(\d{2})(\d{2})?(Z)?)?$/);
+  if (!match) return null;
+
+  const [, year, month, day, hours, minutes, seconds = '0', utc] = match;
+  const fields = [Number(year), Number(month) - 1, Number(day), Number(hours || 0), Number(minutes || 0), Number(seconds)];
+  if (hours === undefined) {
+    return { date: new Date(...fields), allDay: true };
+  }
+  if (utc) {
+    return { date: new Date(Date.UTC(...fields)), allDay: false };
+  }
+  if (params.TZID) {
+    try {
+      const wallTime = Date.UTC(...fields);
+      const guess = wallTime - getZoneOffset(wallTime, params.TZID);
+      return { date: new Date(wallTime - getZoneOffset(guess, params.TZID)), allDay: false };
+    } catch (error) {
+      // Unknown zone name (e.g. a Windows zone); fall through to local time
+    }
+  }
+  return { date: new Date(...fields), allDay: false };
+};
+
+// Read a DURATION value such as PT1H30M or P1D, in milliseconds
+const parseIcsDuration = (value) => {
+  const match = value.match(/^([+-])?P(?:(\d+)W)?(?:(\d+)D)?(?:T(?:(\d+)H)?(?:(\d+)M)?(?:(\d+)S)?)?$/);
+  if (!match) return null;
+  const [, sign, weeks = 0, days = 0, hours = 0, minutes = 0, seconds = 0] = match;
+  const total = ((((Number(weeks) * 7 + Number(days)) * 24 + Number(hours)) * 60 + Number(minutes)) * 60 + Number(seconds)) * 1000;
+  return sign === '-' ? -total : total;
+};
+
+const parseRule = (value) =>
+  value.split(';').reduce((rule, part) => {
+    const [key, setting = ''] = part.split('=');
+    rule[key.toUpperCase()] = setting.toUpperCase();
+    return rule;
+  }, {});
+
+/**
+ * Read the events of an iCalendar file
+ * Recurrence rules are kept as parsed RRULE parts for eventsOnDay to expand.
+ * An instance moved or cancelled on its own (a VEVENT with a RECURRENCE-ID)
+ * becomes an exception of the recurring event with the same UID, and a moved
+ * instance is kept as a single event at its new time.
+ * @param {string} text - .ics file contents
+ * @returns {Object} - { events, errors }; events are
+ *   { uid, summary, start, end, allDay, rule, exceptions } with Date start/end,
+ *   and errors lists events that had to be skipped
+ */
+export const parseIcs = (text) => {
+  const lines = readContentLines(text);
+  if (!lines.some((line) => line.name === 'BEGIN' && line.value.toUpperCase() === 'VCALENDAR')) {
+    return { events: [], errors: ['The file is not an iCalendar (.ics) file.'] };
+  }
+
+  const events = [];
+  const errors = [];
+  const overrides = []; // { uid, date } of single instances moved or cancelled
+  let current = null;
+  let depth = 0; // nesting inside the event, e.g. VALARM
+
+  lines.forEach(({ name, params, value }) => {
+    if (name === 'BEGIN' && value.toUpperCase() === 'VEVENT') {
+      current = { summary: '', exceptions: [], rule: null };
+      return;
+    }
+    if (!current) return;
+
+    // Skip components nested in the event, such as alarms
+    if (name === 'BEGIN') {
+      depth++;
+      return;
+    }
+    if (name === 'END' && value.toUpperCase() !== 'VEVENT') {
+      depth--;
+      return;
+    }
+    if (depth > 0) return;
+
+    if (name === 'END') {
+      const label = current.summary || current.uid || `Event ${events.length + errors.length + 1}`;
+      if (current.uid && current.recurrenceId) {
+        overrides.push({ uid: current.uid, date: current.recurrenceId });
+      }
+      if (!current.start) {
+        errors.push(`"${label}" has no readable start time.`);
+      } else if (current.status !== 'CANCELLED' && current.transparency !== 'TRANSPARENT') {
+        let end = current.end;
+        if (!end) {
+          end = current.duration !== undefined
+            ? new Date(current.start.date.getTime() + current.duration)
+            : new Date(current.start.date.getTime() + (current.start.allDay ? 86400000 : 0));
+        }
+        events.push({
+          uid: current.uid || null,
+          summary: current.summary,
+          start: current.start.date,
+          end,
+          allDay: current.start.allDay,
+          rule: current.recurrenceId ? null : current.rule,
+          exceptions: current.exceptions
+        });
+      }
+      current = null;
+      return;
+    }
+
+    switch (name) {
+      case 'UID': current.uid = value; break;
+      case 'SUMMARY': current.summary = unescapeText(value); break;
+      case 'DTSTART': current.start = parseIcsDate(value, params); break;
+      case 'DTEND': current.end = (parseIcsDate(value, params) || {}).date; break;
+      case 'DURATION': current.duration = parseIcsDuration(value) ?? undefined; break;
+      case 'RRULE': current.rule = parseRule(value); break;
+      case 'RECURRENCE-ID': current.recurrenceId = (parseIcsDate(value, params) || {}).date; break;
+      case 'EXDATE':
+        value.split(',').forEach((part) => {
+          const exception = parseIcsDate(part, params);
+          if (exception) current.exceptions.push(exception.date);
+        });
+        break;
+      case 'STATUS': current.status = value.toUpperCase(); break;
+      case 'TRANSP': current.transparency = value.toUpperCase(); break;
+      default: break;
+    }
+  });
+
+  // The original slot of a moved or cancelled instance no longer counts
+  overrides.forEach(({ uid, date }) => {
+    events
+      .filter((event) => event.uid === uid && event.rule)
+      .forEach((event) => event.exceptions.push(date));
+  });
+
+  return { events, errors };
+};
+
+const DAY_MS = 86400000;
+const WEEKDAYS = ['SU', 'MO', 'TU', 'WE', 'TH', 'FR', 'SA'];
+
+const startOfDay = (date) => {
+  const midnight = new Date(date);
+  midnight.setHours(0, 0, 0, 0);
+  return midnight;
+};
+
+// Whole days from one local midnight to another (rounded, so DST shifts don't matter)
+const daysBetween = (from, to) => Math.round((startOfDay(to) - startOfDay(from)) / DAY_MS);
+
+// Whether a daily or weekly rule puts an occurrence on the day `offset` days after the first
+const matchesRule = (rule, first, offset) => {
+  const interval = Math.max(1, parseInt(rule.INTERVAL, 10) || 1);
+  const weekday = (first.getDay() + offset) % 7;
+  const byDay = rule.BYDAY ? rule.BYDAY.split(',').map((day) => day.replace(/^[+-]?\d+/, '')) : null;
+
+  if (rule.FREQ === 'DAILY') {
+    return offset % interval === 0 && (!byDay || byDay.includes(WEEKDAYS[weekday]));
+  }
+  // WEEKLY: weeks counted from the week of the first occurrence (weeks start on WKST, Monday by default)
+  const weekStart = WEEKDAYS.indexOf(rule.WKST || 'MO');
+  const firstInWeek = (first.getDay() - weekStart + 7) % 7;
+  const week = Math.floor((offset + firstInWeek) / 7);
+  return week % interval === 0 && (byDay || [WEEKDAYS[first.getDay()]]).includes(WEEKDAYS[weekday]);
+};
+
+// Start of the occurrence of an event on `day`, or null when it doesn't occur then
+const occurrenceOn = (event, day) => {
+  const offset = daysBetween(event.start, day);
+  if (offset < 0) return null;
+
+  const rule = event.rule && ['DAILY', 'WEEKLY'].includes(event.rule.FREQ) ? event.rule : null;
+  if (!rule) return offset === 0 ? event.start : null;
+  if (!matchesRule(rule, event.start, offset)) return null;
+
+  const start = new Date(event.start);
+  start.setDate(start.getDate() + offset);
+
+  // UNTIL is inclusive; a date without a time covers that whole day
+  const until = rule.UNTIL ? parseIcsDate(rule.UNTIL) : null;
+  if (until && (until.allDay ? daysBetween(until.date, start) > 0 : start > until.date)) return null;
+  if (rule.COUNT) {
+    let count = 0;
+    for (let i = 0; i <= offset; i++) {
+      if (matchesRule(rule, event.start, i)) count++;
+    }
+    if (count > parseInt(rule.COUNT, 10)) return null;
+  }
+  if (event.exceptions.some((exception) => daysBetween(exception, start) === 0)) return null;
+  return start;
+};
+
+/**
+ * Timed events that take up part of a given day, as meetings
+ * Daily and weekly recurring events are expanded; other recurrence rules only
+ * count on their first date. All-day events don't block any time.
+ * @param {Array} events - Events from parseIcs
+ * @param {Date} day - Day to look at (defaults to today)
+ * @returns {Array} - Meetings of { id, name, start, end } in minutes since
+ *   midnight, clipped to the day and sorted by start
+ */
+export const eventsOnDay = (events, day = new Date()) => {
+  // Wall-clock minutes, so meetings keep their times on days the clocks change
+  const toMinutes = (date) => daysBetween(day, date) * 1440 + date.getHours() * 60 + date.getMinutes();
+
+  return events
+    .filter((event) => !event.allDay)
+    .flatMap((event) => {
+      const length = event.end - event.start;
+      // Events starting on an earlier day may still run into this one
+      const candidates = [occurrenceOn(event, day), event.rule ? null : event.start].filter(Boolean);
+      return [...new Set(candidates)].map((start) => ({
+        id: `${event.uid || event.summary}@${toMinutes(start)}`,
+        name: event.summary || 'Busy',
+        start: Math.max(0, toMinutes(start)),
+        end: Math.min(1440, toMinutes(new Date(start.getTime() + length)))
+      }));
+    })
+    .filter((meeting) => meeting.end > meeting.start)
+    .sort((a, b) => a.start - b.start);
+};
@@ -0,0 +1,180 @@
+import { formatIcsDateTime, timelineToIcs, parseIcsDate, parseIcs, eventsOnDay } from './icalendar';
+
+const taskBlock = (start, end, task) => ({
+  type: 'task',
+  start,
+  end,
+  task: { id: 1, name: 'Write report', importance: 7, time: end - start, ...task }
+});
+
+// Unfolded content lines of an .ics file
+const contentLines = (ics) => ics.replace(/\r\n /g, '').split('\r\n');
+
+test('formats date-times in UTC', () => {
+  expect(formatIcsDateTime(new Date(Date.UTC(2026, 0, 2, 9, 30, 5)))).toBe('20260102T093005Z');
+});
+
+test('writes one event per task block at its clock time', () => {
+  const day = new Date(2026, 9, 20);
+  const blocks = [
+    taskBlock(540, 585, { category: 'Deep work' }),
+    { type: 'break', start: 585, end: 590 },
+    { type: 'lunch', start: 720, end: 780 }
+  ];
+  const lines = contentLines(timelineToIcs(blocks, day));
+
+  expect(lines.filter((line) => line === 'BEGIN:VEVENT')).toHaveLength(1);
+  expect(lines).toContain('UID:task-1-20261020@task-optimizer');
+  expect(lines).toContain(`DTSTART:${formatIcsDateTime(new Date(2026, 9, 20, 9, 0))}`);
+  expect(lines).toContain(`DTEND:${formatIcsDateTime(new Date(2026, 9, 20, 9, 45))}`);
+  expect(lines).toContain('SUMMARY:Write report');
+  expect(lines).toContain('DESCRIPTION:Importance: 7/10\\nEstimate: 45m');
+  expect(lines).toContain('CATEGORIES:Deep work');
+});
+
+test('gives each chunk of a task split across gaps its own UID', () => {
+  const lines = contentLines(timelineToIcs([taskBlock(540, 600), taskBlock(660, 690)], new Date(2026, 9, 20)));
+  expect(lines.filter((line) => line.startsWith('UID:'))).toEqual([
+    'UID:task-1-20261020@task-optimizer',
+    'UID:task-1-20261020-2@task-optimizer'
+  ]);
+});
+
+test('keeps wall-clock times on days when the clocks change', () => {
+  // Spring forward in Europe and autumn back in the US; plain local days elsewhere
+  [new Date(2026, 2, 29), new Date(2026, 10, 1)].forEach((day) => {
+    const lines = contentLines(timelineToIcs([taskBlock(600, 660)], day));
+    expect(lines).toContain(`DTSTART:${formatIcsDateTime(new Date(day.getFullYear(), day.getMonth(), day.getDate(), 10, 0))}`);
+    expect(lines).toContain(`DTEND:${formatIcsDateTime(new Date(day.getFullYear(), day.getMonth(), day.getDate(), 11, 0))}`);
+  });
+});
+
+test('escapes separators and line breaks in text', () => {
+  const lines = contentLines(timelineToIcs([taskBlock(540, 570, { name: 'Plan; review, ship\\done' })], new Date(2026, 9, 20)));
+  expect(lines).toContain('SUMMARY:Plan\\; review\\, ship\\\\done');
+});
+
+test('folds lines at 75 octets without splitting characters', () => {
+  const name = `Réunion ${'😀'.repeat(30)} ${'é'.repeat(40)}`;
+  const ics = timelineToIcs([taskBlock(540, 570, { name })], new Date(2026, 9, 20));
+  const physicalLines = ics.split('\r\n');
+
+  physicalLines.forEach((line) => {
+    expect(Buffer.byteLength(line, 'utf8')).toBeLessThanOrEqual(75);
+    expect(line).not.toMatch(/[\uD800-\uDBFF]$|^ ?[\uDC00-\uDFFF]/);
+  });
+  expect(physicalLines.length).toBeGreaterThan(contentLines(ics).length);
+  expect(contentLines(ics)).toContain(`SUMMARY:${name}`);
+});
+
+const calendar = (...events) =>
+  ['BEGIN:VCALENDAR', 'VERSION:2.0', ...events.flatMap((event) => ['BEGIN:VEVENT', ...event, 'END:VEVENT']), 'END:VCALENDAR']
+    .join('\r\n');
+
+const meetingsOn = (day, ...events) => eventsOnDay(parseIcs(calendar(...events)).events, day);
+
+test('reads dates in UTC, in a named zone, floating and all-day', () => {
+  expect(parseIcsDate('20261020T090000Z').date).toEqual(new Date(Date.UTC(2026, 9, 20, 9, 0)));
+  expect(parseIcsDate('20261020T090000', { TZID: 'America/New_York' }).date).toEqual(new Date(Date.UTC(2026, 9, 20, 13, 0)));
+  expect(parseIcsDate('20261020T090000')).toEqual({ date: new Date(2026, 9, 20, 9, 0), allDay: false });
+  expect(parseIcsDate('20261020')).toEqual({ date: new Date(2026, 9, 20), allDay: true });
+  expect(parseIcsDate('tomorrow')).toBeNull();
+});
+
+test('rejects files that are not calendars', () => {
+  expect(parseIcs('Name,Time')).toEqual({ events: [], errors: ['The file is not an iCalendar (.ics) file.'] });
+});
+
+test('reads events and reports the ones without a start', () => {
+  const { events, errors } = parseIcs(calendar(
+    ['UID:a', 'SUMMARY:Design review\\, part 2', 'DTSTART:20261020T140000', 'DURATION:PT1H30M',
+      'BEGIN:VALARM', 'TRIGGER:-PT15M', 'END:VALARM'],
+    ['UID:b', 'SUMMARY:Lunch with Sam', 'DTSTART:20261020T120000', 'DTEND:20261020T130000', 'TRANSP:TRANSPARENT'],
+    ['UID:c', 'SUMMARY:Offsite', 'DTSTART:20261020T090000', 'STATUS:CANCELLED'],
+    ['UID:d', 'SUMMARY:Mystery']
+  ));
+
+  expect(events).toEqual([{
+    uid: 'a',
+    summary: 'Design review, part 2',
+    start: new Date(2026, 9, 20, 14, 0),
+    end: new Date(2026, 9, 20, 15, 30),
+    allDay: false,
+    rule: null,
+    exceptions: []
+  }]);
+  expect(errors).toEqual(['"Mystery" has no readable start time.']);
+});
+
+test('lists the meetings of a day in minutes, clipped and sorted', () => {
+  const meetings = meetingsOn(
+    new Date(2026, 9, 20),
+    ['UID:late', 'SUMMARY:Release', 'DTSTART:20261020T230000', 'DTEND:20261021T010000'],
+    ['UID:early', 'SUMMARY:Standup', 'DTSTART:20261020T093000', 'DTEND:20261020T094500'],
+    ['UID:holiday', 'SUMMARY:Holiday', 'DTSTART;VALUE=DATE:20261020']
+  );
+
+  expect(meetings).toEqual([
+    { id: 'early@570', name: 'Standup', start: 570, end: 585 },
+    { id: 'late@1380', name: 'Release', start: 1380, end: 1440 }
+  ]);
+  expect(meetingsOn(new Date(2026, 9, 21), ['UID:late', 'DTSTART:20261020T230000', 'DTEND:20261021T010000']))
+    .toEqual([{ id: 'late@-60', name: 'Busy', start: 0, end: 60 }]);
+});
+
+test('expands weekly rules with COUNT and EXDATE', () => {
+  const standup = ['UID:standup', 'SUMMARY:Standup', 'DTSTART:20261019T100000', 'DTEND:20261019T101500',
+    'RRULE:FREQ=WEEKLY;BYDAY=MO,WE,FR;COUNT=4', 'EXDATE:20261021T100000'];
+
+  expect(meetingsOn(new Date(2026, 9, 19), standup)).toHaveLength(1); // Monday
+  expect(meetingsOn(new Date(2026, 9, 20), standup)).toEqual([]); // Tuesday
+  expect(meetingsOn(new Date(2026, 9, 21), standup)).toEqual([]); // excluded Wednesday
+  expect(meetingsOn(new Date(2026, 9, 26), standup)).toHaveLength(1); // 4th occurrence
+  expect(meetingsOn(new Date(2026, 9, 28), standup)).toEqual([]); // past COUNT
+});
+
+test('counts the last day of a rule that ends on a date', () => {
+  const standup = ['UID:standup', 'SUMMARY:Standup', 'DTSTART:20261012T100000', 'DTEND:20261012T101500',
+    'RRULE:FREQ=DAILY;UNTIL=20261018'];
+
+  expect(meetingsOn(new Date(2026, 9, 18), standup)).toHaveLength(1);
+  expect(meetingsOn(new Date(2026, 9, 19), standup)).toEqual([]);
+});
+
+test('ends a rule at the exact UNTIL time', () => {
+  const standup = ['UID:standup', 'SUMMARY:Standup', 'DTSTART:20261012T100000', 'DTEND:20261012T101500',
+    'RRULE:FREQ=DAILY;UNTIL=20261018T095900'];
+
+  expect(meetingsOn(new Date(2026, 9, 17), standup)).toHaveLength(1);
+  expect(meetingsOn(new Date(2026, 9, 18), standup)).toEqual([]);
+});
+
+test('a moved instance only blocks its new time', () => {
+  const meetings = meetingsOn(
+    new Date(2026, 9, 21),
+    ['UID:standup', 'SUMMARY:Standup', 'DTSTART:20261019T100000', 'DTEND:20261019T101500', 'RRULE:FREQ=DAILY'],
+    ['UID:standup', 'SUMMARY:Standup', 'RECURRENCE-ID:20261021T100000', 'DTSTART:20261021T140000', 'DTEND:20261021T141500']
+  );
+
+  expect(meetings).toEqual([{ id: 'standup@840', name: 'Standup', start: 840, end: 855 }]);
+});
+
+test('a cancelled instance frees its slot', () => {
+  const events = [
+    ['UID:standup', 'SUMMARY:Standup', 'RECURRENCE-ID:20261021T100000', 'DTSTART:20261021T100000', 'STATUS:CANCELLED'],
+    ['UID:standup', 'SUMMARY:Standup', 'DTSTART:20261019T100000', 'DTEND:20261019T101500', 'RRULE:FREQ=DAILY']
+  ];
+
+  expect(meetingsOn(new Date(2026, 9, 21), ...events)).toEqual([]);
+  expect(meetingsOn(new Date(2026, 9, 22), ...events)).toHaveLength(1);
+});
+
+test('keeps wall-clock minutes on days when the clocks change', () => {
+  [new Date(2026, 2, 29), new Date(2026, 10, 1)].forEach((day) => {
+    const meetings = eventsOnDay([{
+      uid: 'a', summary: 'Review', start: new Date(day.getFullYear(), day.getMonth(), day.getDate(), 10, 0),
+      end: new Date(day.getFullYear(), day.getMonth(), day.getDate(), 11, 0), allDay: false, rule: null, exceptions: []
+    }], day);
+    expect(meetings).toEqual([{ id: 'a@600', name: 'Review', start: 600, end: 660 }]);
+  });
+});
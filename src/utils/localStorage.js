@@ -1,203 +1,329 @@
 // src/utils/localStorage.js
+import { wrapStored, parseStored, getBackupKey, STORAGE_KEYS } from './storageSchema';
+import { getStorageAdapter } from './storage';
+
+// Every helper below goes through the active storage adapter (IndexedDB where
+// available, see ./storage) and resolves once the adapter has answered.
+
+// Keep an unreadable payload (corrupt, or from a newer app version) instead of losing it
+const backUpValue = async (key, raw, reason) => {
+  const backup = { reason, backedUpAt: new Date().toISOString(), raw };
+  await getStorageAdapter().setItem(getBackupKey(key), JSON.stringify(backup));
+  console.error(`Stored ${key} could not be loaded (${reason}); kept a copy under ${getBackupKey(key)}`);
+};
+
+/**
+ * Read a versioned value, migrating it from older schema versions
+ * Corrupt payloads and payloads from a newer schema are backed up and the
+ * fallback is returned.
+ * @param {string} key - Storage key
+ * @param {*} fallback - Value to return when nothing usable is stored
+ * @returns {Promise<*>} - The stored value or the fallback
+ */
+const readValue = async (key, fallback) => {
+  const raw = await getStorageAdapter().getItem(key);
+  if (raw === null) return fallback;
+
+  const result = parseStored(key, raw);
+  if (result.status === 'ok') return result.data;
+
+  await backUpValue(key, raw, result.status === 'newer' ? `saved by schema version ${result.version}` : 'corrupt');
+  return fallback;
+};
+
+// Write a value along with the current schema version
+const writeValue = (key, data) => getStorageAdapter().setItem(key, JSON.stringify(wrapStored(data)));
+
+export const DEFAULT_USER_PROGRESS = {
+  score: 0,
+  level: 1,
+  dailyStreak: 0,
+  lastActiveDate: null,
+  tasksCompleted: 0,
+  highPriorityCompleted: 0,
+  earlyCompletions: 0,
+  totalTimeWorked: 0,
+  achievements: []
+};
 
 /**
- * Save tasks to local storage
+ * Save tasks to storage
  * @param {Array} tasks - Array of task objects
- * @returns {boolean} - Success status of the operation
+ * @returns {Promise<boolean>} - Success status of the operation
  */
-export const saveTasks = (tasks) => {
+export const saveTasks = async (tasks) => {
   try {
-    localStorage.setItem('tasks', JSON.stringify(tasks));
+    await writeValue('tasks', tasks);
     return true;
   } catch (error) {
-    console.error('Error saving tasks to localStorage:', error);
+    console.error('Error saving tasks to storage:', error);
     return false;
   }
 };
 
 /**
- * Load tasks from local storage
- * @returns {Array} - Array of task objects, or empty array if none exist
+ * Load tasks from storage
+ * @returns {Promise<Array>} - Array of task objects, or empty array if none exist
  */
-export const loadTasks = () => {
+export const loadTasks = async () => {
   try {
-    const tasks = localStorage.getItem('tasks');
-    return tasks ? JSON.parse(tasks) : [];
+    return await readValue('tasks', []);
   } catch (error) {
-    console.error('Error loading tasks from localStorage:', error);
+    console.error('Error loading tasks from storage:', error);
     return [];
   }
 };
 
 /**
- * Save user time limit preference to local storage
+ * Save user time limit preference to storage
  * @param {Number} timeLimit - Time limit in minutes
- * @returns {boolean} - Success status of the operation
+ * @returns {Promise<boolean>} - Success status of the operation
  */
-export const saveTimeLimit = (timeLimit) => {
+export const saveTimeLimit = async (timeLimit) => {
   try {
-    localStorage.setItem('timeLimit', timeLimit.toString());
+    await writeValue('timeLimit', timeLimit);
     return true;
   } catch (error) {
-    console.error('Error saving time limit to localStorage:', error);
+    console.error('Error saving time limit to storage:', error);
     return false;
   }
 };
 
 /**
- * Load user time limit preference from local storage
- * @returns {Number} - Time limit in minutes, defaults to 480 (8 hours)
+ * Load user time limit preference from storage
+ * @returns {Promise<Number>} - Time limit in minutes, defaults to 480 (8 hours)
  */
-export const loadTimeLimit = () => {
+export const loadTimeLimit = async () => {
   try {
-    const timeLimit = localStorage.getItem('timeLimit');
-    return timeLimit ? parseInt(timeLimit, 10) : 480; // Default: 8 hours
+    return await readValue('timeLimit', 480); // Default: 8 hours
   } catch (error) {
-    console.error('Error loading time limit from localStorage:', error);
+    console.error('Error loading time limit from storage:', error);
     return 480; // Default in case of error
   }
 };
 
 /**
- * Save sort preferences to local storage
+ * Save sort preferences to storage
  * @param {string} sortBy - Property to sort by (importance, time, name, etc.)
  * @param {string} sortOrder - Sort direction ('asc' or 'desc')
- * @returns {boolean} - Success status of the operation
+ * @param {Array} thenBy - Tie-breaking sort keys, [{ key, direction }]
+ * @returns {Promise<boolean>} - Success status of the operation
  */
-export const saveSortPreferences = (sortBy, sortOrder) => {
+export const saveSortPreferences = async (sortBy, sortOrder, thenBy = []) => {
   try {
-    const preferences = { sortBy, sortOrder };
-    localStorage.setItem('sortPreferences', JSON.stringify(preferences));
+    const preferences = { sortBy, sortOrder, thenBy };
+    await writeValue('sortPreferences', preferences);
     return true;
   } catch (error) {
-    console.error('Error saving sort preferences to localStorage:', error);
+    console.error('Error saving sort preferences to storage:', error);
     return false;
   }
 };
 
 /**
- * Load sort preferences from local storage
- * @returns {Object} - Object containing sortBy and sortOrder preferences
+ * Load sort preferences from storage
+ * @returns {Promise<Object>} - Object containing sortBy, sortOrder and thenBy preferences
  */
-export const loadSortPreferences = () => {
+export const loadSortPreferences = async () => {
+  const defaults = { sortBy: 'importance', sortOrder: 'desc', thenBy: [] }; // Default preferences
   try {
-    const preferences = localStorage.getItem('sortPreferences');
-    return preferences 
-      ? JSON.parse(preferences) 
-      : { sortBy: 'importance', sortOrder: 'desc' }; // Default preferences
+    return { ...defaults, ...await readValue('sortPreferences', {}) };
   } catch (error) {
-    console.error('Error loading sort preferences from localStorage:', error);
-    return { sortBy: 'importance', sortOrder: 'desc' }; // Default in case of error
+    console.error('Error loading sort preferences from storage:', error);
+    return defaults; // Default in case of error
   }
 };
 
 /**
- * Save theme preference to local storage
+ * Save theme preference to storage
  * @param {boolean} darkMode - Whether dark mode is enabled
- * @returns {boolean} - Success status of the operation
+ * @returns {Promise<boolean>} - Success status of the operation
  */
-export const saveThemePreference = (darkMode) => {
+export const saveThemePreference = async (darkMode) => {
   try {
-    localStorage.setItem('darkMode', JSON.stringify(darkMode));
+    await writeValue('darkMode', darkMode);
     return true;
   } catch (error) {
-    console.error('Error saving theme preference to localStorage:', error);
+    console.error('Error saving theme preference to storage:', error);
     return false;
   }
 };
 
 /**
- * Load theme preference from local storage
- * @returns {boolean} - Whether dark mode is enabled (defaults to system preference)
+ * Load theme preference from storage
+ * @returns {Promise<boolean>} - Whether dark mode is enabled (defaults to system preference)
  */
-export const loadThemePreference = () => {
+export const loadThemePreference = async () => {
   try {
-    const preference = localStorage.getItem('darkMode');
+    const preference = await readValue('darkMode', null);
     if (preference !== null) {
-      return JSON.parse(preference);
+      return preference;
     }
     // Default to system preference if not set
     return window.matchMedia && window.matchMedia('(prefers-color-scheme: dark)').matches;
   } catch (error) {
-    console.error('Error loading theme preference from localStorage:', error);
+    console.error('Error loading theme preference from storage:', error);
     return false; // Default to light mode in case of error
   }
 };
 
 /**
- * Clear all application data from local storage
- * @returns {boolean} - Success status of the operation
+ * Save planner preferences to storage
+ * @param {Object} preferences - Planner preferences (e.g. { strategy: 'exact', categoryQuotas: {}, granularity: 1 })
+ * @returns {Promise<boolean>} - Success status of the operation
  */
-export const clearAllData = () => {
+export const savePlannerPreferences = async (preferences) => {
+  try {
+    await writeValue('plannerPreferences', preferences);
+    return true;
+  } catch (error) {
+    console.error('Error saving planner preferences to storage:', error);
+    return false;
+  }
+};
+
+/**
+ * Load planner preferences from storage
+ * @returns {Promise<Object>} - Planner preferences, defaults to the exact knapsack strategy in
+ *   1-minute steps and no quotas
+ */
+export const loadPlannerPreferences = async () => {
+  const defaults = { strategy: 'exact', categoryQuotas: {}, granularity: 1 };
+  try {
+    return { ...defaults, ...await readValue('plannerPreferences', {}) };
+  } catch (error) {
+    console.error('Error loading planner preferences from storage:', error);
+    return defaults; // Default in case of error
+  }
+};
+
+/**
+ * Save per-day budgets for the week planner to storage
+ * @param {Array} weekBudgets - Array of { day, minutes }
+ * @returns {Promise<boolean>} - Success status of the operation
+ */
+export const saveWeekBudgets = async (weekBudgets) => {
+  try {
+    await writeValue('weekBudgets', weekBudgets);
+    return true;
+  } catch (error) {
+    console.error('Error saving week budgets to storage:', error);
+    return false;
+  }
+};
+
+/**
+ * Load per-day budgets for the week planner from storage
+ * @param {Array} defaults - Budgets to use when nothing is saved
+ * @returns {Promise<Array>} - Array of { day, minutes }
+ */
+export const loadWeekBudgets = async (defaults) => {
+  try {
+    return await readValue('weekBudgets', defaults);
+  } catch (error) {
+    console.error('Error loading week budgets from storage:', error);
+    return defaults; // Default in case of error
+  }
+};
+
+/**
+ * Save daily timeline settings to storage
+ * @param {Object} settings - { workStart, breakMinutes, lunchStart, lunchMinutes }
+ * @returns {Promise<boolean>} - Success status of the operation
+ */
+export const saveTimelineSettings = async (settings) => {
+  try {
+    await writeValue('timelineSettings', settings);
+    return true;
+  } catch (error) {
+    console.error('Error saving timeline settings to storage:', error);
+    return false;
+  }
+};
+
+/**
+ * Load daily timeline settings from storage
+ * @param {Object} defaults - Settings to use for anything not saved
+ * @returns {Promise<Object>} - { workStart, breakMinutes, lunchStart, lunchMinutes }
+ */
+export const loadTimelineSettings = async (defaults) => {
+  try {
+    return { ...defaults, ...await readValue('timelineSettings', {}) };
+  } catch (error) {
+    console.error('Error loading timeline settings from storage:', error);
+    return defaults; // Default in case of error
+  }
+};
+
+/**
+ * Clear all application data from storage
+ * @returns {Promise<boolean>} - Success status of the operation
+ */
+export const clearAllData = async () => {
   try {
     // Only clear our app-specific keys
-    localStorage.removeItem('tasks');
-    localStorage.removeItem('timeLimit');
-    localStorage.removeItem('sortPreferences');
-    localStorage.removeItem('darkMode');
+    const adapter = getStorageAdapter();
+    await Promise.all(STORAGE_KEYS.map((key) => adapter.removeItem(key)));
+    return true;
+  } catch (error) {
+    console.error('Error clearing stored data:', error);
+    return false;
+  }
+};
+
+/**
+ * Save gamification progress to storage
+ * @param {Object} progress - Score, level, streak and achievement progress
+ * @returns {Promise<boolean>} - Success status of the operation
+ */
+export const saveUserProgress = async (progress) => {
+  try {
+    await writeValue('userProgress', progress);
     return true;
   } catch (error) {
-    console.error('Error clearing data from localStorage:', error);
+    console.error('Error saving user progress:', error);
     return false;
   }
 };
 
 /**
- * Check if localStorage is available and working
- * @returns {boolean} - Whether localStorage is available
+ * Load gamification progress from storage
+ * @returns {Promise<Object>} - Saved progress, with defaults for anything missing
  */
-export const isLocalStorageAvailable = () => {
+export const loadUserProgress = async () => {
   try {
-    const test = 'test';
-    localStorage.setItem(test, test);
-    const result = localStorage.getItem(test) === test;
-    localStorage.removeItem(test);
-    return result;
-  } catch (e) {
+    return { ...DEFAULT_USER_PROGRESS, ...await readValue('userProgress', {}) };
+  } catch (error) {
+    console.error('Error loading user progress:', error);
+    return DEFAULT_USER_PROGRESS;
+  }
+};
+
+/**
+ * Save the meetings imported for today
+ * @param {Array} meetings - Meetings of { id, name, start, end } in minutes since midnight
+ * @returns {Promise<boolean>} - Success status of the operation
+ */
+export const saveMeetings = async (meetings) => {
+  try {
+    await writeValue('meetings', { day: new Date().toDateString(), meetings });
+    return true;
+  } catch (error) {
+    console.error('Error saving meetings:', error);
     return false;
   }
 };
 
-export const saveUserProgress = (progress) => {
-try {
-  localStorage.setItem('userProgress', JSON.stringify(progress));
-  return true;
-} catch (error) {
-  console.error('Error saving user progress:', error);
-  return false;
-}
-};
-
-export const loadUserProgress = () => {
-try {
-  const data = localStorage.getItem('userProgress');
-  if (data) {
-    return JSON.parse(data);
-  }
-  // Default initial progress
-  return {
-    score: 0,
-    level: 1,
-    dailyStreak: 0,
-    lastActiveDate: null,
-    tasksCompleted: 0,
-    highPriorityCompleted: 0,
-    earlyCompletions: 0,
-    totalTimeWorked: 0,
-    achievements: []
-  };
-} catch (error) {
-  console.error('Error loading user progress:', error);
-  return {
-    score: 0,
-    level: 1,
-    dailyStreak: 0,
-    lastActiveDate: null,
-    tasksCompleted: 0,
-    highPriorityCompleted: 0,
-    earlyCompletions: 0,
-    totalTimeWorked: 0,
-    achievements: []
-  };
-}
-};
\ No newline at end of file
+/**
+ * Load today's imported meetings
+ * @returns {Promise<Array>} - The meetings, or an empty list when the saved ones are from another day
+ */
+export const loadMeetings = async () => {
+  try {
+    const saved = await readValue('meetings', null);
+    return saved && saved.day === new Date().toDateString() ? saved.meetings : [];
+  } catch (error) {
+    console.error('Error loading meetings:', error);
+    return [];
+  }
+};
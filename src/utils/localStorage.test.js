@@ -0,0 +1,73 @@
+import { setStorageAdapter, createMemoryAdapter } from './storage';
+import { SCHEMA_VERSION } from './storageSchema';
+import {
+  saveTasks,
+  loadTasks,
+  loadTimeLimit,
+  loadPlannerPreferences,
+  saveMeetings,
+  loadMeetings
+} from './localStorage';
+
+let adapter;
+
+const useStorage = (entries = {}) => {
+  adapter = createMemoryAdapter(entries);
+  setStorageAdapter(adapter);
+};
+
+beforeEach(() => {
+  useStorage();
+  jest.spyOn(console, 'error').mockImplementation(() => {});
+});
+
+afterEach(() => {
+  setStorageAdapter(null);
+  jest.restoreAllMocks();
+});
+
+test('saves values in a versioned envelope and loads them back', async () => {
+  const tasks = [{ id: 1, name: 'Write report', importance: 7, time: 45, completed: false }];
+  await saveTasks(tasks);
+
+  expect(JSON.parse(await adapter.getItem('tasks'))).toEqual({ schemaVersion: SCHEMA_VERSION, data: tasks });
+  expect(await loadTasks()).toEqual(tasks);
+});
+
+test('migrates tasks saved before versioning', async () => {
+  useStorage({ tasks: JSON.stringify([{ id: 1, name: 'Old', importance: 5, time: 30, completed: false }]) });
+
+  const [task] = await loadTasks();
+  expect(task).toMatchObject({ id: 1, name: 'Old', blockedBy: [], category: '', pinned: false, excluded: false });
+});
+
+test('backs up a corrupt value and falls back to the default', async () => {
+  useStorage({ timeLimit: '{not json' });
+
+  expect(await loadTimeLimit()).toBe(480);
+  const backup = JSON.parse(await adapter.getItem('timeLimit.backup'));
+  expect(backup).toMatchObject({ reason: 'corrupt', raw: '{not json' });
+  expect(console.error).toHaveBeenCalled();
+});
+
+test('backs up a value saved by a newer version instead of overwriting it blindly', async () => {
+  const raw = JSON.stringify({ schemaVersion: SCHEMA_VERSION + 1, data: [] });
+  useStorage({ tasks: raw });
+
+  expect(await loadTasks()).toEqual([]);
+  const backup = JSON.parse(await adapter.getItem('tasks.backup'));
+  expect(backup).toMatchObject({ reason: `saved by schema version ${SCHEMA_VERSION + 1}`, raw });
+});
+
+test('fills in planner preference defaults', async () => {
+  expect(await loadPlannerPreferences()).toEqual({ strategy: 'exact', categoryQuotas: {}, granularity: 1 });
+});
+
+test('only loads meetings saved today', async () => {
+  const meetings = [{ id: 'standup', name: 'Standup', start: 600, end: 615 }];
+  await saveMeetings(meetings);
+  expect(await loadMeetings()).toEqual(meetings);
+
+  await adapter.setItem('meetings', JSON.stringify({ schemaVersion: SCHEMA_VERSION, data: { day: 'Mon Jan 01 2024', meetings } }));
+  expect(await loadMeetings()).toEqual([]);
+});
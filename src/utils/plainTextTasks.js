@@ -0,0 +1,231 @@
+// src/utils/plainTextTasks.js
+import { parseDuration, formatDueDate, parseDueDate } from './taskCsv';
+import { validateTask } from './taskValidation';
+
+// Used for lines that don't say how long or how important a task is
+export const DEFAULT_PLAIN_TEXT_TIME = 30;
+export const DEFAULT_PLAIN_TEXT_IMPORTANCE = 5;
+
+// todo.txt priorities: importance 10 is (A), 9 is (B) ... 1 is (J)
+const PRIORITY_LETTERS = 'ABCDEFGHIJ';
+
+const importanceToPriority = (importance) =>
+  PRIORITY_LETTERS[10 - Math.min(10, Math.max(1, Math.round(importance)))];
+
+// Letters past J are all the lowest importance
+const priorityToImportance = (letter) => Math.max(1, 10 - (letter.toUpperCase().charCodeAt(0) - 65));
+
+const formatMinutes = (minutes) => {
+  const hours = Math.floor(minutes / 60);
+  const mins = minutes % 60;
+  if (hours === 0) return `${mins}m`;
+  return mins === 0 ? `${hours}h` : `${hours}h ${mins}m`;
+};
+
+// Local calendar date, e.g. 2026-10-20
+const formatDate = (iso) => formatDueDate(iso).slice(0, 10);
+
+// Tags can't hold spaces, so a due time other than the end of the day rides along as THH:mm
+const formatDueTag = (iso) => {
+  const [date, time] = formatDueDate(iso).split(' ');
+  return time === '23:59' ? date : `${date}T${time}`;
+};
+
+// Projects can't hold spaces, so "Deep work" travels as +Deep_work
+const categoryToProject = (category) => `+${category.trim().replace(/\s+/g, '_')}`;
+const projectToCategory = (project) => project.slice(1).replace(/_/g, ' ');
+
+// Name words that would read back as a +project or a tag travel behind a
+// backslash, so "Fix +bug" stays a name instead of becoming a category
+const RESERVED_WORD = /^(?:\+|(?:est|due|pri):)\S/i;
+const escapeName = (name) => name.split(' ').map((word) => (RESERVED_WORD.test(word) ? `\\${word}` : word)).join(' ');
+
+const createTask = (fields, id, createdAt) => ({
+  id,
+  name: '',
+  importance: DEFAULT_PLAIN_TEXT_IMPORTANCE,
+  time: DEFAULT_PLAIN_TEXT_TIME,
+  completed: false,
+  createdAt,
+  dueDate: null,
+  blockedBy: [],
+  splittable: false,
+  minChunk: null,
+  category: '',
+  ...fields
+});
+
+/**
+ * Write one task as a todo.txt line
+ * Open tasks lead with their priority and creation date; done tasks start with
+ * "x" and keep their priority in a pri: tag, as todo.txt clients do. Words in
+ * the name that look like a +project or a tag get a leading backslash.
+ * @param {Object} task - Task object
+ * @returns {string} - e.g. "(C) 2026-10-01 Write report +Deep_work est:45m due:2026-10-20T16:00"
+ */
+export const taskToTodoTxt = (task) => {
+  const priority = importanceToPriority(task.importance);
+  const parts = task.completed
+    ? ['x', escapeName(task.name)]
+    : [`(${priority})`, ...(task.createdAt ? [formatDate(task.createdAt)] : []), escapeName(task.name)];
+  if (task.category) parts.push(categoryToProject(task.category));
+  parts.push(`est:${Math.round(task.time)}m`);
+  if (task.dueDate) parts.push(`due:${formatDueTag(task.dueDate)}`);
+  if (task.completed) parts.push(`pri:${priority}`);
+  return parts.join(' ');
+};
+
+/**
+ * Read one todo.txt line
+ * The last +project becomes the category, since export appends the category
+ * after the name; @contexts, earlier +projects and any other words stay in
+ * the name, so they come back out on export. A backslash before a +project or
+ * tag keeps it in the name. Dates are local; a due date without a time is due
+ * at the end of that day.
+ * @param {string} line - A todo.txt line
+ * @returns {Object} - Task fields found on the line
+ */
+export const parseTodoTxtLine = (line) => {
+  let rest = line.trim();
+  const fields = {};
+
+  if (/^x\s/.test(rest)) {
+    fields.completed = true;
+    rest = rest.slice(2).trim().replace(/^\d{4}-\d{2}-\d{2}\s+/, ''); // completion date
+  }
+  const priority = rest.match(/^\(([A-Z])\)\s+/);
+  if (priority) {
+    fields.importance = priorityToImportance(priority[1]);
+    rest = rest.slice(priority[0].length);
+  }
+  const created = rest.match(/^(\d{4}-\d{2}-\d{2})\s+/);
+  if (created) {
+    const [year, month, day] = created[1].split('-').map(Number);
+    fields.createdAt = new Date(year, month - 1, day).toISOString();
+    rest = rest.slice(created[0].length);
+  }
+
+  const words = [];
+  const tokens = rest.split(/\s+/);
+  const projectIndex = tokens.reduce((last, word, index) => (/^\+\S+$/.test(word) ? index : last), -1);
+  tokens.forEach((word, index) => {
+    const tag = word.match(/^(est|due|pri):(\S+)$/i);
+    if (word.startsWith('\\') && RESERVED_WORD.test(word.slice(1))) {
+      words.push(word.slice(1));
+    } else if (tag && tag[1].toLowerCase() === 'est') {
+      fields.time = parseDuration(tag[2], 'minutes');
+    } else if (tag && tag[1].toLowerCase() === 'due') {
+      fields.dueDate = parseDueDate(tag[2]);
+    } else if (tag && /^[A-Z]$/i.test(tag[2])) {
+      fields.importance = priorityToImportance(tag[2]);
+    } else if (index === projectIndex) {
+      fields.category = projectToCategory(word);
+    } else {
+      words.push(word);
+    }
+  });
+  fields.name = words.join(' ');
+  return fields;
+};
+
+/**
+ * Write one task as a Markdown checklist item
+ * @param {Object} task - Task object
+ * @returns {string} - e.g. "- [ ] Write report (45m, !7)"
+ */
+export const taskToMarkdown = (task) =>
+  `- [${task.completed ? 'x' : ' '}] ${task.name} (${formatMinutes(Math.round(task.time))}, !${Math.round(task.importance)})`;
+
+/**
+ * Read one Markdown checklist item
+ * The trailing parentheses may hold the time, the importance (!n) or both, in
+ * either order; other parentheses are part of the name.
+ * @param {string} line - A line such as "- [x] Task (1h 30m, !7)"
+ * @returns {Object|null} - Task fields, or null when the line isn't a checklist item
+ */
+export const parseMarkdownLine = (line) => {
+  const item = line.match(/^\s*(?:[-*+]|\d+[.)])\s+\[([ xX])\]\s*(.*)$/);
+  if (!item) return null;
+
+  const fields = { completed: item[1] !== ' ' };
+  let name = item[2].trim();
+  const details = name.match(/\s*\(([^()]*)\)$/);
+  if (details) {
+    const parts = details[1].split(',').map((part) => part.trim()).filter(Boolean);
+    const importance = parts.find((part) => /^!\d+$/.test(part));
+    const time = parts.find((part) => !/^!/.test(part));
+    // Only treat the parentheses as details when everything in them is understood
+    if (parts.length > 0 && parts.every((part) => part === importance || part === time) &&
+        (!time || Number.isFinite(parseDuration(time, 'minutes')))) {
+      if (importance) fields.importance = Number(importance.slice(1));
+      if (time) fields.time = parseDuration(time, 'minutes');
+      name = name.slice(0, -details[0].length);
+    }
+  }
+  fields.name = name.trim();
+  return fields;
+};
+
+/**
+ * Plain-text task list formats
+ * Each writes the task list as text and reads it back; lines that aren't tasks
+ * (blank lines, headings, notes) are skipped when reading.
+ */
+export const PLAIN_TEXT_FORMATS = [
+  {
+    id: 'todotxt',
+    name: 'todo.txt',
+    extension: 'txt',
+    example: '(C) Write report +Deep_work @desk est:45m due:2026-10-20',
+    serialize: (tasks) => tasks.map(taskToTodoTxt).join('\n'),
+    parseLine: (line) => (line.trim() === '' ? null : parseTodoTxtLine(line))
+  },
+  {
+    id: 'markdown',
+    name: 'Markdown checklist',
+    extension: 'md',
+    example: '- [ ] Write report (45m, !7)',
+    serialize: (tasks) => tasks.map(taskToMarkdown).join('\n'),
+    parseLine: parseMarkdownLine
+  }
+];
+
+/**
+ * Look up a plain-text format by id
+ * @param {string} id - Format id
+ * @returns {Object} - The matching format, or todo.txt for unknown ids
+ */
+export const getPlainTextFormat = (id) =>
+  PLAIN_TEXT_FORMATS.find((format) => format.id === id) || PLAIN_TEXT_FORMATS[0];
+
+/**
+ * Read pasted or loaded text into tasks
+ * Lines without a time or importance get DEFAULT_PLAIN_TEXT_TIME and
+ * DEFAULT_PLAIN_TEXT_IMPORTANCE; lines that still don't make a valid task
+ * are reported instead of imported.
+ * @param {string} text - Task list in the given format
+ * @param {string} formatId - Format id (see PLAIN_TEXT_FORMATS)
+ * @param {Number} firstId - Id for the first task; later ones count up
+ * @returns {Object} - { tasks, errors }; errors holds { line, messages } with 1-based line numbers
+ */
+export const parsePlainTextTasks = (text, formatId, firstId = Date.now()) => {
+  const format = getPlainTextFormat(formatId);
+  const createdAt = new Date().toISOString();
+  const tasks = [];
+  const errors = [];
+
+  text.replace(/^\uFEFF/, '').split(/\r?\n/).forEach((line, index) => {
+    const fields = format.parseLine(line);
+    if (!fields) return;
+
+    const task = createTask(fields, firstId + tasks.length, createdAt);
+    const messages = validateTask(task);
+    if (messages.length > 0) {
+      errors.push({ line: index + 1, messages });
+    } else {
+      tasks.push(task);
+    }
+  });
+
+  return { tasks, errors };
+};
@@ -0,0 +1,102 @@
+import {
+  taskToTodoTxt,
+  parseTodoTxtLine,
+  taskToMarkdown,
+  parseMarkdownLine,
+  getPlainTextFormat,
+  parsePlainTextTasks,
+  DEFAULT_PLAIN_TEXT_TIME,
+  DEFAULT_PLAIN_TEXT_IMPORTANCE
+} from './plainTextTasks';
+
+const task = (fields = {}) => ({
+  id: 1,
+  name: 'Write report',
+  importance: 8,
+  time: 45,
+  completed: false,
+  createdAt: new Date(2026, 9, 1, 8, 30).toISOString(),
+  dueDate: null,
+  category: '',
+  ...fields
+});
+
+// Export, then import, the way the panel does
+const roundTrip = (formatId, tasks) =>
+  parsePlainTextTasks(getPlainTextFormat(formatId).serialize(tasks), formatId, 1).tasks;
+
+test('writes open and done tasks as todo.txt', () => {
+  const dueDate = new Date(2026, 9, 20, 16, 0).toISOString();
+  expect(taskToTodoTxt(task({ category: 'Deep work', dueDate }))).toBe(
+    '(C) 2026-10-01 Write report +Deep_work est:45m due:2026-10-20T16:00'
+  );
+  expect(taskToTodoTxt(task({ completed: true }))).toBe('x Write report est:45m pri:C');
+});
+
+test('writes a due date at the end of the day as a plain date', () => {
+  expect(taskToTodoTxt(task({ dueDate: new Date(2026, 9, 20, 23, 59).toISOString() }))).toMatch(/ due:2026-10-20$/);
+});
+
+test('reads todo.txt priorities, dates, tags and projects', () => {
+  expect(parseTodoTxtLine('x 2026-10-02 (B) 2026-10-01 Call @phone +Home est:1h30m due:2026-10-20')).toEqual({
+    completed: true,
+    importance: 9,
+    createdAt: new Date(2026, 9, 1).toISOString(),
+    name: 'Call @phone',
+    category: 'Home',
+    time: 90,
+    dueDate: new Date(2026, 9, 20, 23, 59).toISOString()
+  });
+  expect(parseTodoTxtLine('Water plants pri:A')).toEqual({ name: 'Water plants', importance: 10 });
+});
+
+test('takes the last +project as the category and keeps earlier ones in the name', () => {
+  expect(parseTodoTxtLine('(E) Buy +milk +Home est:10m')).toMatchObject({ name: 'Buy +milk', category: 'Home' });
+});
+
+test('escapes name words that would read back as a project or tag', () => {
+  expect(taskToTodoTxt(task({ name: 'Fix +bug in est:5m', createdAt: null }))).toBe('(C) Fix \\+bug in \\est:5m est:45m');
+  expect(parseTodoTxtLine('(C) Fix \\+bug in \\est:5m est:45m')).toMatchObject({ name: 'Fix +bug in est:5m', time: 45 });
+});
+
+test('round-trips todo.txt without moving due dates or categories', () => {
+  const tasks = [
+    task({ name: 'Buy +milk', category: 'Home', dueDate: new Date(2026, 9, 20, 16, 0).toISOString() }),
+    task({ name: 'File taxes', importance: 3, time: 120, dueDate: new Date(2026, 9, 31, 23, 59).toISOString() }),
+    task({ name: 'Old chore', completed: true, category: 'Deep work' }),
+    task({ name: 'Fix +bug', category: '' })
+  ];
+
+  roundTrip('todotxt', tasks).forEach((imported, index) => {
+    const { name, importance, time, completed, dueDate, category } = tasks[index];
+    expect(imported).toMatchObject({ name, importance, time, completed, dueDate, category });
+  });
+});
+
+test('writes and reads Markdown checklist items', () => {
+  expect(taskToMarkdown(task({ time: 90, completed: true }))).toBe('- [x] Write report (1h 30m, !8)');
+  expect(parseMarkdownLine('* [ ] Call Bob (!3, 15m)')).toEqual({ completed: false, importance: 3, time: 15, name: 'Call Bob' });
+  expect(parseMarkdownLine('1. [X] Read (the long version)')).toEqual({ completed: true, name: 'Read (the long version)' });
+  expect(parseMarkdownLine('## Today')).toBeNull();
+});
+
+test('round-trips Markdown checklists', () => {
+  const tasks = [task(), task({ name: 'Email (team)', importance: 2, time: 5, completed: true })];
+
+  roundTrip('markdown', tasks).forEach((imported, index) => {
+    const { name, importance, time, completed } = tasks[index];
+    expect(imported).toMatchObject({ name, importance, time, completed });
+  });
+});
+
+test('fills in defaults and reports lines that are not valid tasks', () => {
+  const { tasks, errors } = parsePlainTextTasks('\uFEFFJust a name\n\n(A) est:20m\n', 'todotxt', 10);
+
+  expect(tasks).toEqual([expect.objectContaining({
+    id: 10,
+    name: 'Just a name',
+    time: DEFAULT_PLAIN_TEXT_TIME,
+    importance: DEFAULT_PLAIN_TEXT_IMPORTANCE
+  })]);
+  expect(errors).toEqual([{ line: 3, messages: ['needs a name'] }]);
+});
@@ -0,0 +1,74 @@
+// src/utils/storage/index.js
+import { STORAGE_KEYS, getBackupKey } from '../storageSchema';
+import { createLocalStorageAdapter, isLocalStorageAvailable } from './localStorageAdapter';
+import { createIndexedDBAdapter, isIndexedDBAvailable } from './indexedDBAdapter';
+import { createMemoryAdapter } from './memoryAdapter';
+
+export { createLocalStorageAdapter, isLocalStorageAvailable, createIndexedDBAdapter, isIndexedDBAvailable, createMemoryAdapter };
+
+// Copy keys missing from `to` over from `from`, then drop them from `from`
+const moveKeys = async (from, to, keys) => {
+  for (const key of keys) {
+    const value = await from.getItem(key);
+    if (value === null) continue;
+    if ((await to.getItem(key)) === null) {
+      await to.setItem(key, value);
+    }
+    await from.removeItem(key);
+  }
+};
+
+/**
+ * The best adapter this browser supports: IndexedDB, else localStorage, else memory
+ * Data saved to localStorage before IndexedDB was used is moved over on first
+ * access, which also frees the localStorage quota. Should IndexedDB fail to
+ * open (e.g. blocked in a private window) everything stays in localStorage.
+ * @returns {Object} - Storage adapter
+ */
+export const createDefaultAdapter = () => {
+  const fallback = isLocalStorageAvailable() ? createLocalStorageAdapter() : createMemoryAdapter();
+  if (!isIndexedDBAvailable()) return fallback;
+
+  const indexedDBAdapter = createIndexedDBAdapter();
+  const keys = STORAGE_KEYS.flatMap((key) => [key, getBackupKey(key)]);
+  let ready = null;
+  const resolveAdapter = () => {
+    if (!ready) {
+      ready = moveKeys(fallback, indexedDBAdapter, keys)
+        .then(() => indexedDBAdapter)
+        .catch((error) => {
+          console.error('IndexedDB unavailable, storing data in localStorage instead:', error);
+          return fallback;
+        });
+    }
+    return ready;
+  };
+
+  return {
+    name: 'indexedDB',
+    getItem: async (key) => (await resolveAdapter()).getItem(key),
+    setItem: async (key, value) => (await resolveAdapter()).setItem(key, value),
+    removeItem: async (key) => (await resolveAdapter()).removeItem(key)
+  };
+};
+
+let activeAdapter = null;
+
+/**
+ * The adapter every save/load helper goes through, created on first use
+ * @returns {Object} - Storage adapter
+ */
+export const getStorageAdapter = () => {
+  if (!activeAdapter) {
+    activeAdapter = createDefaultAdapter();
+  }
+  return activeAdapter;
+};
+
+/**
+ * Switch storage backends, e.g. to an in-memory adapter in tests
+ * @param {Object} adapter - Storage adapter, or null to go back to the default
+ */
+export const setStorageAdapter = (adapter) => {
+  activeAdapter = adapter;
+};
@@ -0,0 +1,82 @@
+import { createIndexedDBAdapter, isIndexedDBAvailable } from './indexedDBAdapter';
+import { createDefaultAdapter, getStorageAdapter, setStorageAdapter, createMemoryAdapter } from '.';
+
+// jsdom has no IndexedDB; stand in a memory adapter so the move can be watched
+jest.mock('./indexedDBAdapter', () => ({
+  createIndexedDBAdapter: jest.fn(),
+  isIndexedDBAvailable: jest.fn()
+}));
+
+beforeEach(() => {
+  localStorage.clear();
+  isIndexedDBAvailable.mockReturnValue(true);
+  jest.spyOn(console, 'error').mockImplementation(() => {});
+});
+
+afterEach(() => {
+  setStorageAdapter(null);
+  jest.restoreAllMocks();
+});
+
+test('the memory adapter stores strings and answers null for missing keys', async () => {
+  const adapter = createMemoryAdapter({ tasks: '[]' });
+  await adapter.setItem('timeLimit', 90);
+
+  expect(await adapter.getItem('tasks')).toBe('[]');
+  expect(await adapter.getItem('timeLimit')).toBe('90');
+  expect(await adapter.getItem('darkMode')).toBeNull();
+
+  await adapter.removeItem('tasks');
+  expect(await adapter.getItem('tasks')).toBeNull();
+});
+
+test('setStorageAdapter swaps the adapter every helper uses', () => {
+  const adapter = createMemoryAdapter();
+  setStorageAdapter(adapter);
+  expect(getStorageAdapter()).toBe(adapter);
+});
+
+test('moves app keys and their backups from localStorage to IndexedDB on first access', async () => {
+  const indexedDB = createMemoryAdapter();
+  createIndexedDBAdapter.mockReturnValue(indexedDB);
+  localStorage.setItem('tasks', '{"schemaVersion":1,"data":[]}');
+  localStorage.setItem('tasks.backup', '{"reason":"corrupt"}');
+  localStorage.setItem('unrelated', 'stays');
+
+  const adapter = createDefaultAdapter();
+  expect(await adapter.getItem('tasks')).toBe('{"schemaVersion":1,"data":[]}');
+
+  expect(await indexedDB.getItem('tasks.backup')).toBe('{"reason":"corrupt"}');
+  expect(localStorage.getItem('tasks')).toBeNull();
+  expect(localStorage.getItem('tasks.backup')).toBeNull();
+  expect(localStorage.getItem('unrelated')).toBe('stays');
+});
+
+test('keeps what IndexedDB already holds when moving keys', async () => {
+  const indexedDB = createMemoryAdapter({ timeLimit: 'newer' });
+  createIndexedDBAdapter.mockReturnValue(indexedDB);
+  localStorage.setItem('timeLimit', 'older');
+
+  const adapter = createDefaultAdapter();
+  expect(await adapter.getItem('timeLimit')).toBe('newer');
+  expect(localStorage.getItem('timeLimit')).toBeNull();
+});
+
+test('stays on localStorage when IndexedDB fails to open', async () => {
+  const failing = createMemoryAdapter();
+  failing.getItem = () => Promise.reject(new Error('blocked'));
+  createIndexedDBAdapter.mockReturnValue(failing);
+  localStorage.setItem('darkMode', 'true');
+
+  const adapter = createDefaultAdapter();
+  expect(await adapter.getItem('darkMode')).toBe('true');
+  await adapter.setItem('timeLimit', '60');
+  expect(localStorage.getItem('timeLimit')).toBe('60');
+  expect(console.error).toHaveBeenCalled();
+});
+
+test('uses localStorage directly without IndexedDB support', async () => {
+  isIndexedDBAvailable.mockReturnValue(false);
+  expect(createDefaultAdapter().name).toBe('localStorage');
+  expect(createIndexedDBAdapter).not.toHaveBeenCalled();
+});
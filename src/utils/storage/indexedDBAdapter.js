@@ -0,0 +1,75 @@
+// src/utils/storage/indexedDBAdapter.js
+
+const DEFAULT_DB_NAME = 'task-optimizer';
+const STORE_NAME = 'keyval';
+
+// Resolve an IDBRequest as a promise
+const settle = (request) =>
+  new Promise((resolve, reject) => {
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+
+// Resolve once a transaction has committed; a write whose request succeeded
+// can still fail when it commits, e.g. with a QuotaExceededError
+const settleTransaction = (transaction) =>
+  new Promise((resolve, reject) => {
+    transaction.oncomplete = () => resolve();
+    transaction.onerror = (event) => reject(event.target.error || transaction.error);
+    transaction.onabort = () => reject(transaction.error || new Error('IndexedDB transaction was aborted'));
+  });
+
+/**
+ * Storage adapter backed by IndexedDB
+ * Values live in one key-value object store, so the adapter has none of
+ * localStorage's size limit. The database opens on first use; requests are
+ * made in call order, and IndexedDB runs read-write transactions on the same
+ * store in the order they were made, so a later save always wins.
+ * @param {string} dbName - Database name
+ * @returns {Object} - Storage adapter (see createMemoryAdapter for the interface)
+ */
+export const createIndexedDBAdapter = (dbName = DEFAULT_DB_NAME) => {
+  let dbPromise = null;
+
+  const openDb = () => {
+    if (!dbPromise) {
+      const request = indexedDB.open(dbName, 1);
+      request.onupgradeneeded = () => request.result.createObjectStore(STORE_NAME);
+      dbPromise = settle(request);
+      dbPromise.catch(() => {
+        dbPromise = null; // let the next call try again
+      });
+    }
+    return dbPromise;
+  };
+
+  // Reads resolve with their request; writes only once their transaction commits
+  const run = async (mode, operation) => {
+    const db = await openDb();
+    const transaction = db.transaction(STORE_NAME, mode);
+    const result = settle(operation(transaction.objectStore(STORE_NAME)));
+    if (mode === 'readonly') return result;
+    const [value] = await Promise.all([result, settleTransaction(transaction)]);
+    return value;
+  };
+
+  return {
+    name: 'indexedDB',
+    getItem: async (key) => {
+      const value = await run('readonly', (store) => store.get(key));
+      return value === undefined ? null : value;
+    },
+    setItem: async (key, value) => {
+      await run('readwrite', (store) => store.put(String(value), key));
+    },
+    removeItem: async (key) => {
+      await run('readwrite', (store) => store.delete(key));
+    }
+  };
+};
+
+/**
+ * Check if IndexedDB exists in this environment
+ * @returns {boolean} - Whether indexedDB can be used
+ */
+export const isIndexedDBAvailable = () => typeof indexedDB !== 'undefined' && indexedDB !== null;
@@ -0,0 +1,71 @@
+import { createIndexedDBAdapter } from './indexedDBAdapter';
+
+// Just enough of IndexedDB to drive one request and its transaction by hand
+const createFakeIndexedDB = () => {
+  const transactions = [];
+  const request = (result) => {
+    const pending = { result };
+    setTimeout(() => pending.onsuccess && pending.onsuccess());
+    return pending;
+  };
+  const db = {
+    transaction: (storeName, mode) => {
+      const transaction = { mode, error: null };
+      transaction.objectStore = () => ({
+        get: () => request('stored'),
+        put: () => request(undefined),
+        delete: () => request(undefined)
+      });
+      transactions.push(transaction);
+      return transaction;
+    }
+  };
+  return {
+    transactions,
+    open: () => request(db)
+  };
+};
+
+const tick = () => new Promise((resolve) => setTimeout(resolve));
+
+let fake;
+
+beforeEach(() => {
+  fake = createFakeIndexedDB();
+  global.indexedDB = fake;
+});
+
+afterEach(() => {
+  delete global.indexedDB;
+});
+
+test('reads resolve with their request', async () => {
+  expect(await createIndexedDBAdapter().getItem('tasks')).toBe('stored');
+});
+
+test('writes wait for their transaction to commit', async () => {
+  let saved = false;
+  const saving = createIndexedDBAdapter().setItem('tasks', '[]').then(() => {
+    saved = true;
+  });
+
+  await tick();
+  await tick();
+  expect(saved).toBe(false);
+
+  fake.transactions[0].oncomplete();
+  await saving;
+  expect(saved).toBe(true);
+});
+
+test('writes reject when their transaction aborts after the request succeeded', async () => {
+  const saving = createIndexedDBAdapter().setItem('tasks', '[]');
+
+  await tick();
+  await tick();
+  const [transaction] = fake.transactions;
+  transaction.error = new Error('QuotaExceededError');
+  transaction.onabort();
+
+  await expect(saving).rejects.toThrow('QuotaExceededError');
+});
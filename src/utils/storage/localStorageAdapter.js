@@ -0,0 +1,33 @@
+// src/utils/storage/localStorageAdapter.js
+
+/**
+ * Storage adapter backed by window.localStorage
+ * Simple and synchronous underneath, but limited to a few megabytes per origin.
+ * @returns {Object} - Storage adapter (see createMemoryAdapter for the interface)
+ */
+export const createLocalStorageAdapter = () => ({
+  name: 'localStorage',
+  getItem: async (key) => localStorage.getItem(key),
+  setItem: async (key, value) => {
+    localStorage.setItem(key, value);
+  },
+  removeItem: async (key) => {
+    localStorage.removeItem(key);
+  }
+});
+
+/**
+ * Check if localStorage is available and working
+ * @returns {boolean} - Whether localStorage is available
+ */
+export const isLocalStorageAvailable = () => {
+  try {
+    const test = 'test';
+    localStorage.setItem(test, test);
+    const result = localStorage.getItem(test) === test;
+    localStorage.removeItem(test);
+    return result;
+  } catch (e) {
+    return false;
+  }
+};
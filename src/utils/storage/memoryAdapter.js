@@ -0,0 +1,24 @@
+// src/utils/storage/memoryAdapter.js
+
+/**
+ * Storage adapter that keeps everything in memory, for tests and as a last
+ * resort when the browser offers no persistent storage
+ * Every adapter stores strings under string keys and resolves
+ * getItem(key) to the stored string or null, setItem(key, value) and
+ * removeItem(key) once the change is made.
+ * @param {Object} initial - Entries to start with, { [key]: string }
+ * @returns {Object} - Storage adapter { name, getItem, setItem, removeItem }
+ */
+export const createMemoryAdapter = (initial = {}) => {
+  const entries = new Map(Object.entries(initial));
+  return {
+    name: 'memory',
+    getItem: async (key) => (entries.has(key) ? entries.get(key) : null),
+    setItem: async (key, value) => {
+      entries.set(key, String(value));
+    },
+    removeItem: async (key) => {
+      entries.delete(key);
+    }
+  };
+};
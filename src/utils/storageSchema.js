@@ -0,0 +1,127 @@
+// src/utils/storageSchema.js
+
+/**
+ * Version of the stored data layout
+ * Bump it together with a new entry in MIGRATIONS whenever stored data changes shape.
+ */
+export const SCHEMA_VERSION = 1;
+
+/**
+ * Ordered migrations, each bringing data saved at version - 1 up to version
+ * migrate maps a storage key to a function from the old value to the new one;
+ * keys without an entry pass through unchanged. Data saved before versioning
+ * (bare JSON with no envelope) counts as version 0.
+ */
+export const MIGRATIONS = [
+  {
+    version: 1,
+    description: 'Fill in task fields added since the first release',
+    migrate: {
+      tasks: (tasks) =>
+        tasks.map((task) => ({
+          dueDate: null,
+          blockedBy: [],
+          splittable: false,
+          minChunk: null,
+          category: '',
+          pinned: false,
+          excluded: false,
+          ...task
+        }))
+    }
+  }
+];
+
+/**
+ * Keys the app stores data under
+ */
+export const STORAGE_KEYS = [
+  'tasks',
+  'timeLimit',
+  'sortPreferences',
+  'darkMode',
+  'plannerPreferences',
+  'weekBudgets',
+  'timelineSettings',
+  'userProgress',
+  'meetings'
+];
+
+/**
+ * Key a stored value is moved to when it can't be loaded
+ * @param {string} key - Storage key
+ * @returns {string} - The backup key
+ */
+export const getBackupKey = (key) => `${key}.backup`;
+
+const isObject = (value) => typeof value === 'object' && value !== null && !Array.isArray(value);
+
+// Shape checks per key, run after migrating; anything failing counts as corrupt
+const VALIDATORS = {
+  tasks: (value) => Array.isArray(value) && value.every(isObject),
+  timeLimit: (value) => Number.isFinite(value) && value > 0,
+  sortPreferences: isObject,
+  darkMode: (value) => typeof value === 'boolean',
+  plannerPreferences: isObject,
+  weekBudgets: Array.isArray,
+  timelineSettings: isObject,
+  userProgress: isObject,
+  meetings: (value) => isObject(value) && typeof value.day === 'string' && Array.isArray(value.meetings)
+};
+
+/**
+ * Check that a value has the shape the app stores under a key
+ * @param {string} key - Storage key
+ * @param {*} value - Value to check (already migrated)
+ * @returns {boolean} - Whether the value can be used
+ */
+export const isValidStored = (key, value) => (VALIDATORS[key] ? VALIDATORS[key](value) : true);
+
+/**
+ * Wrap data for storage with the current schema version
+ * @param {*} data - Any JSON-serializable value
+ * @returns {Object} - { schemaVersion, data }
+ */
+export const wrapStored = (data) => ({ schemaVersion: SCHEMA_VERSION, data });
+
+/**
+ * Bring a value saved at an older schema version up to date
+ * @param {string} key - Storage key the value was saved under
+ * @param {*} data - The saved value
+ * @param {Number} fromVersion - Schema version it was saved with
+ * @returns {*} - The migrated value
+ */
+export const migrateStored = (key, data, fromVersion) =>
+  MIGRATIONS
+    .filter(({ version }) => version > fromVersion && version <= SCHEMA_VERSION)
+    .reduce((value, { migrate }) => (migrate[key] ? migrate[key](value) : value), data);
+
+/**
+ * Read a raw stored string: parse it, migrate it and check its shape
+ * @param {string} key - Storage key the string was saved under
+ * @param {string} raw - The stored string
+ * @returns {Object} - { status: 'ok', data, version } on success, otherwise
+ *   { status: 'corrupt' } or { status: 'newer', version } for data saved by a
+ *   later version of the app
+ */
+export const parseStored = (key, raw) => {
+  let parsed;
+  try {
+    parsed = JSON.parse(raw);
+  } catch (error) {
+    return { status: 'corrupt' };
+  }
+
+  const isEnvelope = isObject(parsed) && Number.isInteger(parsed.schemaVersion) && 'data' in parsed;
+  const version = isEnvelope ? parsed.schemaVersion : 0;
+  if (version > SCHEMA_VERSION) {
+    return { status: 'newer', version };
+  }
+
+  try {
+    const data = migrateStored(key, isEnvelope ? parsed.data : parsed, version);
+    return isValidStored(key, data) ? { status: 'ok', data, version } : { status: 'corrupt' };
+  } catch (error) {
+    return { status: 'corrupt' };
+  }
+};
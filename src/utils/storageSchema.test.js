@@ -0,0 +1,84 @@
+import {
+  SCHEMA_VERSION,
+  STORAGE_KEYS,
+  getBackupKey,
+  isValidStored,
+  wrapStored,
+  migrateStored,
+  parseStored
+} from './storageSchema';
+
+test('wraps data with the current schema version', () => {
+  expect(wrapStored([1, 2])).toEqual({ schemaVersion: SCHEMA_VERSION, data: [1, 2] });
+});
+
+test('reads back what it wrapped', () => {
+  const raw = JSON.stringify(wrapStored(90));
+  expect(parseStored('timeLimit', raw)).toEqual({ status: 'ok', data: 90, version: SCHEMA_VERSION });
+});
+
+test('treats bare JSON as version 0 and fills in the task fields added since', () => {
+  const raw = JSON.stringify([{ id: 1, name: 'Old task', importance: 5, time: 30, completed: false }]);
+  const result = parseStored('tasks', raw);
+
+  expect(result.status).toBe('ok');
+  expect(result.version).toBe(0);
+  expect(result.data[0]).toEqual({
+    id: 1,
+    name: 'Old task',
+    importance: 5,
+    time: 30,
+    completed: false,
+    dueDate: null,
+    blockedBy: [],
+    splittable: false,
+    minChunk: null,
+    category: '',
+    pinned: false,
+    excluded: false
+  });
+});
+
+test('keeps task fields that were already saved when migrating', () => {
+  const [task] = migrateStored('tasks', [{ id: 1, category: 'Home', pinned: true }], 0);
+  expect(task.category).toBe('Home');
+  expect(task.pinned).toBe(true);
+});
+
+test('leaves keys without a migration unchanged', () => {
+  expect(migrateStored('darkMode', true, 0)).toBe(true);
+});
+
+test('does not migrate data that is already current', () => {
+  const tasks = [{ id: 1 }];
+  expect(migrateStored('tasks', tasks, SCHEMA_VERSION)).toBe(tasks);
+});
+
+test('reports unparseable JSON as corrupt', () => {
+  expect(parseStored('tasks', '{"tasks": [')).toEqual({ status: 'corrupt' });
+});
+
+test('reports values of the wrong shape as corrupt', () => {
+  expect(parseStored('tasks', JSON.stringify(wrapStored({ id: 1 })))).toEqual({ status: 'corrupt' });
+  expect(parseStored('timeLimit', JSON.stringify(wrapStored(-5)))).toEqual({ status: 'corrupt' });
+  expect(parseStored('meetings', JSON.stringify(wrapStored({ day: 'Sun Oct 18 2026' })))).toEqual({ status: 'corrupt' });
+});
+
+test('reports data saved by a later version without touching it', () => {
+  const raw = JSON.stringify({ schemaVersion: SCHEMA_VERSION + 1, data: 'future' });
+  expect(parseStored('tasks', raw)).toEqual({ status: 'newer', version: SCHEMA_VERSION + 1 });
+});
+
+test('has a shape check for every storage key', () => {
+  STORAGE_KEYS.forEach((key) => {
+    expect(isValidStored(key, undefined)).toBe(false);
+  });
+});
+
+test('accepts any value under keys it does not know', () => {
+  expect(isValidStored('somethingElse', 42)).toBe(true);
+});
+
+test('names backup keys after the key they back up', () => {
+  expect(getBackupKey('tasks')).toBe('tasks.backup');
+});
@@ -0,0 +1,227 @@
+// src/utils/taskCsv.js
+import { parseCsv, toCsv } from './csv';
+import { validateTask } from './taskValidation';
+
+const EXPORT_HEADERS = ['Name', 'Importance (1-10)', 'Time (min)', 'Completed', 'Due Date', 'Category'];
+
+const pad = (number) => String(number).padStart(2, '0');
+
+/**
+ * Write a due date in local time, as a spreadsheet shows it
+ * @param {string} iso - ISO date string, or null
+ * @returns {string} - e.g. "2026-10-20 16:00", or '' for no due date
+ */
+export const formatDueDate = (iso) => {
+  if (!iso) return '';
+  const date = new Date(iso);
+  return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())} ${pad(date.getHours())}:${pad(date.getMinutes())}`;
+};
+
+/**
+ * Read a due date written in local time
+ * A date without a time means the end of that day, 23:59 local time.
+ * @param {string} value - e.g. "2026-10-20 16:00", "2026-10-20" or "10/20/2026"
+ * @returns {string|null} - ISO date string, null when empty, or the text itself
+ *   when it isn't a date (validateTask reports it)
+ */
+export const parseDueDate = (value) => {
+  const text = (value || '').trim();
+  if (text === '') return null;
+  // new Date() reads a bare YYYY-MM-DD as UTC midnight, so build it locally
+  const isoDate = text.match(/^(\d{4})-(\d{2})-(\d{2})$/);
+  const date = isoDate
+    ? new Date(Number(isoDate[1]), Number(isoDate[2]) - 1, Number(isoDate[3]))
+    : new Date(text);
+  if (Number.isNaN(date.getTime())) return text;
+  if (!/\d:\d/.test(text)) date.setHours(23, 59, 0, 0);
+  return date.toISOString();
+};
+
+/**
+ * Write tasks as CSV, one row per task with times in minutes
+ * @param {Array} tasks - Array of task objects
+ * @returns {string} - CSV text with a header row
+ */
+export const tasksToCsv = (tasks) =>
+  toCsv([
+    EXPORT_HEADERS,
+    ...tasks.map((task) => [
+      task.name,
+      task.importance,
+      task.time,
+      task.completed ? 'yes' : 'no',
+      formatDueDate(task.dueDate),
+      task.category || ''
+    ])
+  ]);
+
+/**
+ * Task fields a CSV column can be mapped to
+ * patterns pick the column guessMapping suggests, matched against the header.
+ */
+export const CSV_FIELDS = [
+  { id: 'name', label: 'Name', required: true, patterns: [/name|title|task|summary|subject/i] },
+  { id: 'importance', label: 'Importance', required: true, patterns: [/importance|priority|prio|value/i] },
+  { id: 'time', label: 'Time', required: true, patterns: [/time|effort|estimate|duration|length|minutes|hours/i] },
+  { id: 'completed', label: 'Completed', patterns: [/complete|done|status|finished/i] },
+  { id: 'dueDate', label: 'Due date', patterns: [/due|deadline/i] },
+  { id: 'category', label: 'Category', patterns: [/categor|project|area|type|tag/i] }
+];
+
+export const TIME_UNITS = [
+  { id: 'minutes', label: 'Minutes', factor: 1 },
+  { id: 'hours', label: 'Hours', factor: 60 }
+];
+
+export const IMPORTANCE_SCALES = [
+  { id: '1-10', label: '1–10' },
+  { id: '1-5', label: '1–5' },
+  { id: 'words', label: 'High / Medium / Low' }
+];
+
+// Importance for word scales; anything else on a word scale is invalid
+const IMPORTANCE_WORDS = {
+  critical: 10, urgent: 10, highest: 10,
+  high: 9, h: 9,
+  medium: 6, med: 6, normal: 6, m: 6,
+  low: 3, l: 3,
+  lowest: 1
+};
+
+const TRUE_WORDS = ['yes', 'y', 'true', '1', 'x', 'done', 'completed', 'complete', '✓', '✔'];
+
+/**
+ * Suggest which column feeds each field, and the units its values are in
+ * A header naming hours, e.g. "Effort (h)", switches time to hours; one naming
+ * its scale, e.g. "Priority (1-5)", fixes the importance scale. Otherwise the
+ * scale is guessed from the values.
+ * @param {Array} headers - Header cells
+ * @param {Array} rows - Data rows, used to detect the importance scale
+ * @returns {Object} - { columns: { [fieldId]: columnIndex | null }, timeUnit, importanceScale }
+ */
+export const guessMapping = (headers, rows = []) => {
+  const taken = new Set();
+  const columns = {};
+  CSV_FIELDS.forEach(({ id, patterns }) => {
+    const index = headers.findIndex((header, i) => !taken.has(i) && patterns.some((pattern) => pattern.test(header)));
+    columns[id] = index === -1 ? null : index;
+    if (index !== -1) taken.add(index);
+  });
+
+  const timeHeader = columns.time === null ? '' : headers[columns.time];
+  const timeUnit = /\(h\)|hour|hrs?\b/i.test(timeHeader) ? 'hours' : 'minutes';
+  const importanceHeader = columns.importance === null ? '' : headers[columns.importance];
+  const namedScale = importanceHeader.match(/1\s*[-–]\s*(10|5)\b/);
+  let importanceScale = '1-10';
+  if (namedScale) {
+    importanceScale = `1-${namedScale[1]}`;
+  } else if (columns.importance !== null) {
+    importanceScale = detectImportanceScale(rows.map((row) => row[columns.importance]));
+  }
+
+  return { columns, timeUnit, importanceScale };
+};
+
+/**
+ * Guess the scale a column of importance values uses
+ * @param {Array} values - Cell strings
+ * @returns {string} - '1-10', '1-5' or 'words'
+ */
+export const detectImportanceScale = (values) => {
+  const filled = values.map((value) => (value || '').trim()).filter(Boolean);
+  if (filled.some((value) => IMPORTANCE_WORDS[value.toLowerCase()] !== undefined)) return 'words';
+  const numbers = filled.map(Number).filter(Number.isFinite);
+  return numbers.length > 0 && Math.max(...numbers) <= 5 ? '1-5' : '1-10';
+};
+
+/**
+ * Convert a cell to importance on the app's 1-10 scale
+ * @param {string} value - Cell text
+ * @param {string} scale - '1-10', '1-5' or 'words'
+ * @returns {Number} - Importance, or NaN when the cell doesn't fit the scale
+ */
+export const normalizeImportance = (value, scale) => {
+  const text = (value || '').trim();
+  if (scale === 'words') {
+    return IMPORTANCE_WORDS[text.toLowerCase()] ?? NaN;
+  }
+  const number = Number(text);
+  if (text === '' || !Number.isFinite(number)) return NaN;
+  // 1-5 stretches onto 1-10 so both ends line up: 1 -> 1, 3 -> 6, 5 -> 10
+  return Math.round(scale === '1-5' ? 1 + ((number - 1) * 9) / 4 : number);
+};
+
+/**
+ * Convert a duration cell to minutes
+ * Plain numbers are in `unit`; "1h 30m", "90m", "1.5h" and "1:30" carry their own.
+ * @param {string} value - Cell text
+ * @param {string} unit - 'minutes' or 'hours'
+ * @returns {Number} - Whole minutes, or NaN when the cell isn't a duration
+ */
+export const parseDuration = (value, unit) => {
+  const text = (value || '').trim().toLowerCase().replace(',', '.');
+  if (text === '') return NaN;
+
+  const clock = text.match(/^(\d+):(\d{1,2})$/);
+  if (clock) return Number(clock[1]) * 60 + Number(clock[2]);
+
+  const parts = text.match(/^(?:(\d+(?:\.\d+)?)\s*h(?:ours?|rs?)?)?\s*(?:(\d+(?:\.\d+)?)\s*m(?:in(?:utes?|s)?)?)?$/);
+  if (parts && (parts[1] || parts[2])) {
+    return Math.round(Number(parts[1] || 0) * 60 + Number(parts[2] || 0));
+  }
+
+  const number = Number(text);
+  if (!Number.isFinite(number)) return NaN;
+  return Math.round(number * TIME_UNITS.find((u) => u.id === unit).factor);
+};
+
+/**
+ * Read the rows of a CSV file into tasks using a column mapping
+ * @param {Array} rows - Data rows (no header)
+ * @param {Object} mapping - { columns, timeUnit, importanceScale } (see guessMapping)
+ * @param {Number} firstId - Id for the first task; later ones count up
+ * @returns {Object} - { tasks, errors }; errors holds { row, messages } for every
+ *   row that was skipped, with row numbers as a spreadsheet shows them (header = 1)
+ */
+export const rowsToTasks = (rows, mapping, firstId = Date.now()) => {
+  const { columns, timeUnit, importanceScale } = mapping;
+  const cell = (row, field) => (columns[field] === null || columns[field] === undefined ? '' : row[columns[field]] || '');
+  const createdAt = new Date().toISOString();
+  const tasks = [];
+  const errors = [];
+
+  rows.forEach((row, index) => {
+    const task = {
+      id: firstId + tasks.length,
+      name: cell(row, 'name').trim(),
+      importance: normalizeImportance(cell(row, 'importance'), importanceScale),
+      time: parseDuration(cell(row, 'time'), timeUnit),
+      completed: TRUE_WORDS.includes(cell(row, 'completed').trim().toLowerCase()),
+      createdAt,
+      dueDate: parseDueDate(cell(row, 'dueDate')),
+      blockedBy: [],
+      splittable: false,
+      minChunk: null,
+      category: cell(row, 'category').trim()
+    };
+
+    const messages = validateTask(task);
+    if (messages.length > 0) {
+      errors.push({ row: index + 2, messages });
+    } else {
+      tasks.push(task);
+    }
+  });
+
+  return { tasks, errors };
+};
+
+/**
+ * Split CSV text into its header and data rows
+ * @param {string} text - CSV file contents
+ * @returns {Object} - { headers, rows }
+ */
+export const readCsvTable = (text) => {
+  const [headers = [], ...rows] = parseCsv(text);
+  return { headers: headers.map((header) => header.trim()), rows };
+};
@@ -0,0 +1,92 @@
+import {
+  tasksToCsv,
+  readCsvTable,
+  guessMapping,
+  detectImportanceScale,
+  normalizeImportance,
+  parseDuration,
+  formatDueDate,
+  parseDueDate,
+  rowsToTasks
+} from './taskCsv';
+
+const mapping = (columns, fields = {}) => ({
+  columns: { name: 0, importance: 1, time: 2, completed: null, dueDate: null, category: null, ...columns },
+  timeUnit: 'minutes',
+  importanceScale: '1-10',
+  ...fields
+});
+
+test('guesses columns, time unit and importance scale from the headers', () => {
+  expect(guessMapping(['Task', 'Priority (1-5)', 'Effort (h)', 'Done', 'Deadline', 'Project'])).toEqual({
+    columns: { name: 0, importance: 1, time: 2, completed: 3, dueDate: 4, category: 5 },
+    timeUnit: 'hours',
+    importanceScale: '1-5'
+  });
+});
+
+test('guesses the importance scale from the values when the header does not name it', () => {
+  expect(detectImportanceScale(['1', '4', '', '5'])).toBe('1-5');
+  expect(detectImportanceScale(['2', '8'])).toBe('1-10');
+  expect(detectImportanceScale(['High', 'low'])).toBe('words');
+});
+
+test('stretches other importance scales onto 1-10', () => {
+  expect([1, 3, 5].map((value) => normalizeImportance(String(value), '1-5'))).toEqual([1, 6, 10]);
+  expect(normalizeImportance('Medium', 'words')).toBe(6);
+  expect(normalizeImportance('whenever', 'words')).toBeNaN();
+  expect(normalizeImportance('', '1-10')).toBeNaN();
+});
+
+test('reads durations in every supported form', () => {
+  expect(parseDuration('1h 30m', 'minutes')).toBe(90);
+  expect(parseDuration('90m', 'hours')).toBe(90);
+  expect(parseDuration('1.5h', 'minutes')).toBe(90);
+  expect(parseDuration('1,5', 'hours')).toBe(90);
+  expect(parseDuration('1:30', 'minutes')).toBe(90);
+  expect(parseDuration('45', 'minutes')).toBe(45);
+  expect(parseDuration('soon', 'minutes')).toBeNaN();
+});
+
+test('writes due dates in local time', () => {
+  expect(formatDueDate(new Date(2026, 9, 20, 16, 5).toISOString())).toBe('2026-10-20 16:05');
+  expect(formatDueDate(null)).toBe('');
+});
+
+test('reads due dates in local time, with date-only values due at the end of the day', () => {
+  expect(parseDueDate('2026-10-20 16:05')).toBe(new Date(2026, 9, 20, 16, 5).toISOString());
+  expect(parseDueDate('2026-10-20')).toBe(new Date(2026, 9, 20, 23, 59).toISOString());
+  expect(parseDueDate('10/20/2026')).toBe(new Date(2026, 9, 20, 23, 59).toISOString());
+  expect(parseDueDate('')).toBeNull();
+  expect(parseDueDate('next week')).toBe('next week');
+});
+
+test('turns rows into tasks and reports the rows it skips', () => {
+  const rows = [['Email', '3', '15', 'yes'], ['', '5', '30', ''], ['Report', '12', 'long', 'no']];
+  const { tasks, errors } = rowsToTasks(rows, mapping({ completed: 3 }), 100);
+
+  expect(tasks).toHaveLength(1);
+  expect(tasks[0]).toMatchObject({ id: 100, name: 'Email', importance: 3, time: 15, completed: true });
+  expect(errors).toEqual([
+    { row: 3, messages: ['needs a name'] },
+    {
+      row: 4,
+      messages: ['importance must be a whole number from 1 to 10', 'time must be a positive number of minutes']
+    }
+  ]);
+});
+
+test('reads back an exported task list unchanged', () => {
+  const tasks = [
+    { id: 1, name: 'Write report, draft', importance: 3, time: 45, completed: false, dueDate: new Date(2026, 9, 20, 16, 0).toISOString(), category: 'Deep work' },
+    { id: 2, name: 'Email "Bob"', importance: 5, time: 15, completed: true, dueDate: null, category: '' }
+  ];
+  const { headers, rows } = readCsvTable(tasksToCsv(tasks));
+  const { tasks: imported, errors } = rowsToTasks(rows, guessMapping(headers, rows), 1);
+
+  expect(errors).toEqual([]);
+  imported.forEach((task, index) => {
+    const { id, name, importance, time, completed, dueDate, category } = tasks[index];
+    expect(task).toMatchObject({ id, name, importance, time, completed, dueDate, category });
+  });
+});
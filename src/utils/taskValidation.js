@@ -0,0 +1,32 @@
+// src/utils/taskValidation.js
+
+const isValidDate = (value) => typeof value === 'string' && !Number.isNaN(new Date(value).getTime());
+
+/**
+ * Check an incoming task (from a backup or an import) before it joins the list
+ * @param {Object} task - Candidate task object
+ * @returns {Array} - Problems found, as readable messages; empty when the task is valid
+ */
+export const validateTask = (task) => {
+  if (typeof task !== 'object' || task === null || Array.isArray(task)) {
+    return ['is not a task object'];
+  }
+
+  const errors = [];
+  if (typeof task.name !== 'string' || !task.name.trim()) {
+    errors.push('needs a name');
+  }
+  if (!Number.isInteger(task.importance) || task.importance < 1 || task.importance > 10) {
+    errors.push('importance must be a whole number from 1 to 10');
+  }
+  if (!Number.isFinite(task.time) || task.time <= 0) {
+    errors.push('time must be a positive number of minutes');
+  }
+  if (task.dueDate !== undefined && task.dueDate !== null && !isValidDate(task.dueDate)) {
+    errors.push(`due date "${task.dueDate}" is not a date`);
+  }
+  if (task.blockedBy !== undefined && !Array.isArray(task.blockedBy)) {
+    errors.push('blockedBy must be a list of task ids');
+  }
+  return errors;
+};
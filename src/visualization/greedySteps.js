@@ -0,0 +1,55 @@
+// src/visualization/greedySteps.js
+import { sortByRatio } from '../algorithms/greedy';
+
+/**
+ * Steps for playing greedy ratio selection back in the visualizer
+ * Tasks are ordered by importance per minute, then taken one by one while
+ * they still fit in the time left.
+ * @param {Array} items - Tasks with importance and time
+ * @param {Number} capacity - Time limit (in minutes)
+ * @returns {Array} - Steps of { type: 'initialize' | 'sorted' | 'consider' | 'solution',
+ *   order, decisions, remainingTime, ... }; decisions[k] is true/false for tasks
+ *   already taken/skipped in ratio order and undefined for those still ahead
+ */
+export const generateGreedySteps = (items, capacity) => {
+  if (items.length === 0) return [];
+
+  const order = sortByRatio(items);
+  const decisions = [];
+  let remainingTime = capacity;
+
+  const steps = [
+    { type: 'initialize', order: items, decisions: [], remainingTime, capacity },
+    { type: 'sorted', order, decisions: [], remainingTime, capacity }
+  ];
+
+  order.forEach((task, index) => {
+    const fits = task.time <= remainingTime;
+    decisions.push(fits);
+    if (fits) remainingTime -= task.time;
+    steps.push({
+      type: 'consider',
+      order,
+      decisions: [...decisions],
+      index,
+      item: task,
+      included: fits,
+      reason: fits ? `${task.time}m fits` : `${task.time}m > ${remainingTime}m left`,
+      remainingTime,
+      capacity
+    });
+  });
+
+  const selected = order.filter((_, index) => decisions[index]);
+  steps.push({
+    type: 'solution',
+    order,
+    decisions,
+    selected,
+    totalValue: selected.reduce((sum, task) => sum + task.importance, 0),
+    remainingTime,
+    capacity
+  });
+
+  return steps;
+};
@@ -0,0 +1,65 @@
+// src/visualization/heapSteps.js
+import { toSortKeys, compareTasks } from '../algorithms/mergeSort';
+
+/**
+ * Steps for playing a binary-heap priority queue back in the visualizer
+ * Every task is pushed and sifted up, then the queue pops the next task
+ * (the one the sort keys put first) until it is empty: the root is taken,
+ * the last leaf moves to the root and sifts down.
+ * @param {Array} items - Tasks to queue
+ * @param {String|Array} sortBy - A property name or sort keys (see toSortKeys)
+ * @param {Boolean} ascending - Direction when sortBy is a property name
+ * @returns {Array} - Steps of { type: 'initial' | 'push' | 'siftUp' | 'pop' | 'siftDown' | 'final',
+ *   heap, popped, poppedCount, indices, item }; all steps share the popped
+ *   list, of which the first poppedCount tasks are out of the queue
+ */
+export const generateHeapSteps = (items, sortBy, ascending = false) => {
+  const sortKeys = toSortKeys(sortBy, ascending);
+  const goesFirst = (a, b) => compareTasks(a, b, sortKeys) < 0;
+  let heap = [];
+  const popped = [];
+  const steps = [{ type: 'initial', heap, popped, poppedCount: 0, indices: [] }];
+
+  const record = (type, fields) =>
+    steps.push({ type, heap, popped, poppedCount: popped.length, indices: [], ...fields });
+
+  const swap = (i, j, type) => {
+    heap = [...heap];
+    [heap[i], heap[j]] = [heap[j], heap[i]];
+    record(type, { indices: [i, j] });
+  };
+
+  items.forEach((item) => {
+    heap = [...heap, item];
+    let index = heap.length - 1;
+    record('push', { item, indices: [index] });
+    while (index > 0) {
+      const parent = Math.floor((index - 1) / 2);
+      if (!goesFirst(heap[index], heap[parent])) break;
+      swap(index, parent, 'siftUp');
+      index = parent;
+    }
+  });
+
+  while (heap.length > 0) {
+    const item = heap[0];
+    popped.push(item);
+    heap = heap.length > 1 ? [heap[heap.length - 1], ...heap.slice(1, -1)] : [];
+    record('pop', { item, indices: heap.length > 0 ? [0] : [] });
+
+    let index = 0;
+    for (;;) {
+      const left = 2 * index + 1;
+      const right = left + 1;
+      let first = index;
+      if (left < heap.length && goesFirst(heap[left], heap[first])) first = left;
+      if (right < heap.length && goesFirst(heap[right], heap[first])) first = right;
+      if (first === index) break;
+      swap(index, first, 'siftDown');
+      index = first;
+    }
+  }
+
+  steps.push({ type: 'final', heap, popped, poppedCount: popped.length, indices: [] });
+  return steps;
+};
@@ -0,0 +1,102 @@
+// src/visualization/index.js
+import { generateMergeSortSteps } from './mergeSortSteps';
+import { generateQuickSortSteps } from './quickSortSteps';
+import { generateHeapSteps } from './heapSteps';
+import { generateKnapsackSteps } from './knapsackSteps';
+import { generateGreedySteps } from './greedySteps';
+import MergeSortView from '../components/visualizations/MergeSortView';
+import QuickSortView from '../components/visualizations/QuickSortView';
+import HeapView from '../components/visualizations/HeapView';
+import KnapsackView from '../components/visualizations/KnapsackView';
+import GreedyView from '../components/visualizations/GreedyView';
+
+/**
+ * Registry of algorithms the visualizer can play back
+ * generateSteps(tasks, context) turns the incomplete tasks into playback steps,
+ * where context is { sortKeys, timeLimit } from the current settings, and View
+ * renders one step ({ step, context, darkMode }). info feeds the "About" panel;
+ * showsPlanUsage adds the plan's time usage to the performance panel.
+ * Adding an algorithm means adding an entry here.
+ */
+export const VISUALIZED_ALGORITHMS = [
+  {
+    id: 'mergeSort',
+    label: 'Merge Sort',
+    info: {
+      name: 'Merge Sort',
+      description: 'A divide-and-conquer algorithm that splits the array into halves, recursively sorts them, then merges them back. It has a stable O(n log n) time complexity regardless of input data.',
+      complexity: 'O(n log n)',
+      space: 'O(n)'
+    },
+    generateSteps: (tasks, { sortKeys }) => generateMergeSortSteps(tasks, sortKeys),
+    View: MergeSortView
+  },
+  {
+    id: 'quickSort',
+    label: 'Quicksort',
+    info: {
+      name: 'Quicksort',
+      description: 'Picks a pivot, moves everything that goes before it to its left and the rest to its right, then sorts both sides the same way. It sorts in place but is not stable, and a run of bad pivots degrades it to quadratic time.',
+      complexity: 'O(n log n) average, O(n²) worst',
+      space: 'O(log n) average'
+    },
+    generateSteps: (tasks, { sortKeys }) => generateQuickSortSteps(tasks, sortKeys),
+    View: QuickSortView
+  },
+  {
+    id: 'heap',
+    label: 'Heap Priority Queue',
+    info: {
+      name: 'Binary Heap Priority Queue',
+      description: 'Keeps tasks in a complete binary tree where every parent goes before its children, so the next task is always at the root. Pushing sifts a new leaf up; popping moves the last leaf to the root and sifts it down.',
+      complexity: 'O(log n) per push or pop, O(n log n) to drain',
+      space: 'O(n)'
+    },
+    generateSteps: (tasks, { sortKeys }) => generateHeapSteps(tasks, sortKeys),
+    View: HeapView
+  },
+  {
+    id: 'knapsack',
+    label: 'Knapsack Algorithm',
+    info: {
+      name: '0/1 Knapsack Algorithm',
+      description: "A dynamic programming algorithm that selects items to maximize value while staying within a capacity constraint. Used here to prioritize tasks based on importance and time available. In the heatmap, the cell for row i and column w holds the best importance the first i tasks can reach in w minutes: it either copies the cell above (skip task i) or adds the task's importance to the row above, w minus its time to the left (take task i). Backtracking from the bottom-right cell recovers which tasks were taken.",
+      complexity: 'O(n * W)', // where W is the time limit
+      space: 'O(n * W)'
+    },
+    showsPlanUsage: true,
+    generateSteps: (tasks, { timeLimit }) => generateKnapsackSteps(tasks, timeLimit),
+    View: KnapsackView
+  },
+  {
+    id: 'greedy',
+    label: 'Greedy Ratio',
+    info: {
+      name: 'Greedy Selection by Importance per Minute',
+      description: 'Sorts tasks by importance per minute and takes each one that still fits in the time left. The sort dominates its running time; it is fast and easy to follow but can miss the best combination, which the knapsack always finds.',
+      complexity: 'O(n log n)',
+      space: 'O(n)'
+    },
+    showsPlanUsage: true,
+    generateSteps: (tasks, { timeLimit }) => generateGreedySteps(tasks, timeLimit),
+    View: GreedyView
+  }
+];
+
+export const DEFAULT_VISUALIZED_ALGORITHM = 'mergeSort';
+
+/**
+ * Look up a visualized algorithm by id
+ * @param {string} id - Algorithm id
+ * @returns {Object} - The registry entry, or the default one for unknown ids
+ */
+export const getVisualizedAlgorithm = (id) =>
+  VISUALIZED_ALGORITHMS.find((algorithm) => algorithm.id === id) ||
+  VISUALIZED_ALGORITHMS.find((algorithm) => algorithm.id === DEFAULT_VISUALIZED_ALGORITHM);
+
+/**
+ * Algorithm information text for the "About" panel
+ * @param {string} id - Algorithm id
+ * @returns {Object} - { name, description, complexity, space }
+ */
+export const getAlgorithmInfo = (id) => getVisualizedAlgorithm(id).info;
@@ -0,0 +1,153 @@
+// src/visualization/knapsackSteps.js
+
+// Largest heatmap drawn; bigger DP tables are downsampled to this many rows and columns
+export const MAX_TABLE_ROWS = 20;
+export const MAX_TABLE_COLUMNS = 40;
+
+// Most steps spent filling the table; each step reveals a run of cells
+export const MAX_FILL_STEPS = 60;
+
+// `count` evenly spaced integers from 0 to `last`, always including both ends
+const sampleIndices = (last, count) => {
+  if (last + 1 <= count) {
+    return Array.from({ length: last + 1 }, (_, i) => i);
+  }
+  return [...new Set(Array.from({ length: count }, (_, i) => Math.round((i * last) / (count - 1))))];
+};
+
+// Position of the sampled index closest to `value`
+const nearestSample = (samples, value) =>
+  samples.reduce((best, sample, i) => (Math.abs(sample - value) < Math.abs(samples[best] - value) ? i : best), 0);
+
+/**
+ * Steps for playing the 0/1 knapsack DP back in the visualizer
+ * The DP table has a row per number of tasks considered (0..n) and a column per
+ * capacity (0..W minutes); cell [i][w] is the best importance the first i tasks
+ * can reach within w minutes. Large tables are downsampled to at most
+ * MAX_TABLE_ROWS x MAX_TABLE_COLUMNS cells for display. Playback fills the shown
+ * cells row by row, then walks the backtracking path from the bottom-right cell
+ * up to row 0, and ends on the selected tasks.
+ * All steps share one `table`:
+ *   { rows: [{ index, item }], capacities, values (row-major), maxValue,
+ *     path: [{ row, column, taken }] from the last row up, shown rows only }
+ * @param {Array} items - Tasks with importance and time (in whole minutes)
+ * @param {Number} capacity - Time limit (in minutes)
+ * @returns {Array} - Steps of { type: 'initialize' | 'fill' | 'backtrack' | 'solution', table, ... }
+ */
+export const generateKnapsackSteps = (items, capacity) => {
+  if (items.length === 0) return [];
+
+  const n = items.length;
+  const W = Math.max(0, Math.floor(capacity));
+  const weights = items.map((task) => Math.max(0, Math.round(task.time)));
+  const values = items.map((task) => task.importance);
+
+  // Full DP; row i only reads row i - 1
+  const dp = Array.from({ length: n + 1 }, () => new Float64Array(W + 1));
+  const taken = Array.from({ length: n + 1 }, () => new Uint8Array(W + 1));
+  for (let i = 1; i <= n; i++) {
+    for (let w = 0; w <= W; w++) {
+      const excludeValue = dp[i - 1][w];
+      const includeValue = weights[i - 1] <= w ? values[i - 1] + dp[i - 1][w - weights[i - 1]] : -Infinity;
+      if (includeValue > excludeValue) {
+        dp[i][w] = includeValue;
+        taken[i][w] = 1;
+      } else {
+        dp[i][w] = excludeValue;
+      }
+    }
+  }
+
+  // Backtrack: the capacity left before deciding each task, from the last task up
+  const selected = [];
+  const pathCapacity = new Array(n + 1);
+  let w = W;
+  for (let i = n; i >= 0; i--) {
+    pathCapacity[i] = w;
+    if (i > 0 && taken[i][w]) {
+      selected.unshift(items[i - 1]);
+      w -= weights[i - 1];
+    }
+  }
+
+  const rowIndices = sampleIndices(n, MAX_TABLE_ROWS);
+  const capacities = sampleIndices(W, MAX_TABLE_COLUMNS);
+  const table = {
+    rows: rowIndices.map((index) => ({ index, item: index > 0 ? items[index - 1] : null })),
+    capacities,
+    values: rowIndices.flatMap((i) => capacities.map((c) => dp[i][c])),
+    maxValue: dp[n][W],
+    path: rowIndices
+      .map((i, row) => ({
+        row,
+        column: nearestSample(capacities, pathCapacity[i]),
+        taken: i > 0 && taken[i][pathCapacity[i]] === 1
+      }))
+      .reverse()
+  };
+
+  // Describe how cell [i][c] was decided
+  const decide = (i, c) => {
+    const item = items[i - 1];
+    const excludeValue = dp[i - 1][c];
+    if (weights[i - 1] > c) {
+      return { item, capacity: c, included: false, value: dp[i][c], reason: `Time ${weights[i - 1]} > available ${c}` };
+    }
+    const includeValue = values[i - 1] + dp[i - 1][c - weights[i - 1]];
+    return {
+      item,
+      capacity: c,
+      included: taken[i][c] === 1,
+      value: dp[i][c],
+      reason: taken[i][c] ? `Value ${includeValue} > ${excludeValue}` : `Value ${includeValue} <= ${excludeValue}`
+    };
+  };
+
+  const steps = [{ type: 'initialize', table, items, capacity: W, filled: capacities.length, pathLength: 0 }];
+
+  // Row 0 (no tasks) is all zeros and starts filled
+  const totalCells = table.values.length;
+  const perStep = Math.max(1, Math.ceil((totalCells - capacities.length) / MAX_FILL_STEPS));
+  for (let filled = capacities.length + perStep; ; filled += perStep) {
+    const shown = Math.min(filled, totalCells);
+    const lastCell = shown - 1;
+    const row = Math.floor(lastCell / capacities.length);
+    steps.push({
+      type: 'fill',
+      table,
+      filled: shown,
+      pathLength: 0,
+      cell: { row, column: lastCell % capacities.length },
+      ...decide(rowIndices[row], capacities[lastCell % capacities.length])
+    });
+    if (shown === totalCells) break;
+  }
+
+  // Walk the path one shown row at a time
+  table.path.forEach((point, index) => {
+    const i = rowIndices[point.row];
+    if (i === 0) return;
+    steps.push({
+      type: 'backtrack',
+      table,
+      filled: totalCells,
+      pathLength: index + 1,
+      item: items[i - 1],
+      included: point.taken,
+      capacity: pathCapacity[i]
+    });
+  });
+
+  steps.push({
+    type: 'solution',
+    table,
+    filled: totalCells,
+    pathLength: table.path.length,
+    selected,
+    totalValue: dp[n][W],
+    totalWeight: selected.reduce((sum, item) => sum + item.time, 0),
+    capacity: W
+  });
+
+  return steps;
+};
@@ -0,0 +1,56 @@
+// src/visualization/mergeSortSteps.js
+import { toSortKeys, compareTasks } from '../algorithms/mergeSort';
+
+/**
+ * Steps for playing merge sort back in the visualizer
+ * Records every split, the two sorted halves before each merge and the merged
+ * result, ordering tasks exactly as mergeSort does.
+ * @param {Array} items - Tasks to sort
+ * @param {String|Array} sortBy - A property name or sort keys (see toSortKeys)
+ * @param {Boolean} ascending - Direction when sortBy is a property name
+ * @returns {Array} - Steps of { type: 'initial' | 'split' | 'beforeMerge' | 'merge' | 'final', arrays }
+ */
+export const generateMergeSortSteps = (items, sortBy, ascending = false) => {
+  if (items.length <= 1) {
+    return [{ type: 'final', arrays: [items] }];
+  }
+
+  const sortKeys = toSortKeys(sortBy, ascending);
+  const steps = [{ type: 'initial', arrays: [[...items]] }];
+
+  const sortWithSteps = (arr) => {
+    if (arr.length <= 1) {
+      return arr;
+    }
+
+    const middle = Math.floor(arr.length / 2);
+    const left = arr.slice(0, middle);
+    const right = arr.slice(middle);
+    steps.push({ type: 'split', arrays: [[...left], [...right]] });
+
+    const sortedLeft = sortWithSteps(left);
+    const sortedRight = sortWithSteps(right);
+    steps.push({ type: 'beforeMerge', arrays: [[...sortedLeft], [...sortedRight]] });
+
+    // Ties take the left element, which keeps the sort stable
+    const result = [];
+    let leftIndex = 0;
+    let rightIndex = 0;
+    while (leftIndex < sortedLeft.length && rightIndex < sortedRight.length) {
+      if (compareTasks(sortedLeft[leftIndex], sortedRight[rightIndex], sortKeys) <= 0) {
+        result.push(sortedLeft[leftIndex++]);
+      } else {
+        result.push(sortedRight[rightIndex++]);
+      }
+    }
+    result.push(...sortedLeft.slice(leftIndex), ...sortedRight.slice(rightIndex));
+
+    steps.push({ type: 'merge', arrays: [[...result]] });
+    return result;
+  };
+
+  const sortedItems = sortWithSteps([...items]);
+  steps.push({ type: 'final', arrays: [sortedItems] });
+
+  return steps;
+};
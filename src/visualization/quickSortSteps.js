@@ -0,0 +1,66 @@
+// src/visualization/quickSortSteps.js
+import { toSortKeys, compareTasks } from '../algorithms/mergeSort';
+
+/**
+ * Steps for playing quicksort back in the visualizer
+ * Each range takes its middle element as pivot, moves it to the end and
+ * partitions around it (Lomuto scheme), then sorts both sides. Unlike merge
+ * sort this works in place and is not stable.
+ * Compare steps share the array snapshot of the step before them; only swaps copy it.
+ * @param {Array} items - Tasks to sort
+ * @param {String|Array} sortBy - A property name or sort keys (see toSortKeys)
+ * @param {Boolean} ascending - Direction when sortBy is a property name
+ * @returns {Array} - Steps of { type: 'initial' | 'partition' | 'compare' | 'swap' | 'placed' | 'final',
+ *   array, range: [lo, hi], pivot, indices, placed, placedCount }; all steps
+ *   share the placed list, whose first placedCount indices hold their final task
+ */
+export const generateQuickSortSteps = (items, sortBy, ascending = false) => {
+  const sortKeys = toSortKeys(sortBy, ascending);
+  let array = [...items];
+  const placed = [];
+  const steps = [{ type: 'initial', array, indices: [], placed, placedCount: 0 }];
+
+  const record = (type, fields) =>
+    steps.push({ type, array, indices: [], placed, placedCount: placed.length, ...fields });
+
+  const swap = (i, j, fields) => {
+    if (i === j) return;
+    array = [...array];
+    [array[i], array[j]] = [array[j], array[i]];
+    record('swap', { indices: [i, j], ...fields });
+  };
+
+  const sortRange = (lo, hi) => {
+    if (lo > hi) return;
+    if (lo === hi) {
+      placed.push(lo);
+      record('placed', { range: [lo, hi], pivot: lo, indices: [lo] });
+      return;
+    }
+
+    const middle = Math.floor((lo + hi) / 2);
+    record('partition', { range: [lo, hi], pivot: middle, indices: [middle] });
+    swap(middle, hi, { range: [lo, hi], pivot: hi });
+
+    // Everything before `store` goes ahead of the pivot
+    let store = lo;
+    for (let j = lo; j < hi; j++) {
+      record('compare', { range: [lo, hi], pivot: hi, indices: [j] });
+      if (compareTasks(array[j], array[hi], sortKeys) < 0) {
+        swap(store, j, { range: [lo, hi], pivot: hi });
+        store++;
+      }
+    }
+    swap(store, hi, { range: [lo, hi], pivot: store });
+    placed.push(store);
+    record('placed', { range: [lo, hi], pivot: store, indices: [store] });
+
+    sortRange(lo, store - 1);
+    sortRange(store + 1, hi);
+  };
+
+  sortRange(0, array.length - 1);
+  steps.push({ type: 'final', array, indices: [], placed, placedCount: placed.length });
+
+  return steps;
+};
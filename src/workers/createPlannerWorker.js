@@ -0,0 +1,6 @@
+// src/workers/createPlannerWorker.js
+
+// Kept apart from plannerClient.js: import.meta is only understood by the
+// bundler, so this module is loaded on demand once a worker is really needed
+export const createPlannerWorker = () =>
+  new Worker(new URL('./planner.worker.js', import.meta.url));
@@ -0,0 +1,12 @@
+// src/workers/planner.worker.js
+import { PLANNER_JOBS } from './plannerJobs';
+
+// Runs one job at a time; see plannerClient.js for the message format
+onmessage = ({ data }) => {
+  const { id, job, payload } = data;
+  try {
+    postMessage({ id, result: PLANNER_JOBS[job](payload) });
+  } catch (error) {
+    postMessage({ id, error: error.message });
+  }
+};
@@ -0,0 +1,131 @@
+// src/workers/plannerClient.js
+import { PLANNER_JOBS } from './plannerJobs';
+
+const abortError = () => {
+  const error = new Error('Planner request was cancelled');
+  error.name = 'AbortError';
+  return error;
+};
+
+/**
+ * Client for planning tasks in a Web Worker
+ * requestPlan({ tasks, timeLimit, strategy, quotas, granularity, workday }, { signal })
+ * resolves with the plan result from planTasks (or planTasksInGaps when a
+ * workday of { gaps, busyMinutes } is given), and
+ * requestBudgetCurve({ tasks, strategy, quotas, granularity, meetings, settings },
+ * { signal }) with the curve from buildBudgetCurve, requestBenchmark(config, { signal }) with
+ * the results of runBenchmark, requestExplanation({ tasks, plan }, { signal })
+ * with the entries from explainPlan, and
+ * requestWeekPlan({ tasks, dayBudgets, strategy, quotas, granularity }, { signal })
+ * with the week from planWeek. Aborting the signal rejects the request with
+ * an AbortError; since a running DP can't be interrupted, the worker is
+ * restarted and any other pending requests are sent to the new one.
+ * Without Worker support (e.g. in tests) jobs run on the calling thread.
+ * @returns {Object} - { requestPlan, requestBudgetCurve, requestBenchmark, requestExplanation,
+ *   requestWeekPlan, terminate }
+ */
+export const createPlannerClient = () => {
+  let workerPromise = null; // resolves to the running worker, or null once stopped
+  let nextId = 0;
+  const pending = new Map(); // id -> { message, resolve, reject }
+
+  const fail = (id, error) => {
+    const entry = pending.get(id);
+    if (!entry) return;
+    pending.delete(id);
+    entry.reject(error);
+  };
+
+  const stopWorker = () => {
+    const stopping = workerPromise;
+    workerPromise = null;
+    if (stopping) {
+      stopping.then((worker) => worker && worker.terminate()).catch(() => {});
+    }
+  };
+
+  const startWorker = () => {
+    const starting = import('./createPlannerWorker').then(({ createPlannerWorker }) => {
+      const worker = createPlannerWorker();
+      if (workerPromise !== starting) {
+        worker.terminate(); // stopped while loading
+        return null;
+      }
+
+      worker.onmessage = ({ data }) => {
+        const entry = pending.get(data.id);
+        if (!entry) return; // cancelled while in flight
+        pending.delete(data.id);
+        if (data.error) {
+          entry.reject(new Error(data.error));
+        } else {
+          entry.resolve(data.result);
+        }
+      };
+
+      worker.onerror = (event) => {
+        const error = new Error(event.message || 'Planner worker failed');
+        pending.forEach((entry) => entry.reject(error));
+        pending.clear();
+        stopWorker();
+      };
+
+      return worker;
+    });
+    workerPromise = starting;
+    return starting;
+  };
+
+  const send = (id, message) => {
+    (workerPromise || startWorker())
+      .then((worker) => {
+        if (worker && pending.has(id)) worker.postMessage({ id, ...message });
+      })
+      .catch((error) => fail(id, error));
+  };
+
+  const cancel = (id) => {
+    if (!pending.has(id)) return;
+    fail(id, abortError());
+    stopWorker();
+    pending.forEach(({ message }, otherId) => send(otherId, message));
+  };
+
+  const run = (job, payload, { signal } = {}) =>
+    new Promise((resolve, reject) => {
+      if (signal && signal.aborted) {
+        reject(abortError());
+        return;
+      }
+
+      if (typeof Worker === 'undefined') {
+        resolve(PLANNER_JOBS[job](payload));
+        return;
+      }
+
+      const id = ++nextId;
+      const message = { job, payload };
+      pending.set(id, { message, resolve, reject });
+      send(id, message);
+
+      if (signal) {
+        signal.addEventListener('abort', () => cancel(id), { once: true });
+      }
+    });
+
+  // Reject whatever is pending and stop the worker for good
+  const terminate = () => {
+    pending.forEach((entry) => entry.reject(abortError()));
+    pending.clear();
+    stopWorker();
+  };
+
+  return {
+    requestPlan: (request, options) => run('plan', request, options),
+    requestBudgetCurve: (request, options) => run('budgetCurve', request, options),
+    requestBenchmark: (config, options) => run('benchmark', config, options),
+    requestExplanation: (request, options) => run('explain', request, options),
+    requestWeekPlan: (request, options) => run('week', request, options),
+    terminate
+  };
+};
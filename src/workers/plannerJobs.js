@@ -0,0 +1,23 @@
+// src/workers/plannerJobs.js
+import { planTasks, planTasksInGaps } from '../algorithms/planner';
+import { buildBudgetCurve } from '../algorithms/pareto';
+import { runBenchmark } from '../algorithms/benchmark';
+import { explainPlan } from '../algorithms/explain';
+import { planWeek } from '../algorithms/weekPlanner';
+
+/**
+ * Work the planner worker can do, by job name
+ * Each job takes a structured-cloneable payload and returns its result.
+ */
+export const PLANNER_JOBS = {
+  plan: ({ tasks, timeLimit, strategy, quotas, granularity, workday }) =>
+    workday
+      ? planTasksInGaps(tasks, workday.gaps, strategy, quotas, { granularity, busyMinutes: workday.busyMinutes })
+      : planTasks(tasks, timeLimit, strategy, quotas, { granularity }),
+  budgetCurve: ({ tasks, strategy, quotas, granularity, meetings, settings }) =>
+    buildBudgetCurve(tasks, { strategy, quotas, granularity, meetings, settings }),
+  benchmark: (config) => runBenchmark(config),
+  explain: ({ tasks, plan }) => explainPlan(tasks, plan),
+  week: ({ tasks, dayBudgets, strategy, quotas, granularity }) =>
+    planWeek(tasks, dayBudgets, { strategy, quotas, granularity })
+};